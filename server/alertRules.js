@@ -0,0 +1,392 @@
+/**
+ * Alert Rules
+ *
+ * Validation and storage of geofence alert rules. A rule watches one area,
+ * a GeoJSON Polygon or a Point with a radius, and fires when at least
+ * `minCoverage` of the grid cells inside it reach `threshold` in a product.
+ * Rules are kept in one JSON file, together with each rule's alert state, so
+ * an alert that is active when the server restarts is not sent again.
+ * Webhook secrets are stored with the rule but only returned when the rule
+ * is created. The API has no authentication, so webhooks may not point at
+ * loopback, private, link-local or other non-public addresses unless their
+ * host is explicitly allowed; the address is checked again on delivery,
+ * after DNS resolution.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import net from "net";
+import { DEFAULT_PRODUCT, getProduct } from "./productCatalog.js";
+
+export const MAX_RADIUS_KM = 250;
+// Widest polygon, in degrees of latitude or longitude
+export const MAX_SPAN_DEGREES = 10;
+const MAX_VERTICES = 1000;
+const MAX_NAME_LENGTH = 200;
+const MIN_SECRET_LENGTH = 16;
+const DEFAULT_COOLDOWN_MINUTES = 30;
+
+// Special-purpose ranges (RFC 6890 and successors) webhooks may not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  // NAT64 can carry any IPv4 address; IPv4-mapped addresses are matched
+  // against the IPv4 ranges by BlockList itself
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+/**
+ * Reads an alert rule from a request body
+ * @param {Object} body - Parsed JSON body
+ * @param {Object} [options]
+ * @param {Array<string>} [options.allowedWebhookHosts=[]] - Hostnames webhooks
+ *   may use even when they are local or private
+ * @returns {{fields?: Object, error?: string}} Fields: {name, product,
+ *   geometry, radiusKm, threshold, minCoverage, webhookUrl, webhookSecret,
+ *   cooldownMinutes, enabled}; or the reason the rule is invalid
+ */
+export function parseAlertRule(body, { allowedWebhookHosts = [] } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "The request body must be a JSON object" };
+  }
+
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be a non-empty string of up to ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const product = body.product === undefined ? DEFAULT_PRODUCT : String(body.product);
+  if (!getProduct(product)) {
+    return { error: `No cataloged product named ${product}` };
+  }
+
+  const area = parseArea(body.geometry, body.radiusKm);
+  if (area.error) return area;
+
+  const threshold = Number(body.threshold);
+  if (body.threshold === undefined || body.threshold === null || !Number.isFinite(threshold)) {
+    return { error: "threshold must be a number in the product's units" };
+  }
+
+  const minCoverage = body.minCoverage === undefined ? 0 : Number(body.minCoverage);
+  if (!(minCoverage >= 0 && minCoverage <= 1)) {
+    return { error: "minCoverage must be a fraction from 0 to 1" };
+  }
+
+  let webhookUrl = null;
+  if (body.webhookUrl !== undefined && body.webhookUrl !== null) {
+    try {
+      webhookUrl = new URL(String(body.webhookUrl));
+    } catch {
+      webhookUrl = null;
+    }
+    if (!webhookUrl || (webhookUrl.protocol !== "https:" && webhookUrl.protocol !== "http:")) {
+      return { error: "webhookUrl must be an http or https URL" };
+    }
+    if (!isAllowedWebhookHost(webhookHost(webhookUrl.hostname), allowedWebhookHosts)) {
+      return { error: "webhookUrl must not point at a local, private or reserved address" };
+    }
+    webhookUrl = webhookUrl.href;
+  }
+
+  let webhookSecret = null;
+  if (body.webhookSecret !== undefined) {
+    if (typeof body.webhookSecret !== "string" || body.webhookSecret.length < MIN_SECRET_LENGTH) {
+      return { error: `webhookSecret must be a string of at least ${MIN_SECRET_LENGTH} characters` };
+    }
+    webhookSecret = body.webhookSecret;
+  }
+
+  const cooldownMinutes =
+    body.cooldownMinutes === undefined ? DEFAULT_COOLDOWN_MINUTES : Number(body.cooldownMinutes);
+  if (!(cooldownMinutes >= 0 && Number.isFinite(cooldownMinutes))) {
+    return { error: "cooldownMinutes must be a number of minutes, 0 or more" };
+  }
+
+  if (body.enabled !== undefined && typeof body.enabled !== "boolean") {
+    return { error: "enabled must be true or false" };
+  }
+
+  return {
+    fields: {
+      name,
+      product,
+      geometry: area.geometry,
+      radiusKm: area.radiusKm,
+      threshold,
+      minCoverage,
+      webhookUrl,
+      webhookSecret,
+      cooldownMinutes,
+      enabled: body.enabled !== false,
+    },
+  };
+}
+
+/**
+ * Normalizes a host name for comparison and address checks: lower case,
+ * without the brackets URL.hostname keeps around IPv6 addresses and without
+ * a trailing dot
+ * @param {string} hostname - URL hostname, or a host from the allow-list
+ * @returns {string}
+ */
+export function webhookHost(hostname) {
+  return hostname.toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+}
+
+/**
+ * Whether a webhook may be sent to a host, judged from its name alone:
+ * localhost names and literal non-public addresses are refused. Names that
+ * resolve to such addresses are caught by isBlockedAddress() on delivery.
+ * @param {string} host - Host from webhookHost()
+ * @param {Array<string>} allowedHosts - Hosts from webhookHost() allowed regardless
+ * @returns {boolean}
+ */
+export function isAllowedWebhookHost(host, allowedHosts) {
+  if (allowedHosts.includes(host)) return true;
+  if (host === "localhost" || host.endsWith(".localhost")) return false;
+  return !(net.isIP(host) && isBlockedAddress(host));
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is loopback, private, link-local or
+ *   otherwise not a public unicast address
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * @param {*} geometry - GeoJSON Polygon, or Point with radiusKm
+ * @param {*} radiusKm - Radius around a Point
+ * @returns {{geometry?: Object, radiusKm?: number|null, error?: string}}
+ */
+function parseArea(geometry, radiusKm) {
+  if (!geometry || typeof geometry !== "object") {
+    return { error: "geometry must be a GeoJSON Polygon or Point" };
+  }
+
+  if (geometry.type === "Point") {
+    if (!isPosition(geometry.coordinates)) {
+      return { error: "Point coordinates must be [lon, lat] in degrees" };
+    }
+    const radius = Number(radiusKm);
+    if (!(radius > 0 && radius <= MAX_RADIUS_KM)) {
+      return { error: `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM} for a Point` };
+    }
+    return { geometry: { type: "Point", coordinates: geometry.coordinates.slice(0, 2) }, radiusKm: radius };
+  }
+
+  if (geometry.type === "Polygon") {
+    const rings = geometry.coordinates;
+    if (!Array.isArray(rings) || rings.length === 0 ||
+      !rings.every((ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition))) {
+      return { error: "Polygon coordinates must be rings of at least 4 [lon, lat] positions" };
+    }
+    if (rings.reduce((count, ring) => count + ring.length, 0) > MAX_VERTICES) {
+      return { error: `Polygons may have up to ${MAX_VERTICES} positions` };
+    }
+    const bbox = areaBounds({ geometry });
+    if (bbox.east - bbox.west > MAX_SPAN_DEGREES || bbox.north - bbox.south > MAX_SPAN_DEGREES) {
+      return { error: `Polygons may span up to ${MAX_SPAN_DEGREES} degrees in each direction` };
+    }
+    return {
+      geometry: { type: "Polygon", coordinates: rings.map((ring) => ring.map((position) => position.slice(0, 2))) },
+      radiusKm: null,
+    };
+  }
+
+  return { error: "geometry must be a GeoJSON Polygon or Point" };
+}
+
+function isPosition(position) {
+  return Array.isArray(position) && position.length >= 2 &&
+    position[0] >= -180 && position[0] <= 180 && position[1] >= -90 && position[1] <= 90;
+}
+
+/**
+ * Bounding box of a rule's area
+ * @param {Object} rule - Rule with geometry and radiusKm
+ * @returns {{west: number, south: number, east: number, north: number}}
+ */
+export function areaBounds({ geometry, radiusKm }) {
+  if (geometry.type === "Point") {
+    const [lon, lat] = geometry.coordinates;
+    const dLat = radiusKm / ((Math.PI / 180) * 6371.0088);
+    const dLon = dLat / Math.max(0.01, Math.cos((lat * Math.PI) / 180));
+    return {
+      west: Math.max(-180, lon - dLon),
+      south: Math.max(-90, lat - dLat),
+      east: Math.min(180, lon + dLon),
+      north: Math.min(90, lat + dLat),
+    };
+  }
+
+  const positions = geometry.coordinates.flat();
+  return {
+    west: Math.min(...positions.map(([lon]) => lon)),
+    south: Math.min(...positions.map(([, lat]) => lat)),
+    east: Math.max(...positions.map(([lon]) => lon)),
+    north: Math.max(...positions.map(([, lat]) => lat)),
+  };
+}
+
+/**
+ * Rule as returned by the API
+ * @param {Object} rule - Stored rule
+ * @param {boolean} [withSecret=false] - Include the webhook secret
+ * @returns {Object}
+ */
+export function describeRule(rule, withSecret = false) {
+  const { webhookSecret, ...described } = rule;
+  return withSecret ? { ...described, webhookSecret } : described;
+}
+
+/**
+ * Creates a rule store backed by a JSON file
+ * @param {string} filePath - File holding the rules, created on first save
+ * @returns {Object} Store with load(), list(), get(), create(), replace(),
+ *   remove() and setState()
+ */
+export function createAlertStore(filePath) {
+  // id -> rule, in creation order
+  const rules = new Map();
+  let saving = Promise.resolve();
+
+  /**
+   * Reads the rules saved by an earlier run
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    let saved;
+    try {
+      saved = JSON.parse(await fs.readFile(filePath, "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return;
+      throw error;
+    }
+    for (const rule of saved.rules || []) {
+      rules.set(rule.id, rule);
+    }
+    console.log(`🔔 Loaded ${rules.size} alert rule(s)`);
+  }
+
+  /**
+   * Writes every rule, one write at a time. Write then rename so a crash
+   * never leaves a half-written file behind.
+   * @returns {Promise<void>}
+   */
+  function save() {
+    const body = JSON.stringify({ rules: [...rules.values()] }, null, 2);
+    saving = saving.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, body);
+      await fs.rename(`${filePath}.tmp`, filePath);
+    });
+    return saving;
+  }
+
+  function list() {
+    return [...rules.values()];
+  }
+
+  function get(id) {
+    return rules.get(id) || null;
+  }
+
+  /**
+   * @param {Object} fields - Fields from parseAlertRule()
+   * @returns {Promise<Object>} The stored rule, with a generated secret
+   *   when none was given
+   */
+  async function create(fields) {
+    const now = new Date().toISOString();
+    const rule = {
+      id: crypto.randomUUID(),
+      ...fields,
+      webhookSecret: fields.webhookSecret || crypto.randomBytes(24).toString("base64url"),
+      createdAt: now,
+      updatedAt: now,
+      state: initialState(),
+    };
+    rules.set(rule.id, rule);
+    await save();
+    return rule;
+  }
+
+  /**
+   * Replaces a rule's fields. Its alert state starts over, since the old
+   * state was measured against the old area and threshold.
+   * @param {string} id - Rule id
+   * @param {Object} fields - Fields from parseAlertRule()
+   * @returns {Promise<Object|null>} The updated rule, or null when there is none
+   */
+  async function replace(id, fields) {
+    const existing = rules.get(id);
+    if (!existing) return null;
+    const rule = {
+      ...existing,
+      ...fields,
+      webhookSecret: fields.webhookSecret || existing.webhookSecret,
+      updatedAt: new Date().toISOString(),
+      state: initialState(),
+    };
+    rules.set(id, rule);
+    await save();
+    return rule;
+  }
+
+  /**
+   * @param {string} id - Rule id
+   * @returns {Promise<boolean>} Whether there was a rule to remove
+   */
+  async function remove(id) {
+    if (!rules.delete(id)) return false;
+    await save();
+    return true;
+  }
+
+  /**
+   * Records the outcome of an evaluation
+   * @param {string} id - Rule id
+   * @param {Object} state - New alert state
+   * @returns {Promise<void>}
+   */
+  async function setState(id, state) {
+    const rule = rules.get(id);
+    if (!rule) return;
+    rules.set(id, { ...rule, state });
+    await save();
+  }
+
+  return { load, list, get, create, replace, remove, setState };
+}
+
+function initialState() {
+  return { active: false, since: null, lastFrameTime: null, lastTriggeredAt: null, measurement: null };
+}
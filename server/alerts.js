@@ -0,0 +1,341 @@
+/**
+ * Geofence Alerts
+ *
+ * Evaluates every newly ingested frame against the stored alert rules. A
+ * rule's condition is met when the share of grid cells inside its area at
+ * or above its threshold reaches the rule's minimum coverage. When a rule
+ * starts or stops meeting its condition, an "alert.triggered" or
+ * "alert.cleared" event is pushed to subscribers and, if the rule has a
+ * webhook, POSTed to it with an HMAC-SHA256 signature.
+ *
+ * Frames are evaluated in valid-time order per rule: a frame no newer than
+ * the last one evaluated (a backfill, or a frame seen before a restart) is
+ * skipped, so each change of state is reported once. After a rule triggers,
+ * it cannot trigger again until `cooldownMinutes` of frame time have passed;
+ * a storm hovering at the threshold produces one alert, not one per frame.
+ * Event ids are stable, so a webhook receiver can discard redelivered events.
+ * A webhook whose host resolves to a non-public address is not sent.
+ */
+
+import http from "http";
+import https from "https";
+import crypto from "crypto";
+import dns from "dns";
+import { areaBounds, isAllowedWebhookHost, isBlockedAddress, webhookHost } from "./alertRules.js";
+import { cropRegion, forEachCell } from "./viewportSampler.js";
+import { distanceKm } from "./pointQuery.js";
+import { parseFrameTime } from "./frameCache.js";
+
+const SIGNATURE_HEADER = "X-Alert-Signature";
+const TIMESTAMP_HEADER = "X-Alert-Timestamp";
+const EVENT_ID_HEADER = "X-Alert-Event-Id";
+
+/**
+ * Creates an alert service
+ * @param {Object} options
+ * @param {Object} options.store - Rule store from createAlertStore()
+ * @param {Object} options.gridStore - Store from createGridStore()
+ * @param {number} [options.maxEvents=100] - Recent events kept in memory
+ * @param {number} [options.webhookTimeoutMs=10000] - Time allowed per delivery attempt
+ * @param {number} [options.webhookRetries=3] - Retries after a failed delivery
+ * @param {number} [options.retryBaseDelayMs=2000] - Backoff before the first retry
+ * @param {Array<string>} [options.allowedWebhookHosts=[]] - Hostnames webhooks
+ *   may reach even when they resolve to local or private addresses
+ * @returns {Object} Service with evaluate(), subscribe() and recentEvents()
+ */
+export function createAlertService({
+  store,
+  gridStore,
+  maxEvents = 100,
+  webhookTimeoutMs = 10000,
+  webhookRetries = 3,
+  retryBaseDelayMs = 2000,
+  allowedWebhookHosts = [],
+}) {
+  const listeners = new Set();
+  // Newest last
+  const events = [];
+  // Frames are evaluated one at a time, in the order they were ingested
+  let queue = Promise.resolve();
+
+  /**
+   * Queues a newly archived frame for evaluation; never rejects
+   * @param {Object} product - Catalog entry from getProduct()
+   * @param {Object} frame - Frame from the frame archive
+   * @returns {Promise<void>}
+   */
+  function evaluate(product, frame) {
+    queue = queue.then(() => evaluateFrame(product, frame)).catch((error) => {
+      console.error(`⚠️  Alert evaluation of ${product.id} ${frame.name} failed: ${error.message}`);
+    });
+    return queue;
+  }
+
+  async function evaluateFrame(product, frame) {
+    const frameTime = parseFrameTime(frame.name);
+    const rules = store.list().filter((rule) =>
+      rule.enabled && rule.product === product.id &&
+      !(rule.state.lastFrameTime && Date.parse(rule.state.lastFrameTime) >= frameTime.getTime())
+    );
+    if (rules.length === 0) return;
+
+    const grid = await gridStore.load(product.id, frame.name);
+    if (!grid) return;
+
+    for (const { id, updatedAt } of rules) {
+      // Rules are re-read after every wait: one replaced or removed meanwhile
+      // is not evaluated against its old area and threshold
+      const rule = store.get(id);
+      if (!rule || rule.updatedAt !== updatedAt) continue;
+
+      const measurement = measure(grid, rule);
+      const met = measurement.cellsAbove > 0 && measurement.coverage >= rule.minCoverage;
+      const state = { ...rule.state, lastFrameTime: frameTime.toISOString(), measurement };
+      let type = null;
+
+      if (met && !state.active) {
+        const cooldownEnds = state.lastTriggeredAt
+          ? Date.parse(state.lastTriggeredAt) + rule.cooldownMinutes * 60000
+          : -Infinity;
+        if (frameTime.getTime() >= cooldownEnds) {
+          type = "alert.triggered";
+          Object.assign(state, { active: true, since: state.lastFrameTime, lastTriggeredAt: state.lastFrameTime });
+        } else {
+          console.log(`🔕 ${rule.name} met its threshold again within its cooldown`);
+        }
+      } else if (!met && state.active) {
+        type = "alert.cleared";
+        Object.assign(state, { active: false, since: state.lastFrameTime });
+      }
+
+      // State is saved before anything is sent, so a restart never repeats an
+      // event; a rule removed or replaced during the save sends nothing
+      await store.setState(rule.id, state);
+      const saved = store.get(id);
+      if (type && saved && saved.updatedAt === updatedAt) {
+        publish(createEvent(type, rule, frame, frameTime, measurement), rule);
+      }
+    }
+  }
+
+  function publish(event, rule) {
+    console.log(`🔔 ${event.type} for ${rule.name} at ${event.frame.validTime}`);
+    events.push(event);
+    while (events.length > maxEvents) events.shift();
+
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`⚠️  Alert listener failed: ${error.message}`);
+      }
+    }
+    if (rule.webhookUrl) {
+      deliver(rule, event);
+    }
+  }
+
+  /**
+   * POSTs an event to a rule's webhook, retrying 5xx responses, 429 and
+   * network errors with backoff; failures are logged, not thrown
+   * @param {Object} rule - Stored rule
+   * @param {Object} event - Event from createEvent()
+   * @returns {Promise<void>}
+   */
+  async function deliver(rule, event) {
+    const body = JSON.stringify(event);
+    for (let attempt = 0; ; attempt++) {
+      // Signed afresh on each attempt so the timestamp stays current
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers = {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(body),
+        "User-Agent": "mrms-radar-alerts",
+        [EVENT_ID_HEADER]: event.id,
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: signPayload(rule.webhookSecret, timestamp, body),
+      };
+      try {
+        await post(rule.webhookUrl, headers, body, webhookTimeoutMs, allowedWebhookHosts);
+        console.log(`📤 Delivered ${event.type} for ${rule.name}`);
+        return;
+      } catch (error) {
+        if (!error.retryable || attempt >= webhookRetries) {
+          console.error(`⚠️  Webhook for ${rule.name} failed: ${error.message}`);
+          return;
+        }
+        const delay = retryBaseDelayMs * 2 ** attempt;
+        console.warn(`⚠️  Webhook for ${rule.name} failed: ${error.message}; retry ${attempt + 1}/${webhookRetries} in ${delay}ms`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Removes the listener
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * @returns {Array<Object>} Recent events, oldest first
+   */
+  function recentEvents() {
+    return [...events];
+  }
+
+  return { evaluate, subscribe, recentEvents };
+}
+
+/**
+ * Signature sent with webhooks: HMAC-SHA256 of "<timestamp>.<body>"
+ * @param {string} secret - The rule's webhook secret
+ * @param {string} timestamp - Unix seconds, as sent in X-Alert-Timestamp
+ * @param {string} body - Request body
+ * @returns {string} "sha256=<hex digest>"
+ */
+export function signPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Counts the grid cells inside a rule's area
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} rule - Stored rule
+ * @returns {{areaCells: number, cellsAbove: number, coverage: number,
+ *   maxValue: number|null}} Coverage is cellsAbove / areaCells
+ */
+function measure(grid, rule) {
+  const bbox = areaBounds(rule);
+  const region = cropRegion(grid, bbox);
+  const inside = containsFunction(rule);
+  let areaCells = 0;
+  let cellsAbove = 0;
+  let maxValue = -Infinity;
+
+  if (region) {
+    forEachCell(grid, region, bbox, 1, () => true, (index, location) => {
+      if (!inside(location)) return;
+      const value = grid.values[index];
+      areaCells++;
+      if (value >= rule.threshold) cellsAbove++;
+      if (value > maxValue) maxValue = value;
+    });
+  }
+
+  return {
+    areaCells,
+    cellsAbove,
+    coverage: areaCells > 0 ? Number((cellsAbove / areaCells).toFixed(4)) : 0,
+    maxValue: maxValue === -Infinity ? null : Math.round(maxValue * 10) / 10,
+  };
+}
+
+/**
+ * @param {Object} rule - Stored rule
+ * @returns {Function} ({lat, lon}) => whether the location is in the rule's area
+ */
+function containsFunction({ geometry, radiusKm }) {
+  if (geometry.type === "Point") {
+    const [lon, lat] = geometry.coordinates;
+    return (location) => distanceKm(lat, lon, location.lat, location.lon) <= radiusKm;
+  }
+
+  // Even-odd ray casting over every ring, so holes are excluded
+  return ({ lat, lon }) => {
+    let inside = false;
+    for (const ring of geometry.coordinates) {
+      for (let a = 0, b = ring.length - 1; a < ring.length; b = a++) {
+        const [lonA, latA] = ring[a];
+        const [lonB, latB] = ring[b];
+        if ((latA > lat) !== (latB > lat) && lon < ((lonB - lonA) * (lat - latA)) / (latB - latA) + lonA) {
+          inside = !inside;
+        }
+      }
+    }
+    return inside;
+  };
+}
+
+function createEvent(type, rule, frame, frameTime, measurement) {
+  return {
+    id: `${rule.id}/${frame.name}/${type}`,
+    type,
+    createdAt: new Date().toISOString(),
+    rule: {
+      id: rule.id,
+      name: rule.name,
+      product: rule.product,
+      threshold: rule.threshold,
+      minCoverage: rule.minCoverage,
+    },
+    frame: { name: frame.name, validTime: frameTime.toISOString() },
+    measurement,
+  };
+}
+
+/**
+ * Sends one POST and resolves once a 2xx response arrives
+ * @param {string} url - Webhook URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @param {number} timeoutMs - Longest silence allowed
+ * @param {Array<string>} allowedHosts - Hosts from webhookHost() exempt from the address checks
+ * @returns {Promise<void>}
+ */
+function post(url, headers, body, timeoutMs, allowedHosts) {
+  return new Promise((resolve, reject) => {
+    // Rules saved before a host was refused, or before the allow-list changed
+    const host = webhookHost(new URL(url).hostname);
+    if (!isAllowedWebhookHost(host, allowedHosts)) {
+      reject(deliveryError(`${host} is a local, private or reserved address`, false));
+      return;
+    }
+
+    const protocol = url.startsWith("https") ? https : http;
+    const lookup = allowedHosts.includes(host) ? undefined : publicLookup;
+    const req = protocol.request(url, { method: "POST", headers, lookup }, (res) => {
+      res.resume();
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        resolve();
+      } else {
+        reject(deliveryError(`HTTP ${res.statusCode}`, res.statusCode >= 500 || res.statusCode === 429));
+      }
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(deliveryError(`Timeout after ${timeoutMs}ms`, true)));
+    req.on("error", (error) => reject(error.retryable === undefined ? deliveryError(error.message, true) : error));
+    req.end(body);
+  });
+}
+
+/**
+ * dns.lookup() that fails when a name resolves to a non-public address, so
+ * the address connected to is the one checked
+ * @param {string} hostname
+ * @param {Object} options - dns.lookup() options
+ * @param {Function} callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      callback(deliveryError(`${hostname} resolves to the non-public address ${blocked.address}`, false));
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+function deliveryError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
@@ -0,0 +1,124 @@
+/**
+ * Bit-level reader and writer for GRIB2 packed data
+ *
+ * GRIB2 packs integers MSB-first at arbitrary bit widths, with some blocks
+ * padded out to the next octet boundary.
+ */
+
+/**
+ * Creates a reader over a buffer of MSB-first packed integers
+ * @param {Buffer|Uint8Array} buffer - Packed data
+ * @param {number} byteOffset - Offset of the first bit to read
+ * @returns {Object} Reader with read, readSigned, align and bitPosition
+ */
+export function createBitReader(buffer, byteOffset = 0) {
+  let bytePos = byteOffset;
+  let bitPos = 0;
+
+  /**
+   * Reads an unsigned integer of 0-32 bits. Reads past the end yield zeros.
+   * @param {number} width - Number of bits
+   * @returns {number}
+   */
+  function read(width) {
+    let value = 0;
+    let remaining = width;
+
+    while (remaining > 0) {
+      const byte = bytePos < buffer.length ? buffer[bytePos] : 0;
+      const available = 8 - bitPos;
+      const take = available < remaining ? available : remaining;
+      const bits = (byte >> (available - take)) & ((1 << take) - 1);
+
+      // Multiply rather than shift so 32-bit values stay unsigned
+      value = value * (1 << take) + bits;
+      remaining -= take;
+      bitPos += take;
+
+      if (bitPos === 8) {
+        bitPos = 0;
+        bytePos++;
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Reads a sign-and-magnitude integer (leading sign bit) of the given width
+   * @param {number} width - Number of bits including the sign bit
+   * @returns {number}
+   */
+  function readSigned(width) {
+    const negative = read(1) === 1;
+    const magnitude = read(width - 1);
+    return negative ? -magnitude : magnitude;
+  }
+
+  /**
+   * Skips to the start of the next octet if not already on a boundary
+   */
+  function align() {
+    if (bitPos !== 0) {
+      bitPos = 0;
+      bytePos++;
+    }
+  }
+
+  /**
+   * @returns {number} Absolute bit offset of the next read
+   */
+  function bitPosition() {
+    return bytePos * 8 + bitPos;
+  }
+
+  return { read, readSigned, align, bitPosition };
+}
+
+/**
+ * Creates a writer that packs integers MSB-first into a fixed-size buffer
+ * @param {number} byteLength - Size of the output buffer
+ * @returns {Object} Writer with write, align and buffer
+ */
+export function createBitWriter(byteLength) {
+  const buffer = Buffer.alloc(byteLength);
+  let bytePos = 0;
+  let bitPos = 0;
+
+  /**
+   * Writes the low `width` bits (0-32) of an unsigned integer
+   * @param {number} value - Value to write
+   * @param {number} width - Number of bits
+   */
+  function write(value, width) {
+    let remaining = width;
+
+    while (remaining > 0) {
+      const available = 8 - bitPos;
+      const take = available < remaining ? available : remaining;
+      // Divide rather than shift so 32-bit values stay unsigned
+      const bits = Math.floor(value / 2 ** (remaining - take)) & ((1 << take) - 1);
+
+      buffer[bytePos] |= bits << (available - take);
+      remaining -= take;
+      bitPos += take;
+
+      if (bitPos === 8) {
+        bitPos = 0;
+        bytePos++;
+      }
+    }
+  }
+
+  /**
+   * Pads with zero bits to the next octet boundary
+   */
+  function align() {
+    if (bitPos !== 0) {
+      bitPos = 0;
+      bytePos++;
+    }
+  }
+
+  return { write, align, buffer };
+}
@@ -0,0 +1,475 @@
+/**
+ * Isoband Contours
+ *
+ * Turns a decoded grid into filled contours: one GeoJSON feature per band
+ * between consecutive levels, by default the breakpoints of the product's
+ * colour scale (for reflectivity the NWS 5 dBZ steps the map is coloured
+ * with). The grid is cropped and strided like a viewport query, keeping the
+ * maximum of each block of cells so that small cores survive. Boundaries are
+ * traced with marching squares at every level, with crossings placed by
+ * linear interpolation between cell values; a band is the area at or above
+ * its level minus the area at or above the next one, so the bands of a
+ * frame never overlap. Rings are then simplified (Douglas-Peucker) and
+ * smoothed (Chaikin). Features are MultiPolygons with counter-clockwise
+ * exteriors and clockwise holes, as RFC 7946 asks.
+ */
+
+import { chooseStride, cropRegion } from "./viewportSampler.js";
+
+export const MAX_LEVELS = 20;
+export const MAX_SMOOTHING = 4;
+const DEFAULT_SMOOTHING = 2;
+// Rings enclosing less than this many sampled cells are dropped as speckle
+const MIN_RING_CELLS = 1;
+const COORDINATE_DIGITS = 4;
+
+/**
+ * Reads contour parameters from a query string
+ * @param {Object} query - Express req.query
+ * @returns {{options?: Object, error?: string}} Options: {levels (null for
+ *   the product's defaults), smoothing, tolerance (null for automatic)}; or
+ *   the reason the parameters are invalid
+ */
+export function parseContourQuery(query) {
+  let levels = null;
+  if (query.levels !== undefined) {
+    levels = String(query.levels).split(",").map(Number);
+    if (levels.length > MAX_LEVELS || !levels.every(Number.isFinite)) {
+      return { error: `levels must be up to ${MAX_LEVELS} comma-separated values` };
+    }
+    levels = [...new Set(levels)].sort((a, b) => a - b);
+  }
+
+  let smoothing = DEFAULT_SMOOTHING;
+  if (query.smoothing !== undefined) {
+    smoothing = Number(query.smoothing);
+    if (!(Number.isInteger(smoothing) && smoothing >= 0 && smoothing <= MAX_SMOOTHING)) {
+      return { error: `smoothing must be an integer from 0 to ${MAX_SMOOTHING}` };
+    }
+  }
+
+  let tolerance = null;
+  if (query.tolerance !== undefined) {
+    tolerance = Number(query.tolerance);
+    if (!(tolerance >= 0 && Number.isFinite(tolerance))) {
+      return { error: "tolerance must be a number of degrees, 0 or more" };
+    }
+  }
+
+  return { options: { levels, smoothing, tolerance } };
+}
+
+/**
+ * Contour levels used when none are given: the colour scale's breakpoints.
+ * The first stop only colours everything below the second (the map legend
+ * shows it as "<5" for reflectivity), so it is not a level.
+ * @param {Object} product - Catalog entry from getProduct()
+ * @returns {Array<number>} Levels, ascending
+ */
+export function defaultLevels(product) {
+  return product.colorScale.slice(1).map((stop) => stop.min);
+}
+
+/**
+ * Creates a contour service
+ * @param {Object} options
+ * @param {Object} options.gridStore - Store from createGridStore()
+ * @param {number} [options.maxResults=16] - Contour results kept in memory
+ * @returns {Object} Service with getContours()
+ */
+export function createContourService({ gridStore, maxResults = 16 }) {
+  // key -> Promise<FeatureCollection|null>, least recently used first
+  const results = new Map();
+
+  /**
+   * @param {Object} product - Catalog entry from getProduct()
+   * @param {string} frameName - Frame name from the archive
+   * @param {Object} viewport - Viewport from parseViewport()
+   * @param {Object} options - Options from parseContourQuery()
+   * @returns {Promise<Object|null>} GeoJSON FeatureCollection, or null when
+   *   the frame has no archived grid
+   */
+  function getContours(product, frameName, viewport, options) {
+    const key = `${product.id}/${frameName}/${JSON.stringify(viewport)}/${JSON.stringify(options)}`;
+    if (results.has(key)) {
+      const cached = results.get(key);
+      results.delete(key);
+      results.set(key, cached);
+      return cached;
+    }
+
+    const contouring = gridStore.load(product.id, frameName).then((grid) =>
+      grid ? contourGrid(grid, product, viewport, options) : null
+    );
+    results.set(key, contouring);
+    contouring.catch(() => results.delete(key));
+    while (results.size > maxResults) {
+      results.delete(results.keys().next().value);
+    }
+    return contouring;
+  }
+
+  return { getContours };
+}
+
+/**
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {Object} viewport - Viewport from parseViewport()
+ * @param {Object} options - Options from parseContourQuery()
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function contourGrid(grid, product, viewport, options) {
+  const minValue = viewport.minValue ?? -Infinity;
+  const levels = (options.levels || defaultLevels(product)).filter((level) => level >= minValue);
+  const region = cropRegion(grid, viewport.bbox);
+  const stride = chooseStride(grid, region, viewport);
+  const collection = {
+    type: "FeatureCollection",
+    product: product.id,
+    units: product.units,
+    time: grid.validTime,
+    levels,
+    stride,
+    bbox: viewport.bbox,
+    features: [],
+  };
+  if (!region || levels.length === 0) return collection;
+
+  const field = sampleField(grid, region, stride, levels);
+  const { bounds, gridDefinition } = grid;
+  const spacing = ((bounds.north - bounds.south) / Math.max(1, gridDefinition.ny - 1)) * stride;
+  const tolerance = options.tolerance ?? spacing / 2;
+  const ringsByLevel = levels.map((level) => traceRings(field, level));
+
+  levels.forEach((level, index) => {
+    const lower = ringsByLevel[index];
+    const upper = ringsByLevel[index + 1] || { outers: [], holes: [] };
+    // The area at or above the next level is cut out of this band, and the
+    // holes in that area are islands of this band
+    const polygons = assemblePolygons([...lower.outers, ...upper.holes], [...lower.holes, ...upper.outers]);
+    const coordinates = polygons
+      .map((polygon) => polygon.map((ring) => toGeographic(ring, field, grid, tolerance, options.smoothing)))
+      .filter((polygon) => polygon[0] !== null)
+      .map(([outer, ...holes]) => [orient(outer, true), ...holes.filter(Boolean).map((hole) => orient(hole, false))]);
+    if (coordinates.length === 0) return;
+
+    const upperLevel = index + 1 < levels.length ? levels[index + 1] : null;
+    collection.features.push({
+      type: "Feature",
+      id: `band-${level}`,
+      geometry: { type: "MultiPolygon", coordinates },
+      properties: { level, upperLevel, units: product.units, color: colorFor(product, level) },
+    });
+  });
+
+  return collection;
+}
+
+/**
+ * Samples a region every `stride` cells, keeping the largest value of each
+ * block. Missing cells, and a one-sample border around the region, get a
+ * value far below every level, as MRMS's -99 for no echo would be: every
+ * ring closes, and contours at echo edges stay close to the echo.
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} region - Range from cropRegion()
+ * @param {number} stride - Cells per block side
+ * @param {Array<number>} levels - Contour levels, ascending
+ * @returns {{values: Float32Array, width: number, height: number, i0: number, j0: number, stride: number}}
+ *   Block (0, 0) is the padding block before the region's first block
+ */
+function sampleField(grid, region, stride, levels) {
+  const { locator } = grid;
+  const range = levels[levels.length - 1] - levels[0];
+  const floor = levels[0] - 2 * Math.max(1e-3, range);
+  // Blocks stay aligned to multiples of the stride, as viewport samples do
+  const i0 = Math.floor(region.iMin / stride) - 1;
+  const j0 = Math.floor(region.jMin / stride) - 1;
+  const width = Math.floor(region.iMax / stride) - i0 + 2;
+  const height = Math.floor(region.jMax / stride) - j0 + 2;
+  const values = new Float32Array(width * height).fill(floor);
+
+  for (let j = region.jMin; j <= region.jMax; j++) {
+    const row = (Math.floor(j / stride) - j0) * width;
+    for (let i = region.iMin; i <= region.iMax; i++) {
+      const value = grid.values[locator.indexAt(i, j)];
+      const sample = row + Math.floor(i / stride) - i0;
+      if (value > values[sample]) values[sample] = value;
+    }
+  }
+
+  return { values, width, height, i0, j0, stride };
+}
+
+/**
+ * Traces the boundary of the area at or above a level with marching
+ * squares. Rings keep the area on their right in sample space (columns to
+ * the right, rows down), which makes exteriors and holes wind oppositely.
+ * @param {Object} field - Field from sampleField()
+ * @param {number} level - Contour level
+ * @returns {{outers: Array, holes: Array}} Rings of [x, y] sample positions
+ */
+function traceRings(field, level) {
+  const { values, width, height } = field;
+  // Edge key -> crossing position, and the key of the next crossing along the boundary
+  const points = new Map();
+  const next = new Map();
+  // Horizontal edges get even keys, vertical edges odd ones
+  const edgeKeys = (x, y) => [2 * (y * width + x), 2 * (y * width + x + 1) + 1, 2 * ((y + 1) * width + x), 2 * (y * width + x) + 1];
+
+  for (let y = 0; y + 1 < height; y++) {
+    for (let x = 0; x + 1 < width; x++) {
+      // Corners clockwise from the top left, each followed by the edge to the next corner
+      const cornerValues = [
+        values[y * width + x],
+        values[y * width + x + 1],
+        values[(y + 1) * width + x + 1],
+        values[(y + 1) * width + x],
+      ];
+      const count = cornerValues.reduce((total, value) => total + (value >= level ? 1 : 0), 0);
+      if (count === 0 || count === 4) continue;
+      const inside = cornerValues.map((value) => value >= level);
+      const corners = [[x, y], [x + 1, y], [x + 1, y + 1], [x, y + 1]];
+
+      const keys = edgeKeys(x, y);
+      const exits = [];
+      const entries = [];
+      for (let edge = 0; edge < 4; edge++) {
+        const end = (edge + 1) % 4;
+        if (inside[edge] === inside[end]) continue;
+        (inside[edge] ? exits : entries).push(edge);
+        if (!points.has(keys[edge])) {
+          const t = (level - cornerValues[edge]) / (cornerValues[end] - cornerValues[edge]);
+          const [ax, ay] = corners[edge];
+          const [bx, by] = corners[end];
+          points.set(keys[edge], [ax + t * (bx - ax), ay + t * (by - ay)]);
+        }
+      }
+
+      // A boundary leaving through one edge re-enters through the next
+      // crossing clockwise. At a saddle, that joins the two inside corners
+      // when the square's centre is inside; otherwise the boundary turns
+      // back the other way and keeps them apart.
+      const joined = cornerValues.reduce((sum, value) => sum + value, 0) / 4 >= level;
+      for (const exit of exits) {
+        for (let step = 1; step < 4; step++) {
+          const edge = (exit + (exits.length === 2 && !joined ? 4 - step : step)) % 4;
+          if (entries.includes(edge)) {
+            next.set(keys[exit], keys[edge]);
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  const outers = [];
+  const holes = [];
+  const visited = new Set();
+  for (const start of next.keys()) {
+    if (visited.has(start)) continue;
+    const ring = [];
+    let key = start;
+    do {
+      visited.add(key);
+      ring.push(points.get(key));
+      key = next.get(key);
+    } while (key !== start && key !== undefined);
+
+    const area = signedArea(ring);
+    if (Math.abs(area) < MIN_RING_CELLS) continue;
+    (area > 0 ? outers : holes).push(ring);
+  }
+  return { outers, holes };
+}
+
+/**
+ * Puts each hole into the smallest exterior that contains it
+ * @param {Array} outers - Exterior rings
+ * @param {Array} holes - Hole rings
+ * @returns {Array<Array>} Polygons as [exterior, ...holes]
+ */
+function assemblePolygons(outers, holes) {
+  const polygons = outers
+    .map((ring) => ({ ring, area: Math.abs(signedArea(ring)), box: ringBounds(ring), holes: [] }))
+    .sort((a, b) => a.area - b.area);
+
+  for (const hole of holes) {
+    const box = ringBounds(hole);
+    const [x, y] = hole[0];
+    const container = polygons.find((polygon) =>
+      polygon.box.minX <= box.minX && polygon.box.maxX >= box.maxX &&
+      polygon.box.minY <= box.minY && polygon.box.maxY >= box.maxY &&
+      containsPoint(polygon.ring, x, y)
+    );
+    if (container) container.holes.push(hole);
+  }
+
+  return polygons.map((polygon) => [polygon.ring, ...polygon.holes]);
+}
+
+/**
+ * Converts a ring to rounded [lon, lat] positions, simplified and smoothed
+ * @param {Array} ring - [x, y] sample positions
+ * @param {Object} field - Field from sampleField()
+ * @param {Object} grid - Grid from the grid store
+ * @param {number} tolerance - Douglas-Peucker tolerance in degrees
+ * @param {number} smoothing - Chaikin iterations
+ * @returns {Array|null} Closed ring, or null when too little of it is left
+ */
+function toGeographic(ring, field, grid, tolerance, smoothing) {
+  const { stride, i0, j0 } = field;
+  // Sample positions are block centres
+  const centre = (stride - 1) / 2;
+  let positions = ring.map(([x, y]) => {
+    const { lat, lon } = grid.locator.geoPosition((i0 + x) * stride + centre, (j0 + y) * stride + centre);
+    return [lon, lat];
+  });
+
+  positions = simplify(positions, tolerance);
+  for (let iteration = 0; iteration < smoothing && positions.length >= 3; iteration++) {
+    positions = chaikin(positions);
+  }
+
+  const factor = 10 ** COORDINATE_DIGITS;
+  const rounded = [];
+  for (const [lon, lat] of positions) {
+    const position = [Math.round(lon * factor) / factor, Math.round(lat * factor) / factor];
+    const previous = rounded[rounded.length - 1];
+    if (!previous || previous[0] !== position[0] || previous[1] !== position[1]) rounded.push(position);
+  }
+  if (rounded.length < 3) return null;
+  return [...rounded, rounded[0]];
+}
+
+/**
+ * Douglas-Peucker simplification of a closed ring (given without its
+ * closing position)
+ * @param {Array} ring - [x, y] positions
+ * @param {number} tolerance - Largest distance a removed position may have had from the result
+ * @returns {Array} Remaining positions
+ */
+function simplify(ring, tolerance) {
+  if (tolerance <= 0 || ring.length <= 4) return ring;
+  const closed = [...ring, ring[0]];
+  const keep = new Uint8Array(closed.length);
+  keep[0] = 1;
+  keep[closed.length - 1] = 1;
+  const stack = [[0, closed.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let index = first + 1; index < last; index++) {
+      const distance = segmentDistance(closed[index], closed[first], closed[last]);
+      if (distance > farthestDistance) {
+        farthest = index;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest >= 0) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  const kept = closed.filter((position, index) => keep[index]).slice(0, -1);
+  return kept.length >= 3 ? kept : ring;
+}
+
+/**
+ * One round of Chaikin corner cutting on a closed ring
+ * @param {Array} ring - [x, y] positions, without the closing position
+ * @returns {Array} Twice as many positions
+ */
+function chaikin(ring) {
+  const result = [];
+  ring.forEach(([x1, y1], index) => {
+    const [x2, y2] = ring[(index + 1) % ring.length];
+    result.push([0.75 * x1 + 0.25 * x2, 0.75 * y1 + 0.25 * y2], [0.25 * x1 + 0.75 * x2, 0.25 * y1 + 0.75 * y2]);
+  });
+  return result;
+}
+
+function segmentDistance([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+/**
+ * Shoelace area; positive for rings that are clockwise on screen (rows
+ * down), i.e. counter-clockwise with y pointing up
+ * @param {Array} ring - [x, y] positions, closed or not
+ * @returns {number}
+ */
+function signedArea(ring) {
+  let sum = 0;
+  for (let index = 0; index < ring.length; index++) {
+    const [x1, y1] = ring[index];
+    const [x2, y2] = ring[(index + 1) % ring.length];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return sum / 2;
+}
+
+/**
+ * @param {Array} ring - Closed [lon, lat] ring
+ * @param {boolean} counterClockwise - Winding wanted
+ * @returns {Array} The ring, reversed if it wound the other way
+ */
+function orient(ring, counterClockwise) {
+  return signedArea(ring) > 0 === counterClockwise ? ring : [...ring].reverse();
+}
+
+/**
+ * Bounding box of a ring, in one pass: rings can have more vertices than
+ * Math.min() accepts as arguments
+ * @param {Array} ring - [x, y] positions
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+function ringBounds(ring) {
+  const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+  for (const [x, y] of ring) {
+    if (x < bounds.minX) bounds.minX = x;
+    if (x > bounds.maxX) bounds.maxX = x;
+    if (y < bounds.minY) bounds.minY = y;
+    if (y > bounds.maxY) bounds.maxY = y;
+  }
+  return bounds;
+}
+
+/**
+ * Even-odd ray casting
+ * @param {Array} ring - [x, y] positions
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+function containsPoint(ring, x, y) {
+  let inside = false;
+  for (let a = 0, b = ring.length - 1; a < ring.length; b = a++) {
+    const [xa, ya] = ring[a];
+    const [xb, yb] = ring[b];
+    if ((ya > y) !== (yb > y) && x < ((xb - xa) * (y - ya)) / (yb - ya) + xa) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {number} level - Contour level
+ * @returns {string} Colour of the scale stop the level falls in
+ */
+function colorFor(product, level) {
+  let color = product.colorScale[0].color;
+  for (const stop of product.colorScale) {
+    if (level >= stop.min) color = stop.color;
+  }
+  return color;
+}
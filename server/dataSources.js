@@ -0,0 +1,183 @@
+/**
+ * MRMS Data Sources
+ *
+ * Adapters that list and read the GRIB2 files of a product directory
+ * (e.g. "2D/PrecipRate/") below a configured root. The root URL picks the
+ * adapter:
+ *
+ *   https://mrms.ncep.noaa.gov/data/   NOAA's Apache directory index
+ *   file:///srv/mrms/                  a local directory with the same layout
+ *   s3://bucket/prefix/                an S3-compatible bucket with the same
+ *                                      layout, read anonymously
+ *
+ * Every adapter exposes the same interface:
+ *   description                     human-readable source, for logs
+ *   listFiles(directory)            GRIB2 file names in a product directory
+ *   readFile(directory, fileName)   raw file bytes, still gzipped if .gz
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createHttpClient } from "./httpClient.js";
+
+const GRIB_FILE_PATTERN = /\.grib2(?:\.gz)?$/;
+
+/**
+ * Creates the adapter for a data root URL
+ * @param {string} baseUrl - http(s)://, file:// or s3:// root of the MRMS layout
+ * @param {Object} [options]
+ * @param {string} [options.s3Endpoint] - Endpoint for s3:// roots, e.g. a local stand-in
+ * @param {Object} [options.http] - Timeouts, limits and retries for createHttpClient()
+ * @returns {Object} Data source
+ */
+export function createDataSource(baseUrl, { s3Endpoint, http } = {}) {
+  const url = new URL(withTrailingSlash(stripProductDirectory(baseUrl)));
+
+  switch (url.protocol) {
+    case "http:":
+    case "https:":
+      return createHttpIndexSource(url.href, createHttpClient(http));
+    case "file:":
+      return createDirectorySource(fileURLToPath(url));
+    case "s3:":
+      return createS3Source(url.hostname, url.pathname.slice(1), s3Endpoint, createHttpClient(http));
+    default:
+      throw new Error(`Unsupported MRMS_BASE_URL scheme: ${url.protocol}`);
+  }
+}
+
+/**
+ * Reads an Apache-style HTML directory index, as served by NOAA
+ * @param {string} root - URL ending in "/"
+ * @param {Object} client - Client from createHttpClient()
+ * @returns {Object} Data source
+ */
+function createHttpIndexSource(root, { fetchUrl }) {
+  return {
+    description: root,
+    async listFiles(directory) {
+      const html = await fetchUrl(root + directory);
+      return extractGribFiles(html);
+    },
+    readFile(directory, fileName) {
+      return fetchUrl(root + directory + fileName, true);
+    },
+  };
+}
+
+/**
+ * Reads a local directory laid out like the NOAA data root
+ * @param {string} root - Absolute directory path
+ * @returns {Object} Data source
+ */
+function createDirectorySource(root) {
+  return {
+    description: `directory ${root}`,
+    async listFiles(directory) {
+      const files = await fs.readdir(path.join(root, directory));
+      return files.filter((file) => GRIB_FILE_PATTERN.test(file));
+    },
+    readFile(directory, fileName) {
+      return fs.readFile(path.join(root, directory, path.basename(fileName)));
+    },
+  };
+}
+
+/**
+ * Lists a bucket with anonymous ListObjectsV2 requests using path-style
+ * URLs, which AWS and local stand-ins such as MinIO both accept
+ * @param {string} bucket - Bucket name
+ * @param {string} prefix - Key prefix of the data root, "" or ending in "/"
+ * @param {string} [endpoint] - Service endpoint; defaults to AWS
+ * @param {Object} client - Client from createHttpClient()
+ * @returns {Object} Data source
+ */
+function createS3Source(bucket, prefix, endpoint = "https://s3.amazonaws.com", { fetchUrl }) {
+  const bucketUrl = `${endpoint.replace(/\/+$/, "")}/${bucket}`;
+
+  return {
+    description: `s3://${bucket}/${prefix} via ${endpoint}`,
+    async listFiles(directory) {
+      const keyPrefix = prefix + directory;
+      const files = [];
+      let continuationToken = null;
+
+      do {
+        const query = new URLSearchParams({ "list-type": "2", prefix: keyPrefix, delimiter: "/" });
+        if (continuationToken) {
+          query.set("continuation-token", continuationToken);
+        }
+        const xml = await fetchUrl(`${bucketUrl}?${query}`);
+
+        for (const key of xmlValues(xml, "Key")) {
+          const fileName = key.slice(keyPrefix.length);
+          if (GRIB_FILE_PATTERN.test(fileName)) {
+            files.push(fileName);
+          }
+        }
+        continuationToken = xmlValues(xml, "IsTruncated")[0] === "true"
+          ? xmlValues(xml, "NextContinuationToken")[0]
+          : null;
+      } while (continuationToken);
+
+      return files;
+    },
+    readFile(directory, fileName) {
+      const key = (prefix + directory + fileName).split("/").map(encodeURIComponent).join("/");
+      return fetchUrl(`${bucketUrl}/${key}`, true);
+    },
+  };
+}
+
+/**
+ * Extracts GRIB2 filenames from HTML directory listing
+ * @param {string} html - HTML content
+ * @returns {Array<string>} List of GRIB2 filenames
+ */
+function extractGribFiles(html) {
+  const regex = /href="([^"]*\.grib2(?:\.gz)?)"/g;
+  const files = [];
+  let match;
+
+  while ((match = regex.exec(html)) !== null) {
+    files.push(match[1]);
+  }
+
+  return files;
+}
+
+/**
+ * @param {string} xml - S3 response body
+ * @param {string} tag - Element name
+ * @returns {Array<string>} Text of every element with that name, entities decoded
+ */
+function xmlValues(xml, tag) {
+  const regex = new RegExp(`<${tag}>([^<]*)</${tag}>`, "g");
+  return [...xml.matchAll(regex)].map((match) =>
+    match[1]
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&")
+  );
+}
+
+function withTrailingSlash(url) {
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+/**
+ * Older configurations point MRMS_BASE_URL at the RALA directory itself;
+ * products are now resolved below the data root, so that suffix is dropped.
+ * @param {string} url - Configured root
+ * @returns {string} Data root
+ */
+function stripProductDirectory(url) {
+  const root = url.replace(/2D\/[^/]+\/?$/, "");
+  if (root !== url) {
+    console.warn(`⚠️  MRMS_BASE_URL points at a product directory, using ${root} as the data root`);
+  }
+  return root;
+}
@@ -0,0 +1,95 @@
+/**
+ * Server-Sent Events
+ *
+ * Pushes "frame" events when a product gets a new newest frame, and relays
+ * "alert" events from the alert service, to every connected /api/stream
+ * client. Event ids increase across restarts (they start from the boot
+ * time), and recent events are kept in memory: a client that reconnects
+ * with Last-Event-ID gets the events it missed. When the id is older than
+ * the history, as after a long disconnect or a restart, the client gets the
+ * current newest frame of each of its products instead. Comment lines are
+ * sent periodically so proxies do not close idle connections.
+ */
+
+const HEARTBEAT_MS = 25000;
+// Reconnection delay suggested to EventSource clients
+const RETRY_MS = 5000;
+
+/**
+ * Creates an event stream
+ * @param {Object} options
+ * @param {Function} options.snapshot - Called with (productIds) to list the
+ *   "frame" events describing the current newest frames, as {type, data}
+ * @param {number} [options.maxHistory=200] - Recent events kept for replay
+ * @returns {Object} Stream with publish() and connect()
+ */
+export function createEventStream({ snapshot, maxHistory = 200 }) {
+  const clients = new Set();
+  // Oldest first
+  const history = [];
+  let lastId = Date.now();
+
+  /**
+   * Sends an event to every client interested in its product
+   * @param {string} type - Event name
+   * @param {Object} data - Payload; data.product decides who receives it
+   */
+  function publish(type, data) {
+    const event = { id: ++lastId, type, data };
+    history.push(event);
+    while (history.length > maxHistory) history.shift();
+
+    for (const client of clients) {
+      if (client.wants(data.product)) write(client.res, event);
+    }
+  }
+
+  /**
+   * Serves one stream until the client disconnects
+   * @param {express.Request} req
+   * @param {express.Response} res
+   * @param {Array<string>|null} productIds - Products to announce, or null for all
+   */
+  function connect(req, res, productIds) {
+    const client = {
+      res,
+      wants: (productId) => productIds === null || productIds.includes(productId),
+    };
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Stops nginx from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Replay is possible when the client has seen everything before the history
+    const lastEventId = Number(req.get("Last-Event-ID") || req.query.lastEventId);
+    const replayFrom = history.length > 0 ? history[0].id - 1 : lastId;
+    if (lastEventId >= replayFrom && lastEventId <= lastId) {
+      for (const event of history) {
+        if (event.id > lastEventId && client.wants(event.data.product)) write(res, event);
+      }
+    } else {
+      // Snapshot events reuse the newest id, so a later reconnect replays from here
+      for (const { type, data } of snapshot(productIds)) {
+        write(res, { id: lastId, type, data });
+      }
+    }
+
+    clients.add(client);
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  return { publish, connect };
+}
+
+function write(res, { id, type, data }) {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
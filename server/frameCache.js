@@ -0,0 +1,283 @@
+/**
+ * On-Disk Frame Archive
+ *
+ * Stores each ingested frame as the exact JSON body /api/radar sends, one
+ * file per source GRIB2 file under <directory>/<product>/, next to a gzipped
+ * copy of the GRIB2 data for full-resolution consumers. File names start
+ * with the frame's valid time, so the archive can be listed by time without
+ * opening any file. Frames older than the retention window, measured back
+ * from each product's newest frame, are deleted. The newest frame of every
+ * product is kept in memory with its ETag and Last-Modified date; older
+ * frames are read from disk on request. The index is rebuilt from the
+ * directory on startup, so frames survive restarts.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FRAME_EXTENSION = '.json';
+const SOURCE_EXTENSION = '.grib2.gz';
+const NAME_SEPARATOR = '__';
+
+/**
+ * Creates a frame archive rooted at a directory
+ * @param {string} directory - Archive root, created if missing
+ * @param {Object} [options]
+ * @param {number} [options.retentionHours=6] - Hours of frames kept per product
+ * @returns {Object} Archive with load(), has(), latest(), list(), find(),
+ *   get(), readSource() and put()
+ */
+export function createFrameCache(directory, { retentionHours = 6 } = {}) {
+  const retentionMs = retentionHours * 3600 * 1000;
+  // productId -> { frames: [{time, name, source}] oldest first, latest: frame|null }
+  const products = new Map();
+
+  function entryFor(productId) {
+    if (!products.has(productId)) {
+      products.set(productId, { frames: [], latest: null });
+    }
+    return products.get(productId);
+  }
+
+  /**
+   * Indexes the frames already on disk and loads the newest of each product
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    await fs.mkdir(directory, { recursive: true });
+    const productDirs = await fs.readdir(directory, { withFileTypes: true });
+
+    for (const dirent of productDirs) {
+      if (!dirent.isDirectory()) continue;
+
+      const files = await fs.readdir(path.join(directory, dirent.name));
+      const frames = files
+        .filter((file) => file.endsWith(FRAME_EXTENSION))
+        .map((file) => indexEntry(file.slice(0, -FRAME_EXTENSION.length)))
+        .filter(Boolean)
+        .sort((a, b) => a.time - b.time);
+      if (frames.length === 0) continue;
+
+      const entry = entryFor(dirent.name);
+      entry.frames = frames;
+      await prune(dirent.name, entry);
+
+      const newest = entry.frames[entry.frames.length - 1];
+      try {
+        entry.latest = await readFrame(dirent.name, newest.name);
+      } catch (error) {
+        console.warn(`⚠️  Unreadable cached frame ${dirent.name}/${newest.name}: ${error.message}`);
+      }
+    }
+
+    const total = [...products.values()].reduce((sum, entry) => sum + entry.frames.length, 0);
+    console.log(`🗄️  Frame archive: ${total} frames for ${products.size} products in ${directory}`);
+  }
+
+  /**
+   * @param {string} productId - Catalog product id
+   * @param {string} sourceFile - MRMS file name the frame was decoded from
+   * @returns {boolean} Whether that source file has already been ingested
+   */
+  function has(productId, sourceFile) {
+    const entry = products.get(productId);
+    const source = sourceName(sourceFile);
+    return Boolean(entry && entry.frames.some((frame) => frame.source === source));
+  }
+
+  /**
+   * @param {string} productId - Catalog product id
+   * @returns {Object|null} Newest frame: {productId, name, time, body, etag, lastModified}
+   */
+  function latest(productId) {
+    const entry = products.get(productId);
+    return entry ? entry.latest : null;
+  }
+
+  /**
+   * Lists archived frame times, oldest first
+   * @param {string} productId - Catalog product id
+   * @param {Object} [range]
+   * @param {Date} [range.from] - Inclusive lower bound
+   * @param {Date} [range.to] - Inclusive upper bound
+   * @returns {Array<Date>} Valid times of the archived frames
+   */
+  function list(productId, { from, to } = {}) {
+    const entry = products.get(productId);
+    if (!entry) return [];
+    return entry.frames
+      .filter((frame) => (!from || frame.time >= from) && (!to || frame.time <= to))
+      .map((frame) => new Date(frame.time));
+  }
+
+  /**
+   * Finds the archived frame valid at exactly the given time without reading it
+   * @param {string} productId - Catalog product id
+   * @param {Date} time - Frame valid time
+   * @returns {string|null} Frame name, or null when none is archived for that time
+   */
+  function find(productId, time) {
+    const entry = products.get(productId);
+    const indexed = entry && entry.frames.find((frame) => frame.time === time.getTime());
+    return indexed ? indexed.name : null;
+  }
+
+  /**
+   * Reads the frame valid at exactly the given time
+   * @param {string} productId - Catalog product id
+   * @param {Date} time - Frame valid time
+   * @returns {Promise<Object|null>} Frame, or null when none is archived for that time
+   */
+  async function get(productId, time) {
+    const name = find(productId, time);
+    if (!name) return null;
+    const newest = latest(productId);
+    if (newest && newest.name === name) return newest;
+    return readFrame(productId, name);
+  }
+
+  /**
+   * Reads the GRIB2 data a frame was decoded from
+   * @param {string} productId - Catalog product id
+   * @param {string} name - Frame name
+   * @returns {Promise<Buffer|null>} Uncompressed GRIB2 data, or null when not archived
+   */
+  async function readSource(productId, name) {
+    try {
+      return await gunzip(await fs.readFile(path.join(directory, productId, name + SOURCE_EXTENSION)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a decoded frame to disk and makes it the newest if it is
+   * @param {string} productId - Catalog product id
+   * @param {string} sourceFile - MRMS file name the frame was decoded from
+   * @param {Object} response - JSON body to serve for this frame
+   * @param {Buffer} [gribData] - Uncompressed GRIB2 data, archived alongside
+   * @returns {Promise<Object>} The stored frame
+   */
+  async function put(productId, sourceFile, response, gribData) {
+    const time = frameTime(response) || parseFrameTime(sourceFile) || new Date();
+    const name = formatFrameTime(time) + NAME_SEPARATOR + sourceName(sourceFile);
+    const productDir = path.join(directory, productId);
+    const filePath = path.join(productDir, name + FRAME_EXTENSION);
+    const body = Buffer.from(JSON.stringify(response));
+
+    // Write then rename so a crash never leaves a half-written frame behind.
+    // The source goes first: an indexed frame always has its source on disk.
+    await fs.mkdir(productDir, { recursive: true });
+    if (gribData) {
+      const sourcePath = path.join(productDir, name + SOURCE_EXTENSION);
+      await fs.writeFile(`${sourcePath}.tmp`, await gzip(gribData));
+      await fs.rename(`${sourcePath}.tmp`, sourcePath);
+    }
+    await fs.writeFile(`${filePath}.tmp`, body);
+    await fs.rename(`${filePath}.tmp`, filePath);
+
+    const frame = createFrame(productId, name, time, body);
+    const entry = entryFor(productId);
+    if (!entry.frames.some((indexed) => indexed.name === name)) {
+      entry.frames.push(indexEntry(name));
+      entry.frames.sort((a, b) => a.time - b.time);
+    }
+    if (entry.frames[entry.frames.length - 1].name === name) {
+      entry.latest = frame;
+    }
+
+    await prune(productId, entry);
+    return frame;
+  }
+
+  async function prune(productId, entry) {
+    const cutoff = entry.frames[entry.frames.length - 1].time - retentionMs;
+    while (entry.frames.length > 1 && entry.frames[0].time < cutoff) {
+      const { name } = entry.frames.shift();
+      await fs.rm(path.join(directory, productId, name + FRAME_EXTENSION), { force: true });
+      await fs.rm(path.join(directory, productId, name + SOURCE_EXTENSION), { force: true });
+    }
+  }
+
+  async function readFrame(productId, name) {
+    const body = await fs.readFile(path.join(directory, productId, name + FRAME_EXTENSION));
+    return createFrame(productId, name, new Date(indexEntry(name).time), body);
+  }
+
+  return { retentionMs, load, has, latest, list, find, get, readSource, put };
+}
+
+/**
+ * Parses a frame time from an API parameter or an MRMS file name. Accepts
+ * the compact YYYYMMDD-HHMMSS form used in MRMS names and ISO 8601.
+ * @param {string} text - Timestamp or text containing a compact timestamp
+ * @returns {Date|null} UTC time, or null when nothing parses
+ */
+export function parseFrameTime(text) {
+  const compact = /(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/.exec(text);
+  if (compact) {
+    const [, year, month, day, hour, minute, second] = compact.map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  }
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * @param {Date} time - Frame valid time
+ * @returns {string} Compact UTC timestamp, YYYYMMDD-HHMMSS
+ */
+export function formatFrameTime(time) {
+  return time.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+}
+
+/**
+ * @param {string} name - Frame file name without extension
+ * @returns {Object|null} {time, name, source}, or null for files that are not frames
+ */
+function indexEntry(name) {
+  const separator = name.indexOf(NAME_SEPARATOR);
+  const time = separator > 0 ? parseFrameTime(name.slice(0, separator)) : null;
+  if (!time) return null;
+  return { time: time.getTime(), name, source: name.slice(separator + NAME_SEPARATOR.length) };
+}
+
+/**
+ * @param {string} sourceFile - e.g. MRMS_PrecipRate_00.00_20251006-123000.grib2.gz
+ * @returns {string} File-system safe name of the source file
+ */
+function sourceName(sourceFile) {
+  return path.basename(sourceFile).replace(/\.grib2(\.gz)?$/, '').replace(/[^\w.-]/g, '_');
+}
+
+function frameTime(response) {
+  const metadata = response.data && response.data.metadata;
+  return metadata && metadata.validTime ? parseFrameTime(metadata.validTime) : null;
+}
+
+/**
+ * Builds the in-memory frame with its HTTP validators
+ * @param {string} productId - Catalog product id
+ * @param {string} name - Frame name
+ * @param {Date} time - Frame valid time
+ * @param {Buffer} body - Serialized response
+ * @returns {Object} Frame
+ */
+function createFrame(productId, name, time, body) {
+  return {
+    productId,
+    name,
+    time,
+    body,
+    etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+    lastModified: time,
+  };
+}
@@ -0,0 +1,265 @@
+/**
+ * GeoTIFF Export
+ *
+ * Writes a frame's decoded grid as a single-band float32 GeoTIFF that GDAL,
+ * QGIS and other GIS tools open directly. The raster is the regular
+ * latitude/longitude raster the binary grid transport uses: lat/lon grids
+ * keep their native cells, so the georeferencing comes straight from the
+ * Section 3 first point and increments; projected grids are resampled
+ * (nearest cell) over their bounding box. Georeferencing is EPSG:4326 with
+ * pixel-is-area cells, the tiepoint being the north-west corner of the first
+ * cell. Cells without echo or outside radar coverage hold the NoData value.
+ * Strips are deflate-compressed. An optional bbox crops the raster to the
+ * cells whose centres fall inside it.
+ */
+
+import zlib from "zlib";
+import { promisify } from "util";
+import { outputRaster } from "./gridTransport.js";
+import { escapeXml } from "./gridExport.js";
+
+const deflate = promisify(zlib.deflate);
+
+export const GEOTIFF_CONTENT_TYPE = "image/tiff";
+// MRMS's own missing value
+export const NO_DATA = -999;
+// Uncompressed bytes per strip
+const STRIP_BYTES = 256 * 1024;
+
+// TIFF field types
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const DOUBLE = 12;
+const TYPE_SIZES = { [ASCII]: 1, [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8 };
+
+// Values from the TIFF 6.0 and GeoTIFF 1.0 specifications
+const COMPRESSION_DEFLATE = 8;
+const PHOTOMETRIC_BLACK_IS_ZERO = 1;
+const SAMPLE_FORMAT_FLOAT = 3;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_AREA = 1;
+const GCS_WGS_84 = 4326;
+const ANGULAR_UNIT_DEGREE = 9102;
+
+/**
+ * Creates a GeoTIFF service
+ * @param {Object} options
+ * @param {Object} options.gridStore - Store from createGridStore()
+ * @param {number} [options.maxFiles=4] - Encoded files kept in memory
+ * @returns {Object} Service with getGeoTiff()
+ */
+export function createGeoTiffService({ gridStore, maxFiles = 4 }) {
+  // key -> Promise<{body, width, height}|null>, least recently used first
+  const files = new Map();
+
+  /**
+   * @param {Object} product - Catalog entry from getProduct()
+   * @param {string} frameName - Frame name from the archive
+   * @param {Object|null} bbox - {west, south, east, north} to crop to, or null
+   * @returns {Promise<{body: Buffer|null, width: number, height: number}|null>}
+   *   The file, with a null body when no cell centre falls inside the bbox;
+   *   or null when the frame has no archived grid
+   */
+  function getGeoTiff(product, frameName, bbox) {
+    const key = `${product.id}/${frameName}/${bbox ? Object.values(bbox).join(",") : ""}`;
+    if (files.has(key)) {
+      const cached = files.get(key);
+      files.delete(key);
+      files.set(key, cached);
+      return cached;
+    }
+
+    const encoding = gridStore.load(product.id, frameName).then((grid) =>
+      grid ? encodeGeoTiff(grid, product, bbox) : null
+    );
+    files.set(key, encoding);
+    encoding.catch(() => files.delete(key));
+    while (files.size > maxFiles) {
+      files.delete(files.keys().next().value);
+    }
+    return encoding;
+  }
+
+  return { getGeoTiff };
+}
+
+/**
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {Object|null} bbox - Crop box, or null
+ * @returns {Promise<{body: Buffer|null, width: number, height: number}>}
+ */
+async function encodeGeoTiff(grid, product, bbox) {
+  const raster = outputRaster(grid, 1);
+  const window = cropWindow(raster, bbox);
+  if (!window) return { body: null, width: 0, height: 0 };
+
+  const { width, height } = window;
+  const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(STRIP_BYTES / (width * 4))));
+  const strips = [];
+  for (let firstRow = 0; firstRow < height; firstRow += rowsPerStrip) {
+    const rows = Math.min(rowsPerStrip, height - firstRow);
+    strips.push(await deflate(stripData(grid, raster, window, firstRow, rows)));
+  }
+
+  // Pixel-is-area: the tiepoint is the outer corner of the first cell
+  const west = raster.west + (window.column - 0.5) * raster.dx;
+  const north = raster.north - (window.row - 0.5) * raster.dy;
+  const metadata =
+    "<GDALMetadata>" +
+    `<Item name="product">${escapeXml(product.id)}</Item>` +
+    `<Item name="units">${escapeXml(product.units)}</Item>` +
+    `<Item name="validTime">${escapeXml(grid.validTime || "")}</Item>` +
+    "</GDALMetadata>";
+
+  const tags = [
+    { tag: 256, type: LONG, values: [width] },
+    { tag: 257, type: LONG, values: [height] },
+    { tag: 258, type: SHORT, values: [32] },
+    { tag: 259, type: SHORT, values: [COMPRESSION_DEFLATE] },
+    { tag: 262, type: SHORT, values: [PHOTOMETRIC_BLACK_IS_ZERO] },
+    // StripOffsets, filled in once the layout is known
+    { tag: 273, type: LONG, values: strips.map(() => 0) },
+    { tag: 277, type: SHORT, values: [1] },
+    { tag: 278, type: LONG, values: [rowsPerStrip] },
+    { tag: 279, type: LONG, values: strips.map((strip) => strip.length) },
+    { tag: 284, type: SHORT, values: [1] },
+    { tag: 339, type: SHORT, values: [SAMPLE_FORMAT_FLOAT] },
+    // ModelPixelScale and ModelTiepoint
+    { tag: 33550, type: DOUBLE, values: [raster.dx, raster.dy, 0] },
+    { tag: 33922, type: DOUBLE, values: [0, 0, 0, west, north, 0] },
+    // GeoKeyDirectory: version 1.1.0, then (key, location, count, value)
+    {
+      tag: 34735,
+      type: SHORT,
+      values: [
+        1, 1, 0, 4,
+        1024, 0, 1, MODEL_TYPE_GEOGRAPHIC,
+        1025, 0, 1, RASTER_PIXEL_IS_AREA,
+        2048, 0, 1, GCS_WGS_84,
+        2054, 0, 1, ANGULAR_UNIT_DEGREE,
+      ],
+    },
+    { tag: 42112, type: ASCII, values: metadata },
+    { tag: 42113, type: ASCII, values: String(NO_DATA) },
+  ];
+
+  return { body: writeTiff(tags, strips), width, height };
+}
+
+/**
+ * Columns and rows of the raster whose cell centres fall inside a box
+ * @param {Object} raster - Raster from outputRaster()
+ * @param {Object|null} bbox - Crop box, or null for the whole raster
+ * @returns {{column: number, row: number, width: number, height: number}|null}
+ */
+function cropWindow(raster, bbox) {
+  if (!bbox) {
+    return { column: 0, row: 0, width: raster.width, height: raster.height };
+  }
+  const first = (start, step) => (step > 0 ? Math.ceil(start / step - 1e-9) : 0);
+  const last = (end, step, count) => (step > 0 ? Math.floor(end / step + 1e-9) : count - 1);
+
+  const column = Math.max(0, first(bbox.west - raster.west, raster.dx));
+  const lastColumn = Math.min(raster.width - 1, last(bbox.east - raster.west, raster.dx, raster.width));
+  const row = Math.max(0, first(raster.north - bbox.north, raster.dy));
+  const lastRow = Math.min(raster.height - 1, last(raster.north - bbox.south, raster.dy, raster.height));
+  if (column > lastColumn || row > lastRow) return null;
+  return { column, row, width: lastColumn - column + 1, height: lastRow - row + 1 };
+}
+
+/**
+ * Float32 values of consecutive rows, little-endian
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} raster - Raster from outputRaster()
+ * @param {Object} window - Window from cropWindow()
+ * @param {number} firstRow - First row of the strip, within the window
+ * @param {number} rows - Rows in the strip
+ * @returns {Buffer}
+ */
+function stripData(grid, raster, window, firstRow, rows) {
+  const { values, coverage, locator } = grid;
+  const data = Buffer.alloc(rows * window.width * 4);
+  let offset = 0;
+
+  for (let row = firstRow; row < firstRow + rows; row++) {
+    const lat = raster.north - (window.row + row) * raster.dy;
+    for (let column = window.column; column < window.column + window.width; column++) {
+      const index = locator.nearestIndex(lat, raster.west + column * raster.dx);
+      const value = index >= 0 && coverage[index] ? values[index] : NaN;
+      data.writeFloatLE(Number.isNaN(value) ? NO_DATA : value, offset);
+      offset += 4;
+    }
+  }
+  return data;
+}
+
+/**
+ * Lays out a little-endian TIFF with one image file directory: header,
+ * directory, values too large for their entries, then the strips. Offsets
+ * are kept on word boundaries.
+ * @param {Array<{tag: number, type: number, values: Array<number>|string}>} tags - Ascending by tag;
+ *   tag 273 (StripOffsets) is filled in here
+ * @param {Array<Buffer>} strips - Compressed strips
+ * @returns {Buffer}
+ */
+function writeTiff(tags, strips) {
+  const entries = tags.map(({ tag, type, values }) => {
+    const data = type === ASCII ? Buffer.from(`${values}\0`, "latin1") : null;
+    const count = data ? data.length : values.length;
+    return { tag, type, values, data, count, size: count * TYPE_SIZES[type] };
+  });
+
+  const directoryOffset = 8;
+  const directorySize = 2 + entries.length * 12 + 4;
+  let offset = directoryOffset + directorySize;
+  for (const entry of entries) {
+    if (entry.size > 4) {
+      offset += offset % 2;
+      entry.offset = offset;
+      offset += entry.size;
+    }
+  }
+
+  const stripOffsets = [];
+  for (const strip of strips) {
+    offset += offset % 2;
+    stripOffsets.push(offset);
+    offset += strip.length;
+  }
+  entries.find((entry) => entry.tag === 273).values = stripOffsets;
+
+  const buffer = Buffer.alloc(offset);
+  buffer.write("II", 0, "latin1");
+  buffer.writeUInt16LE(42, 2);
+  buffer.writeUInt32LE(directoryOffset, 4);
+
+  buffer.writeUInt16LE(entries.length, directoryOffset);
+  entries.forEach((entry, index) => {
+    const position = directoryOffset + 2 + index * 12;
+    buffer.writeUInt16LE(entry.tag, position);
+    buffer.writeUInt16LE(entry.type, position + 2);
+    buffer.writeUInt32LE(entry.count, position + 4);
+    // Values of 4 bytes or less sit in the entry itself, left-justified
+    writeValues(buffer, entry, entry.size > 4 ? entry.offset : position + 8);
+    if (entry.size > 4) buffer.writeUInt32LE(entry.offset, position + 8);
+  });
+  // No further directories
+  buffer.writeUInt32LE(0, directoryOffset + directorySize - 4);
+
+  strips.forEach((strip, index) => strip.copy(buffer, stripOffsets[index]));
+  return buffer;
+}
+
+function writeValues(buffer, { type, values, data }, offset) {
+  if (data) {
+    data.copy(buffer, offset);
+    return;
+  }
+  values.forEach((value, index) => {
+    if (type === SHORT) buffer.writeUInt16LE(value, offset + index * 2);
+    else if (type === LONG) buffer.writeUInt32LE(value, offset + index * 4);
+    else buffer.writeDoubleLE(value, offset + index * 8);
+  });
+}
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+/**
+ * grib2-fixture: deterministic GRIB2 fixtures for offline development
+ *
+ * Writes a synthetic reflectivity field through the GRIB2 writer: a few
+ * storm cores on a 0.01° lat/lon grid over the southern Plains, drifting
+ * east-north-east with the valid time, with a corner outside radar coverage.
+ * The same time always gives the same bytes, so a directory of fixtures can
+ * stand in for the MRMS server with MRMS_BASE_URL=file://<dir>/.
+ *
+ * With --check, the field is instead encoded with every packing the writer
+ * has (simple, complex with and without spatial differencing, IEEE and
+ * PNG), each with sentinels and with a bitmap, and on rotated lat/lon, polar
+ * stereographic and Lambert conformal grids; each file is parsed back with
+ * parseMRMSGrib2 and compared point by point. The check also decodes the files in
+ * server/fixtures, which hold packings the writer cannot produce, and
+ * compares them with the field they were made from. The exit code is 1 when
+ * anything differs.
+ *
+ * Usage:
+ *   node server/grib2-fixture.js <output> [options]
+ *   node server/grib2-fixture.js --check [--size <nx>x<ny>]
+ *
+ * <output> is a .grib2 or .grib2.gz file, or a directory, which receives
+ * 2D/ReflectivityAtLowestAltitude/MRMS_ReflectivityAtLowestAltitude_00.50_<time>.grib2.gz
+ *
+ * Options:
+ *   --time <ISO 8601>     Valid time (default 2025-10-06T12:00:00Z)
+ *   --packing <name>      simple, complex, ieee or png (default png, as MRMS publishes)
+ *   --differencing <n>    Spatial differencing order for complex packing: 1 or 2
+ *   --missing <mode>      sentinel (default) or bitmap
+ *   --size <nx>x<ny>      Grid size (default 600x400)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { encodeGrib2 } from './grib2Writer.js';
+import { parseMRMSGrib2 } from './grib2Parser.js';
+import { formatFrameTime } from './frameCache.js';
+
+const PRODUCT_ID = 'ReflectivityAtLowestAltitude';
+const DEFAULT_TIME = '2025-10-06T12:00:00Z';
+// Values keep one decimal place, as in MRMS reflectivity
+const DECIMAL_SCALE_FACTOR = 1;
+const TOLERANCE = 0.5 * 10 ** -DECIMAL_SCALE_FACTOR + 1e-4;
+// Grid spacing in micro-degrees, and the first (north-west) point
+const SPACING = 10000;
+const FIRST_LAT = 40e6;
+const FIRST_LON = 260e6;
+// Storm cores as [column, row, radius in cells, peak dBZ] at DEFAULT_TIME,
+// in fractions of the grid so every size gets the same picture
+const STORMS = [
+  [0.25, 0.5, 0.1, 58],
+  [0.32, 0.42, 0.06, 50],
+  [0.38, 0.58, 0.075, 62],
+  [0.2, 0.62, 0.05, 45],
+  [0.58, 0.3, 0.09, 55],
+];
+// Cells moved per hour: east-north-east at about 55 km/h
+const DRIFT_PER_HOUR = [4.5, -2];
+
+// Files written by other encoders, with the time and size of the field each
+// message holds. ReflectivityAtLowestAltitude-jpeg2000.grib2 is the 160x120
+// field at DEFAULT_TIME with sentinels, packed as template 5.40 by OpenJPEG
+// 2.5: lossless 5/3 wavelet, 4 levels in LRCP order, then 3 levels in RPCL.
+const DECODE_FIXTURES = [
+  { file: 'ReflectivityAtLowestAltitude-jpeg2000.grib2', time: DEFAULT_TIME, nx: 160, ny: 120, missing: 'sentinel' },
+];
+
+// Writer options for each packing the check covers
+const CHECK_PACKINGS = {
+  simple: { packing: 'simple' },
+  complex: { packing: 'complex' },
+  'complex, 1st differences': { packing: 'complex', spatialDifferencingOrder: 1 },
+  'complex, 2nd differences': { packing: 'complex', spatialDifferencingOrder: 2 },
+  ieee: { packing: 'ieee' },
+  png: { packing: 'png' },
+};
+
+const USAGE = `Usage: node server/grib2-fixture.js <output> [--time <ISO 8601>] [--packing simple|complex|ieee|png] [--differencing 1|2] [--missing sentinel|bitmap] [--size <nx>x<ny>]
+       node server/grib2-fixture.js --check [--size <nx>x<ny>]`;
+
+/**
+ * Parses command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArguments(argv) {
+  const options = { output: null, check: false, time: new Date(DEFAULT_TIME), packing: 'png', differencing: 0, missing: 'sentinel', nx: 600, ny: 400 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--check') {
+      options.check = true;
+    } else if (arg === '--time') {
+      options.time = new Date(next());
+      if (Number.isNaN(options.time.getTime())) {
+        throw new Error('--time expects an ISO 8601 time');
+      }
+    } else if (arg === '--packing') {
+      options.packing = next();
+      if (!['simple', 'complex', 'ieee', 'png'].includes(options.packing)) {
+        throw new Error('--packing expects simple, complex, ieee or png');
+      }
+    } else if (arg === '--differencing') {
+      options.differencing = Number(next());
+      if (options.differencing !== 1 && options.differencing !== 2) {
+        throw new Error('--differencing expects 1 or 2');
+      }
+    } else if (arg === '--missing') {
+      options.missing = next();
+      if (options.missing !== 'sentinel' && options.missing !== 'bitmap') {
+        throw new Error('--missing expects sentinel or bitmap');
+      }
+    } else if (arg === '--size') {
+      const match = /^(\d+)x(\d+)$/.exec(next());
+      if (!match || Number(match[1]) < 10 || Number(match[2]) < 10) {
+        throw new Error('--size expects <nx>x<ny>, each at least 10');
+      }
+      options.nx = Number(match[1]);
+      options.ny = Number(match[2]);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!options.output) {
+      options.output = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (options.differencing && options.packing !== 'complex') {
+    throw new Error('--differencing needs --packing complex');
+  }
+  return options;
+}
+
+/**
+ * Builds the synthetic field for a valid time, shaped like parseMRMSGrib2 output
+ * @param {Date} time - Valid time
+ * @param {number} nx - Columns
+ * @param {number} ny - Rows
+ * @returns {Object} Field for encodeGrib2()
+ */
+function fixtureField(time, nx, ny) {
+  const hours = (time.getTime() - Date.parse(DEFAULT_TIME)) / 3600000;
+  const scale = Math.min(nx, ny);
+  const values = new Float32Array(nx * ny).fill(NaN);
+  const coverage = new Uint8Array(nx * ny).fill(1);
+
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const index = j * nx + i;
+      // South-east corner lies outside the radar network
+      if (i > nx * 0.85 && j > ny * 0.75) {
+        coverage[index] = 0;
+        continue;
+      }
+
+      let value = -Infinity;
+      for (const [column, row, radius, peak] of STORMS) {
+        const distance = Math.hypot(
+          i - column * nx - DRIFT_PER_HOUR[0] * hours * (nx / 100),
+          j - row * ny - DRIFT_PER_HOUR[1] * hours * (ny / 100)
+        );
+        const cells = radius * scale;
+        if (distance < cells) {
+          value = Math.max(value, peak - (distance * (peak - 15)) / cells);
+        }
+      }
+      if (value > -Infinity) {
+        values[index] = Math.round(value * 10) / 10;
+      }
+    }
+  }
+
+  return {
+    discipline: 209,
+    referenceTime: time.toISOString(),
+    productDefinition: {
+      template: 0,
+      parameterCategory: 3,
+      parameterNumber: 44,
+      forecastTime: { value: 0, unit: 0 },
+      firstSurface: { type: 1, value: 0 },
+    },
+    gridDefinition: {
+      template: 0,
+      shapeOfEarth: 6,
+      earthRadius: 6371229,
+      nx,
+      ny,
+      la1: FIRST_LAT,
+      lo1: FIRST_LON,
+      la2: FIRST_LAT - (ny - 1) * SPACING,
+      lo2: FIRST_LON + (nx - 1) * SPACING,
+      dx: SPACING,
+      dy: SPACING,
+      scanningMode: { flags: 0 },
+    },
+    values,
+    coverage,
+  };
+}
+
+/**
+ * The fixture's grid definition recast as the projected grid templates the
+ * writer supports. Only the definition changes, not the values.
+ * @param {Object} field - Field from fixtureField()
+ * @returns {Object} Grid definitions keyed by a description
+ */
+function projectedGrids(field) {
+  const { nx, ny, shapeOfEarth, earthRadius, scanningMode } = field.gridDefinition;
+  const projected = { nx, ny, shapeOfEarth, earthRadius, scanningMode, southPoleCentre: false };
+
+  return {
+    'rotated lat/lon (3.1)': { ...field.gridDefinition, template: 1, southPoleLat: -35000000, southPoleLon: 280000000, rotationAngle: 0 },
+    'polar stereographic (3.20)': { ...projected, template: 20, la1: 30000000, lo1: 250000000, lad: 60000000, lov: 255000000, dx: 4000000, dy: 4000000 },
+    'Lambert conformal (3.30)': {
+      ...projected,
+      template: 30,
+      la1: 21138000,
+      lo1: 237280000,
+      lad: 38500000,
+      lov: 262500000,
+      dx: 3000000,
+      dy: 3000000,
+      latin1: 38500000,
+      latin2: 38500000,
+    },
+  };
+}
+
+/**
+ * Encodes the fixture in every packing and missing-value mode, and on each
+ * projected grid, and compares what parseMRMSGrib2 reads back
+ * @param {Object} field - Field from fixtureField()
+ * @returns {Array<string>} One line per mode, prefixed with "ok" or "FAIL"
+ */
+function roundTrip(field) {
+  const cases = [];
+  for (const [packing, options] of Object.entries(CHECK_PACKINGS)) {
+    for (const missing of ['sentinel', 'bitmap']) {
+      cases.push({ mode: `${packing}/${missing}`, field, options: { ...options, missing } });
+    }
+  }
+  for (const [grid, gridDefinition] of Object.entries(projectedGrids(field))) {
+    cases.push({ mode: grid, field: { ...field, gridDefinition }, options: { packing: 'png', missing: 'sentinel' } });
+  }
+
+  return cases.map(({ mode, field: expected, options }) => {
+    try {
+      const buffer = encodeGrib2(expected, { ...options, decimalScaleFactor: DECIMAL_SCALE_FACTOR });
+      const parsed = parseMRMSGrib2(buffer);
+      const problem = parsed.length !== 1 ? `${parsed.length} fields decoded` : compareFields(expected, parsed[0], options.missing);
+      return problem ? `FAIL ${mode}: ${problem}` : `ok   ${mode}: ${buffer.length} bytes`;
+    } catch (error) {
+      return `FAIL ${mode}: ${error.message}`;
+    }
+  });
+}
+
+/**
+ * Decodes each fixture file and compares its messages with the field they hold
+ * @returns {Array<string>} One line per message, prefixed with "ok" or "FAIL"
+ */
+function decodeFixtures() {
+  const results = [];
+
+  for (const { file, time, nx, ny, missing } of DECODE_FIXTURES) {
+    try {
+      const buffer = fs.readFileSync(new URL(`./fixtures/${file}`, import.meta.url));
+      const expected = fixtureField(new Date(time), nx, ny);
+      parseMRMSGrib2(buffer).forEach((actual, index) => {
+        const problem = compareFields(expected, actual, missing);
+        const mode = `${file} #${index + 1}`;
+        results.push(problem ? `FAIL ${mode}: ${problem}` : `ok   ${mode}: template 5.${actual.dataRepresentation.template}`);
+      });
+    } catch (error) {
+      results.push(`FAIL ${file}: ${error.message}`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * @param {Object} expected - Field that was encoded
+ * @param {Object} actual - Field decoded by parseMRMSGrib2
+ * @param {string} missing - Missing-value mode; a bitmap cannot tell no
+ *   coverage from no echo, so coverage is only compared with sentinels
+ * @returns {string|null} The first difference, or null when the fields match
+ */
+function compareFields(expected, actual, missing) {
+  const { nx, ny } = expected.gridDefinition;
+  if (actual.gridDefinition.nx !== nx || actual.gridDefinition.ny !== ny) {
+    return `grid is ${actual.gridDefinition.nx}x${actual.gridDefinition.ny}, expected ${nx}x${ny}`;
+  }
+  for (const [key, want] of Object.entries(expected.gridDefinition)) {
+    if (typeof want === 'number' && actual.gridDefinition[key] !== want) {
+      return `grid ${key} is ${actual.gridDefinition[key]}, expected ${want}`;
+    }
+  }
+  if (Date.parse(actual.validTime) !== Date.parse(expected.referenceTime)) {
+    return `valid time is ${actual.validTime}, expected ${expected.referenceTime}`;
+  }
+
+  for (let index = 0; index < nx * ny; index++) {
+    const want = expected.values[index];
+    const got = actual.values[index];
+    if (Number.isNaN(want) !== Number.isNaN(got) || Math.abs(want - got) > TOLERANCE) {
+      return `point ${index} is ${got}, expected ${want}`;
+    }
+    if (missing === 'sentinel' && actual.coverage[index] !== expected.coverage[index]) {
+      return `point ${index} has coverage ${actual.coverage[index]}, expected ${expected.coverage[index]}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Where a fixture goes: the file itself, or the MRMS layout under a directory
+ * @param {string} output - File or directory from the command line
+ * @param {Date} time - Valid time
+ * @returns {string} File path
+ */
+function outputPath(output, time) {
+  const isDirectory = output.endsWith('/') || (fs.existsSync(output) && fs.statSync(output).isDirectory());
+  if (!isDirectory) {
+    return output;
+  }
+  const fileName = `MRMS_${PRODUCT_ID}_00.50_${formatFrameTime(time)}.grib2.gz`;
+  return path.join(output, '2D', PRODUCT_ID, fileName);
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (options.help || (!options.output && !options.check) || (options.output && options.check)) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 2);
+  }
+
+  const field = fixtureField(options.time, options.nx, options.ny);
+
+  if (options.check) {
+    const results = [...roundTrip(field), ...decodeFixtures()];
+    results.forEach((line) => console.log(line));
+    process.exitCode = results.some((line) => line.startsWith('FAIL')) ? 1 : 0;
+    return;
+  }
+
+  const file = outputPath(options.output, options.time);
+  const buffer = encodeGrib2(field, {
+    packing: options.packing,
+    spatialDifferencingOrder: options.differencing,
+    missing: options.missing,
+    decimalScaleFactor: DECIMAL_SCALE_FACTOR,
+  });
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, file.endsWith('.gz') ? zlib.gzipSync(buffer) : buffer);
+  } catch (error) {
+    console.error(`Cannot write ${file}: ${error.message}`);
+    process.exit(1);
+  }
+  console.log(`Wrote ${file} (${buffer.length} bytes of GRIB2, valid ${options.time.toISOString()})`);
+}
+
+main();
@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+/**
+ * grib2-inspect: command-line diagnostics for GRIB2 files
+ *
+ * Lists every message and section with offsets and lengths, then the decoded
+ * templates, grid, time metadata and value statistics of each field, in the
+ * spirit of `wgrib2 -v`. Optionally dumps a cropped region as CSV.
+ *
+ * Usage:
+ *   node server/grib2-inspect.js <file.grib2[.gz]> [options]
+ *
+ * Options:
+ *   --csv <path|->        Write grid points as CSV (to stdout with -)
+ *   --bbox <w,s,e,n>      Only dump points inside this lon/lat box, as the HTTP API's bbox
+ *   --field <n>           Only dump field n (default: every field)
+ *   --stride <n>          Only dump every nth row and column (default 1)
+ *   --verbose             Keep the parser's own progress logging
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import { once } from 'events';
+import { decodeMessageFields, scanGrib2Messages } from './grib2Parser.js';
+import { createGridLocator } from './gridProjections.js';
+
+const SECTION_NAMES = {
+  1: 'Identification',
+  2: 'Local Use',
+  3: 'Grid Definition',
+  4: 'Product Definition',
+  5: 'Data Representation',
+  6: 'Bit-Map',
+  7: 'Data',
+  8: 'End',
+};
+
+const USAGE = `Usage: node server/grib2-inspect.js <file.grib2[.gz]> [--csv <path|->] [--bbox <w,s,e,n>] [--field <n>] [--stride <n>] [--verbose]`;
+
+/**
+ * Parses command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArguments(argv) {
+  const options = { file: null, csv: null, bbox: null, field: null, stride: 1, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[++i];
+    };
+
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--csv') {
+      options.csv = next();
+    } else if (arg === '--bbox') {
+      const parts = next().split(',').map(Number);
+      if (parts.length !== 4 || parts.some(Number.isNaN)) {
+        throw new Error('--bbox expects west,south,east,north in degrees');
+      }
+      const [west, south, east, north] = parts;
+      options.bbox = { south, west, north, east };
+    } else if (arg === '--field') {
+      options.field = parseInt(next(), 10);
+    } else if (arg === '--stride') {
+      options.stride = Math.max(1, parseInt(next(), 10) || 1);
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Runs a function with the parser's console logging silenced
+ * @param {boolean} verbose - Leave logging on
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+function quietly(verbose, fn) {
+  if (verbose) {
+    return fn();
+  }
+
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+/**
+ * Reads a GRIB2 file, decompressing gzip input
+ * @param {string} file - Path to the file
+ * @returns {{buffer: Buffer, compressed: boolean}}
+ */
+function readGribFile(file) {
+  const raw = fs.readFileSync(file);
+  const compressed = raw.length > 2 && raw[0] === 0x1f && raw[1] === 0x8b;
+  return { buffer: compressed ? zlib.gunzipSync(raw) : raw, compressed };
+}
+
+/**
+ * Describes the template or indicator carried by a section, read directly
+ * from its bytes so it is shown even when decoding fails
+ */
+function sectionDetail(section) {
+  const data = section.data;
+  switch (section.number) {
+    case 3:
+      return data.length >= 14 ? `template 3.${data.readUInt16BE(12)}, ${data.readUInt32BE(6)} points` : '';
+    case 4:
+      return data.length >= 9 ? `template 4.${data.readUInt16BE(7)}` : '';
+    case 5:
+      return data.length >= 11 ? `template 5.${data.readUInt16BE(9)}, ${data.readUInt32BE(5)} packed values` : '';
+    case 6: {
+      const indicator = data.length >= 6 ? data.readUInt8(5) : null;
+      const meaning = { 0: 'bitmap follows', 254: 'previously defined bitmap', 255: 'no bitmap' }[indicator];
+      return `indicator ${indicator}${meaning ? ` (${meaning})` : ''}`;
+    }
+    default:
+      return '';
+  }
+}
+
+function formatNumber(value, digits = 3) {
+  return value === null || value === undefined ? 'n/a' : Number(value.toFixed(digits)).toString();
+}
+
+function formatSurface(surface) {
+  if (!surface) {
+    return 'none';
+  }
+  const name = surface.name || `type ${surface.type}`;
+  return surface.value === null ? name : `${name} ${surface.value}${surface.units ? ` ${surface.units}` : ''}`;
+}
+
+/**
+ * Prints the decoded metadata and statistics of one field
+ * @param {Object} field - Decoded field
+ * @param {number} index - Position of the field in the file
+ * @param {Function} print - Output function
+ */
+function printField(field, index, print) {
+  const { parameter, productDefinition: pd, identification, gridDefinition: grid, dataRepresentation: drs } = field;
+  const code = `${field.discipline}.${field.parameterCategory}.${field.parameterNumber}`;
+
+  print(`  Field ${index} (message field ${field.fieldIndex})`);
+  print(`    Parameter:      ${parameter.name || 'unknown'} (${code})${parameter.units ? ` [${parameter.units}]` : ''}`);
+  if (identification) {
+    const significance = identification.significanceOfReferenceTime.name || identification.significanceOfReferenceTime.code;
+    print(`    Centre:         ${identification.originatingCentre}/${identification.originatingSubcentre}, tables ${identification.masterTablesVersion}/${identification.localTablesVersion}`);
+    print(`    Reference time: ${identification.referenceTime} (${significance})`);
+    print(`    Status:         ${identification.productionStatus.name || identification.productionStatus.code}, ${identification.typeOfData.name || identification.typeOfData.code}`);
+  }
+  print(`    Valid time:     ${field.validTime || 'n/a'}`);
+  if (pd) {
+    const forecast = pd.forecastTime ? `${pd.forecastTime.value} ${pd.forecastTime.unitName || `unit ${pd.forecastTime.unit}`}` : 'n/a';
+    print(`    Product:        template 4.${pd.template}, forecast ${forecast}`);
+    print(`    Level:          ${formatSurface(pd.firstSurface)}${pd.secondSurface ? ` to ${formatSurface(pd.secondSurface)}` : ''}`);
+    if (pd.statisticalProcessing) {
+      const sp = pd.statisticalProcessing;
+      const ranges = sp.ranges.map((range) => `${range.process.name || range.process.code} over ${range.length} ${range.unitName || range.unit}`).join(', ');
+      print(`    Statistics:     ${ranges} from ${sp.intervalStart} to ${sp.intervalEnd}`);
+    }
+  }
+
+  const locator = createGridLocator(grid);
+  const first = locator.locate(0);
+  const last = locator.locate(grid.nx * grid.ny - 1);
+  print(`    Grid:           template 3.${grid.template}, ${grid.nx}x${grid.ny}, earth radius ${grid.earthRadius} m, scanning mode 0x${grid.scanningMode.flags.toString(16).padStart(2, '0')}`);
+  print(`    Corners:        first ${formatNumber(first.lat)}, ${formatNumber(first.lon)}; last ${formatNumber(last.lat)}, ${formatNumber(last.lon)}`);
+
+  if (drs.template === 4) {
+    print(`    Packing:        template 5.4, IEEE precision ${drs.precision}`);
+  } else {
+    print(`    Packing:        template 5.${drs.template}, R=${drs.referenceValue} E=${drs.binaryScaleFactor} D=${drs.decimalScaleFactor} bits=${drs.bitsPerValue}`);
+  }
+  print(`    Bitmap:         ${field.bitmapApplied ? 'applied' : 'none'}`);
+
+  const stats = field.statistics;
+  const percent = (count) => ((count / stats.totalPoints) * 100).toFixed(2);
+  print(`    Points:         ${stats.totalPoints} total, ${stats.valid} valid (${percent(stats.valid)}%), ${stats.missing} missing (${percent(stats.missing)}%), ${stats.noCoverage} no coverage (${percent(stats.noCoverage)}%)`);
+  print(`    Values:         min ${formatNumber(stats.min)}, max ${formatNumber(stats.max)}, mean ${formatNumber(stats.mean)}`);
+}
+
+/**
+ * Writes the points of the selected fields as CSV, waiting for the output to
+ * drain so a full CONUS grid never sits in memory
+ * @param {Array<Object>} fields - Decoded fields
+ * @param {Object} options - CLI options
+ * @returns {Promise<void>}
+ */
+async function writeCsv(fields, options) {
+  const out = options.csv === '-' ? process.stdout : fs.createWriteStream(options.csv);
+  const { bbox, stride } = options;
+  let rows = 0;
+  let chunk = ['field,i,j,lat,lon,value,state'];
+
+  for (const [index, field] of fields.entries()) {
+    if (options.field !== null && options.field !== index) {
+      continue;
+    }
+
+    const { nx, ny } = field.gridDefinition;
+    const locator = createGridLocator(field.gridDefinition);
+    for (let idx = 0; idx < nx * ny; idx++) {
+      const { i, j } = locator.gridPosition(idx);
+      if (i % stride !== 0 || j % stride !== 0) {
+        continue;
+      }
+
+      const { lat, lon } = locator.locate(idx);
+      if (bbox && (lat < bbox.south || lat > bbox.north || !lonInRange(lon, bbox.west, bbox.east))) {
+        continue;
+      }
+
+      const value = field.values[idx];
+      const state = !Number.isNaN(value) ? 'valid' : field.coverage[idx] === 0 ? 'no_coverage' : 'missing';
+      chunk.push(`${index},${i},${j},${lat.toFixed(5)},${lon.toFixed(5)},${Number.isNaN(value) ? '' : value},${state}`);
+      rows++;
+
+      if (chunk.length >= 10000) {
+        const flushed = out.write(chunk.join('\n') + '\n');
+        chunk = [];
+        if (!flushed) {
+          await once(out, 'drain');
+        }
+      }
+    }
+  }
+
+  if (chunk.length > 0) {
+    out.write(chunk.join('\n') + '\n');
+  }
+  if (out !== process.stdout) {
+    out.end();
+    await once(out, 'finish');
+    console.error(`Wrote ${rows} rows to ${options.csv}`);
+  }
+}
+
+function lonInRange(lon, west, east) {
+  return west <= east ? lon >= west && lon <= east : lon >= west || lon <= east;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (options.help || !options.file) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 2);
+  }
+
+  // With CSV on stdout, the report goes to stderr
+  const report = options.csv === '-' ? console.error : console.log;
+  let buffer;
+  let compressed;
+  try {
+    ({ buffer, compressed } = readGribFile(options.file));
+  } catch (error) {
+    console.error(`Cannot read ${options.file}: ${error.message}`);
+    console.error(USAGE);
+    process.exit(2);
+  }
+  report(`${options.file}: ${buffer.length} bytes${compressed ? ' (after gunzip)' : ''}`);
+
+  let messages;
+  try {
+    messages = quietly(options.verbose, () => scanGrib2Messages(buffer));
+  } catch (error) {
+    console.error(`Cannot split file into messages: ${error.message}`);
+    process.exit(1);
+  }
+  if (messages.length === 0) {
+    console.error(`No GRIB2 messages found; first bytes: ${buffer.subarray(0, 16).toString('hex')}`);
+    process.exit(1);
+  }
+
+  const fields = [];
+  let failures = 0;
+
+  for (const message of messages) {
+    report(`\nMessage ${message.index}: offset ${message.offset}, length ${message.length}, edition ${message.edition}, discipline ${message.discipline}`);
+    for (const section of message.sections) {
+      const detail = section.data ? sectionDetail(section) : '';
+      report(`  Section ${section.number} ${SECTION_NAMES[section.number].padEnd(19)} offset ${String(section.offset).padStart(10)}  length ${String(section.length).padStart(9)}${detail ? `  ${detail}` : ''}`);
+    }
+
+    let decoded;
+    try {
+      decoded = quietly(options.verbose, () => decodeMessageFields(message));
+    } catch (error) {
+      failures++;
+      report(`  ERROR decoding message ${message.index}: ${error.message}`);
+      continue;
+    }
+
+    for (const field of decoded) {
+      printField(field, fields.length, report);
+      fields.push(field);
+    }
+  }
+
+  if (options.csv) {
+    try {
+      await writeCsv(fields, options);
+    } catch (error) {
+      console.error(`Cannot write ${options.csv}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main();
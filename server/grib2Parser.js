@@ -3,194 +3,617 @@
  * 
  * This parser handles MRMS GRIB2 files that use unsupported product definition templates.
  * It extracts grid definitions and data values by directly reading GRIB2 sections.
- * Supports PNG compression (template 41) commonly used by MRMS.
+ * Supports simple packing (template 0), complex packing with or without
+ * spatial differencing (templates 2 and 3), IEEE floating point (template 4),
+ * JPEG 2000 (template 40) and PNG compression (template 41) commonly used by
+ * MRMS, in files containing several concatenated messages. Missing points
+ * come from the Section 6 bitmap, complex packing missing values or the
+ * product's sentinels (MRMS uses -999 for missing and -99 for no coverage).
  */
 
-import { PNG } from 'pngjs';
+import { createBitReader } from './bitStream.js';
+import { decodeJpeg2000 } from './jpeg2000Decoder.js';
+import { decodePngSamples } from './pngDecoder.js';
+import {
+  addTimeRange,
+  dataTypeName,
+  generatingProcessName,
+  parameterInfo,
+  productionStatusName,
+  referenceTimeSignificanceName,
+  statisticalProcessName,
+  surfaceType,
+  timeUnitName,
+} from './grib2Tables.js';
 
 /**
- * Parses MRMS GRIB2 data by extracting grid and data information
- * @param {Buffer} buffer - The GRIB2 file buffer
- * @returns {Object} Parsed radar data
+ * Per-point decode states. Missing points have no usable value (bitmap,
+ * packing or the product's missing sentinel); no-coverage points lie outside
+ * the observing network.
+ */
+const POINT_STATE = {
+  VALID: 0,
+  MISSING: 1,
+  NO_COVERAGE: 2,
+};
+
+/**
+ * Parses every GRIB2 message in a buffer and decodes each field it contains
+ * @param {Buffer} buffer - The GRIB2 file buffer (one or more concatenated messages)
+ * @returns {Array<Object>} One parsed field per Data Section, in file order
  */
 export function parseMRMSGrib2(buffer) {
   try {
     console.log('📡 Starting GRIB2 parsing...');
     console.log(`   Buffer length: ${buffer.length} bytes`);
-    
-    // Verify GRIB2 header
-    const header = buffer.toString('ascii', 0, 4);
-    if (header !== 'GRIB') {
-      throw new Error(`Invalid GRIB2 header: expected 'GRIB', got '${header}'`);
+
+    const messages = scanGrib2Messages(buffer);
+    if (messages.length === 0) {
+      throw new Error(`Invalid GRIB2 header: expected 'GRIB', got '${buffer.toString('ascii', 0, 4)}'`);
     }
-    
-    // Get GRIB edition from byte 7
-    const edition = buffer.readUInt8(7);
-    console.log(`   GRIB edition: ${edition}`);
-    
+    console.log(`   Found ${messages.length} GRIB2 message(s)`);
+
+    const fields = [];
+    for (const message of messages) {
+      fields.push(...decodeMessageFields(message));
+    }
+
+    console.log(`📋 Decoded ${fields.length} field(s)`);
+    return fields;
+  } catch (error) {
+    console.error('❌ Error in custom GRIB2 parser:', error.message);
+    console.error('   Stack:', error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Locates every GRIB2 message in a buffer and splits it into sections.
+ * Messages are walked using the Section 0 total length; any bytes between
+ * messages (padding, partial headers) are skipped by searching for the next
+ * 'GRIB' marker.
+ * @param {Buffer} buffer - The GRIB2 file buffer
+ * @returns {Array<Object>} Messages with their offset, length, discipline and sections
+ */
+export function scanGrib2Messages(buffer) {
+  const messages = [];
+  let offset = buffer.indexOf('GRIB', 0, 'ascii');
+
+  while (offset !== -1 && offset + 16 <= buffer.length) {
+    const edition = buffer.readUInt8(offset + 7);
     if (edition !== 2) {
-      throw new Error(`Unsupported GRIB edition: ${edition}`);
+      throw new Error(`Unsupported GRIB edition: ${edition} (message at offset ${offset})`);
     }
 
-    // Get discipline from byte 6
-    const discipline = buffer.readUInt8(6);
-    console.log(`   Discipline: ${discipline}`);
-    
-    // Get total message length from bytes 8-15
-    const messageLength = buffer.readBigUInt64BE(8);
-    console.log(`   Message length: ${messageLength}`);
-    
-    // Find sections
-    let offset = 16; // Skip indicator section (16 bytes)
-    const sections = {};
-    let sectionCount = 0;
-    
-    while (offset < buffer.length - 4 && sectionCount < 20) { // Safety limit
-      const sectionLength = buffer.readUInt32BE(offset);
-      const sectionNumber = buffer.readUInt8(offset + 4);
-      
-      console.log(`   Section ${sectionNumber}: length ${sectionLength} at offset ${offset}`);
-      
-      if (sectionLength === 0 || sectionLength > buffer.length || offset + sectionLength > buffer.length) {
-        console.warn(`   Invalid section length ${sectionLength}, breaking`);
-        break;
-      }
-      
-      sections[sectionNumber] = {
-        offset: offset,
-        length: sectionLength,
-        data: buffer.slice(offset, offset + sectionLength)
-      };
-      
-      offset += sectionLength;
-      sectionCount++;
-      
-      // Section 8 is the end section
-      if (sectionNumber === 8) {
-        console.log('   Found end section, stopping');
-        break;
+    const discipline = buffer.readUInt8(offset + 6);
+    const messageLength = Number(buffer.readBigUInt64BE(offset + 8));
+    if (messageLength < 16 || offset + messageLength > buffer.length) {
+      throw new Error(`Truncated GRIB2 message at offset ${offset}: length ${messageLength}, ${buffer.length - offset} bytes available`);
+    }
+
+    const messageEnd = offset + messageLength;
+    console.log(`   Message ${messages.length}: discipline ${discipline}, length ${messageLength} at offset ${offset}`);
+
+    messages.push({
+      index: messages.length,
+      offset,
+      length: messageLength,
+      edition,
+      discipline,
+      sections: readSections(buffer, offset + 16, messageEnd),
+    });
+
+    offset = buffer.indexOf('GRIB', messageEnd, 'ascii');
+  }
+
+  return messages;
+}
+
+/**
+ * Reads sections 1-8 of one message
+ * @param {Buffer} buffer - The GRIB2 file buffer
+ * @param {number} start - Offset of Section 1
+ * @param {number} messageEnd - Offset one past the end of the message
+ * @returns {Array<Object>} Sections in message order
+ */
+function readSections(buffer, start, messageEnd) {
+  const sections = [];
+  let offset = start;
+
+  while (offset + 4 <= messageEnd) {
+    // Section 8 is the literal '7777' with no length prefix
+    if (buffer.toString('ascii', offset, offset + 4) === '7777') {
+      sections.push({ number: 8, offset, length: 4 });
+      return sections;
+    }
+
+    if (offset + 5 > messageEnd) {
+      break;
+    }
+
+    const sectionLength = buffer.readUInt32BE(offset);
+    const sectionNumber = buffer.readUInt8(offset + 4);
+
+    if (sectionLength < 5 || offset + sectionLength > messageEnd) {
+      throw new Error(`Invalid length ${sectionLength} for section ${sectionNumber} at offset ${offset}`);
+    }
+    if (sectionNumber < 1 || sectionNumber > 7) {
+      throw new Error(`Invalid section number ${sectionNumber} at offset ${offset}`);
+    }
+
+    console.log(`   Section ${sectionNumber}: length ${sectionLength} at offset ${offset}`);
+
+    sections.push({
+      number: sectionNumber,
+      offset,
+      length: sectionLength,
+      data: buffer.subarray(offset, offset + sectionLength),
+    });
+
+    offset += sectionLength;
+  }
+
+  throw new Error(`Missing end section (7777) in message ending at offset ${messageEnd}`);
+}
+
+/**
+ * Decodes every field of one message. Sections 2-7 may repeat within a
+ * message; each Data Section (7) yields a field using the most recent
+ * Grid Definition (3), Product Definition (4), Data Representation (5) and
+ * Bit-Map (6) sections that precede it.
+ * @param {Object} message - A message returned by scanGrib2Messages
+ * @returns {Array<Object>} Parsed fields
+ */
+export function decodeMessageFields(message) {
+  const fields = [];
+  const current = {};
+  let bitmap = null;
+  let definedBitmap = null;
+
+  for (const section of message.sections) {
+    if (section.number === 8) {
+      break;
+    }
+
+    // Section 6 may reuse the last bitmap defined in this message
+    if (section.number === 6) {
+      bitmap = parseBitmapSection(section.data, definedBitmap);
+      if (section.data.readUInt8(5) === 0) {
+        definedBitmap = bitmap;
       }
     }
 
-    // Debug which sections we found
-    console.log('🔍 GRIB2 Sections found:', Object.keys(sections).map(k => `${k}(${sections[k].length}b)`).join(', '));
-    
-    if (!sections[3]) {
+    if (section.number !== 7) {
+      current[section.number] = section;
+      continue;
+    }
+
+    if (!current[3]) {
       throw new Error('Missing Grid Definition Section (3)');
     }
-    if (!sections[5]) {
+    if (!current[5]) {
       throw new Error('Missing Data Representation Section (5)');
     }
-    if (!sections[7]) {
-      throw new Error('Missing Data Section (7)');
-    }
-    
+
     // Parse Section 3 (Grid Definition Section)
-    const gridDef = parseGridDefinitionSection(sections[3].data);
+    const gridDef = parseGridDefinitionSection(current[3].data);
     console.log('🗺️ Grid Definition:', { nx: gridDef.nx, ny: gridDef.ny });
-    
+
     // Parse Section 5 (Data Representation Section)
-    const dataRep = parseDataRepresentationSection(sections[5].data);
+    const dataRep = parseDataRepresentationSection(current[5].data);
     console.log('📊 Data Representation:', dataRep);
-    
+
+    // Parse Section 1 (Identification) and Section 4 (Product Definition)
+    const identification = current[1] ? parseIdentificationSection(current[1].data) : null;
+    const productDefinition = current[4] ? parseProductDefinitionSection(current[4].data, identification) : null;
+    const referenceTime = identification ? identification.referenceTime : null;
+    const parameterCategory = productDefinition ? productDefinition.parameterCategory : 0;
+    const parameterNumber = productDefinition ? productDefinition.parameterNumber : 0;
+    const parameter = parameterInfo(message.discipline, parameterCategory, parameterNumber);
+    console.log(`🏷️ Parameter: ${parameter.name || 'unknown'} (${message.discipline}.${parameterCategory}.${parameterNumber}), units ${parameter.units || 'unknown'}`);
+
     // Parse Section 7 (Data Section)
-    const values = parseDataSection(sections[7].data, dataRep, gridDef);
+    const { values, coverage, statistics } = parseDataSection(section.data, dataRep, gridDef, bitmap, parameter);
     console.log(`📋 Parsed ${values.length} data values`);
 
-    return {
-      discipline,
+    fields.push({
+      messageIndex: message.index,
+      fieldIndex: fields.length,
+      discipline: message.discipline,
+      identification,
+      productDefinition,
+      referenceTime,
+      validTime: productDefinition && productDefinition.validTime ? productDefinition.validTime : referenceTime,
       gridDefinition: gridDef,
+      dataRepresentation: dataRep,
+      bitmapApplied: bitmap !== null,
       values: values,
-      parameterCategory: sections[4] ? sections[4].data.readUInt8(9) : 0,
-      parameterNumber: sections[4] ? sections[4].data.readUInt8(10) : 0,
+      coverage,
+      statistics,
+      parameter,
+      parameterCategory,
+      parameterNumber,
+    });
+  }
+
+  if (fields.length === 0) {
+    throw new Error(`Missing Data Section (7) in message ${message.index}`);
+  }
+
+  return fields;
+}
+
+/**
+ * Parses Identification Section (Section 1)
+ * @param {Buffer} section - Section 1 bytes
+ * @returns {Object} Originating centre, reference time and status codes
+ */
+function parseIdentificationSection(section) {
+  if (section.length < 21) {
+    throw new Error(`Identification section too short: ${section.length} bytes`);
+  }
+
+  const significance = section.readUInt8(11);
+  const productionStatus = section.readUInt8(19);
+  const dataType = section.readUInt8(20);
+  const referenceTime = new Date(Date.UTC(
+    section.readUInt16BE(12),
+    section.readUInt8(14) - 1,
+    section.readUInt8(15),
+    section.readUInt8(16),
+    section.readUInt8(17),
+    section.readUInt8(18)
+  ));
+
+  const identification = {
+    originatingCentre: section.readUInt16BE(5),
+    originatingSubcentre: section.readUInt16BE(7),
+    masterTablesVersion: section.readUInt8(9),
+    localTablesVersion: section.readUInt8(10),
+    referenceTime: referenceTime.toISOString(),
+    significanceOfReferenceTime: {
+      code: significance,
+      name: referenceTimeSignificanceName(significance),
+    },
+    productionStatus: {
+      code: productionStatus,
+      name: productionStatusName(productionStatus),
+    },
+    typeOfData: {
+      code: dataType,
+      name: dataTypeName(dataType),
+    },
+  };
+
+  console.log('🕒 Identification:', { referenceTime: identification.referenceTime, significance, productionStatus });
+  return identification;
+}
+
+/**
+ * Parses Product Definition Section (Section 4). Templates 4.0 (analysis or
+ * forecast at a point in time) and 4.8 (statistically processed over a time
+ * interval) are decoded in full; for other templates only the parameter
+ * category and number, which every template starts with, are read.
+ * @param {Buffer} section - Section 4 bytes
+ * @param {Object|null} identification - Parsed Section 1, for the reference time
+ * @returns {Object} Parameter, forecast time, level and statistics metadata
+ */
+function parseProductDefinitionSection(section, identification) {
+  if (section.length < 11) {
+    throw new Error(`Product definition section too short: ${section.length} bytes`);
+  }
+
+  const template = section.readUInt16BE(7);
+  const productDefinition = {
+    template,
+    parameterCategory: section.readUInt8(9),
+    parameterNumber: section.readUInt8(10),
+    generatingProcess: null,
+    forecastTime: null,
+    validTime: null,
+    firstSurface: null,
+    secondSurface: null,
+    statisticalProcessing: null,
+  };
+
+  if ((template !== 0 && template !== 8) || section.length < 34) {
+    console.log(`📦 Product Definition template ${template}: only parameter decoded`);
+    return productDefinition;
+  }
+
+  const processType = section.readUInt8(11);
+  const timeUnit = section.readUInt8(17);
+  const forecastValue = readGribSigned(section, 18, 4);
+
+  productDefinition.generatingProcess = {
+    code: processType,
+    name: generatingProcessName(processType),
+    backgroundProcessId: section.readUInt8(12),
+    processId: section.readUInt8(13),
+  };
+  productDefinition.forecastTime = {
+    value: forecastValue,
+    unit: timeUnit,
+    unitName: timeUnitName(timeUnit),
+  };
+  productDefinition.firstSurface = parseFixedSurface(section, 22);
+  productDefinition.secondSurface = parseFixedSurface(section, 28);
+
+  // Template 4.0: the field is valid at reference time + forecast time
+  const referenceDate = identification ? new Date(identification.referenceTime) : null;
+  const forecastDate = referenceDate ? addTimeRange(referenceDate, forecastValue, timeUnit) : null;
+  if (forecastDate) {
+    productDefinition.validTime = forecastDate.toISOString();
+  }
+
+  // Template 4.8: the field covers an interval ending at the given time
+  if (template === 8 && section.length >= 46) {
+    const intervalEnd = new Date(Date.UTC(
+      section.readUInt16BE(34),
+      section.readUInt8(36) - 1,
+      section.readUInt8(37),
+      section.readUInt8(38),
+      section.readUInt8(39),
+      section.readUInt8(40)
+    ));
+    const rangeCount = section.readUInt8(41);
+    const ranges = [];
+
+    for (let i = 0; i < rangeCount; i++) {
+      const base = 46 + i * 12;
+      if (base + 12 > section.length) {
+        break;
+      }
+      const processCode = section.readUInt8(base);
+      const rangeUnit = section.readUInt8(base + 2);
+      const incrementUnit = section.readUInt8(base + 7);
+      ranges.push({
+        process: { code: processCode, name: statisticalProcessName(processCode) },
+        incrementType: section.readUInt8(base + 1),
+        length: section.readUInt32BE(base + 3),
+        unit: rangeUnit,
+        unitName: timeUnitName(rangeUnit),
+        increment: section.readUInt32BE(base + 8),
+        incrementUnit,
+        incrementUnitName: timeUnitName(incrementUnit),
+      });
+    }
+
+    productDefinition.statisticalProcessing = {
+      intervalStart: productDefinition.validTime,
+      intervalEnd: intervalEnd.toISOString(),
+      missingValueCount: section.readUInt32BE(42),
+      ranges,
     };
-  } catch (error) {
-    console.error('❌ Error in custom GRIB2 parser:', error.message);
-    console.error('   Stack:', error.stack);
-    throw error;
+    productDefinition.validTime = intervalEnd.toISOString();
   }
+
+  console.log('📦 Product Definition:', {
+    template,
+    category: productDefinition.parameterCategory,
+    number: productDefinition.parameterNumber,
+    validTime: productDefinition.validTime,
+  });
+  return productDefinition;
+}
+
+/**
+ * Reads a fixed surface (type, scale factor, scaled value) from Section 4
+ * @param {Buffer} section - Section 4 bytes
+ * @param {number} offset - Offset of the surface type octet
+ * @returns {Object|null} Surface type, name, value and units, or null if missing
+ */
+function parseFixedSurface(section, offset) {
+  const type = section.readUInt8(offset);
+  if (type === 255) {
+    return null;
+  }
+
+  const scaleFactor = section.readUInt8(offset + 1);
+  const scaledValue = section.readUInt32BE(offset + 2);
+  const known = surfaceType(type);
+  let value = null;
+
+  if (scaleFactor !== 255 && scaledValue !== 0xffffffff) {
+    value = readGribSigned(section, offset + 2, 4) / Math.pow(10, readGribSigned(section, offset + 1, 1));
+  }
+
+  return {
+    type,
+    name: known ? known.name : null,
+    value,
+    units: known ? known.units : null,
+  };
 }
 
 /**
  * Parses Grid Definition Section (Section 3)
+ * @param {Buffer} section - Section 3 bytes
+ * @returns {Object} Grid geometry, with angles in micro-degrees as stored
  */
 function parseGridDefinitionSection(section) {
   if (!section || section.length < 14) {
     throw new Error('Invalid grid definition section');
   }
 
-  const gridTemplateNumber = section.readUInt16BE(12);
-  
-  // Most MRMS products use template 0 (Latitude/Longitude)
-  if (gridTemplateNumber === 0 || gridTemplateNumber === 30) {
-    return parseLatLonGrid(section);
+  const source = section.readUInt8(5);
+  if (source !== 0) {
+    throw new Error(`Unsupported grid definition source: ${source} (predetermined grids are not supported)`);
+  }
+  if (section.readUInt8(10) !== 0) {
+    throw new Error('Quasi-regular grids (optional list of points) are not supported');
+  }
+
+  const template = section.readUInt16BE(12);
+  const minimumLength = { 0: 72, 1: 84, 20: 65, 30: 81 }[template];
+  if (!minimumLength) {
+    throw new Error(`Unsupported grid definition template: ${template}`);
+  }
+  if (section.length < minimumLength) {
+    throw new Error(`Grid definition template ${template} too short: ${section.length} bytes, expected ${minimumLength}`);
+  }
+
+  const grid = {
+    template,
+    numberOfPoints: section.readUInt32BE(6),
+    ...parseShapeOfEarth(section),
+  };
+
+  if (template === 0 || template === 1) {
+    Object.assign(grid, parseLatLonGrid(section));
+  } else {
+    Object.assign(grid, parseProjectedGrid(section, template));
+  }
+
+  if (grid.nx * grid.ny !== grid.numberOfPoints) {
+    throw new Error(`Grid is ${grid.nx}x${grid.ny} but declares ${grid.numberOfPoints} points`);
   }
-  
-  // Try to parse as lat/lon anyway
-  return parseLatLonGrid(section);
+
+  return grid;
 }
 
 /**
- * Parses Latitude/Longitude grid template
+ * Reads the shape of the Earth (octets 15-30, code table 3.2). Projection
+ * math treats the Earth as a sphere; oblate shapes use their major axis.
+ * @param {Buffer} section - Section 3 bytes
+ * @returns {{shapeOfEarth: number, earthRadius: number}} Radius in metres
+ */
+function parseShapeOfEarth(section) {
+  const shapeOfEarth = section.readUInt8(14);
+  const scaled = (factorOffset) => section.readUInt32BE(factorOffset + 1) / Math.pow(10, section.readUInt8(factorOffset));
+
+  const radii = {
+    0: 6367470,
+    2: 6378160,
+    4: 6378137,
+    5: 6378137,
+    6: 6371229,
+    8: 6371200,
+    9: 6377563.396,
+  };
+
+  let earthRadius;
+  if (shapeOfEarth === 1) {
+    earthRadius = scaled(15);
+  } else if (shapeOfEarth === 3) {
+    earthRadius = scaled(20) * 1000;
+  } else if (shapeOfEarth === 7) {
+    earthRadius = scaled(20);
+  } else if (radii[shapeOfEarth]) {
+    earthRadius = radii[shapeOfEarth];
+  } else {
+    throw new Error(`Unsupported shape of the Earth: ${shapeOfEarth}`);
+  }
+
+  return { shapeOfEarth, earthRadius };
+}
+
+/**
+ * Decodes the scanning mode flags (flag table 3.4)
+ * @param {number} flags - Scanning mode octet
+ * @returns {Object} Scan directions and point ordering
+ */
+function parseScanningMode(flags) {
+  return {
+    flags,
+    iNegative: (flags & 0x80) !== 0,
+    jPositive: (flags & 0x40) !== 0,
+    jConsecutive: (flags & 0x20) !== 0,
+    alternatingRows: (flags & 0x10) !== 0,
+  };
+}
+
+/**
+ * Parses Latitude/Longitude grid templates 3.0 and 3.1 (rotated)
+ * @param {Buffer} section - Section 3 bytes
+ * @returns {Object} Grid dimensions, corners and increments in micro-degrees
  */
 function parseLatLonGrid(section) {
-  try {
-    // GRIB2 Section 3 structure:
-    // Bytes 0-3: Section length
-    // Byte 4: Section number (3)
-    // Byte 5: Source of grid definition
-    // Bytes 6-9: Number of data points
-    // Bytes 10-11: Number of octets for optional list
-    // Byte 12: Interpretation of list
-    // Bytes 13-14: Grid Definition Template Number
-    // Bytes 15+: Grid Definition Template
-    
-    if (section.length < 72) {
-      throw new Error(`Section too short: ${section.length} bytes`);
-    }
-    
-    // Grid dimensions are in the template starting at byte 30 and 34
-    const nx = section.readUInt32BE(30);
-    const ny = section.readUInt32BE(34);
-    
-    // Basic angle and subdivisions
-    const basicAngle = section.readUInt32BE(38);
-    const subdivisions = section.readUInt32BE(42);
-    
-    // Lat/lon bounds (scaled integers)
-    const la1 = section.readInt32BE(46);
-    const lo1 = section.readInt32BE(50);
-    const la2 = section.readInt32BE(55);
-    const lo2 = section.readInt32BE(59);
-    
-    // Grid increments
-    const dx = section.readInt32BE(63);
-    const dy = section.readInt32BE(67);
+  const nx = section.readUInt32BE(30);
+  const ny = section.readUInt32BE(34);
 
-    return {
-      nx,
-      ny,
-      la1,
-      lo1,
-      la2,
-      lo2,
-      dx,
-      dy
-    };
-  } catch (error) {
-    console.warn('⚠️  Using default CONUS grid (parsing error:', error.message + ')');
-    // Return CONUS defaults if parsing fails
-    return {
-      nx: 7000,
-      ny: 3500,
-      la1: 54500000,
-      lo1: -127000000,
-      la2: 20000000,
-      lo2: -60000000,
-      dx: 10000,
-      dy: 10000
-    };
+  // Angles are in micro-degrees unless a basic angle and subdivisions are given
+  const basicAngle = section.readUInt32BE(38);
+  const subdivisions = section.readUInt32BE(42);
+  const unit = basicAngle === 0 || basicAngle === 0xffffffff || subdivisions === 0xffffffff
+    ? 1
+    : (basicAngle / subdivisions) * 1e6;
+  const angle = (offset) => readGribSigned(section, offset, 4) * unit;
+
+  const la1 = angle(46);
+  const lo1 = angle(50);
+  const resolutionFlags = section.readUInt8(54);
+  const la2 = angle(55);
+  const lo2 = angle(59);
+  const scanningMode = parseScanningMode(section.readUInt8(71));
+
+  // Increments may be omitted (resolution flags bits 3 and 4), in which case
+  // they follow from the first and last points
+  let dx = section.readUInt32BE(63) * unit;
+  let dy = section.readUInt32BE(67) * unit;
+  if ((resolutionFlags & 0x20) === 0 && nx > 1) {
+    const span = scanningMode.iNegative ? lo1 - lo2 : lo2 - lo1;
+    dx = (((span % 360e6) + 360e6) % 360e6) / (nx - 1);
+  }
+  if ((resolutionFlags & 0x10) === 0 && ny > 1) {
+    dy = Math.abs(la2 - la1) / (ny - 1);
+  }
+
+  const grid = { nx, ny, la1, lo1, la2, lo2, dx, dy, scanningMode };
+
+  if (section.readUInt16BE(12) === 1) {
+    Object.assign(grid, {
+      southPoleLat: angle(72),
+      southPoleLon: angle(76),
+      rotationAngle: section.readFloatBE(80),
+    });
+  }
+
+  return grid;
+}
+
+/**
+ * Parses polar stereographic (3.20) and Lambert conformal (3.30) templates
+ * @param {Buffer} section - Section 3 bytes
+ * @param {number} template - Grid definition template number
+ * @returns {Object} Grid dimensions, projection parameters in micro-degrees
+ *   and increments in millimetres
+ */
+function parseProjectedGrid(section, template) {
+  const grid = {
+    nx: section.readUInt32BE(30),
+    ny: section.readUInt32BE(34),
+    la1: readGribSigned(section, 38, 4),
+    lo1: readGribSigned(section, 42, 4),
+    lad: readGribSigned(section, 47, 4),
+    lov: readGribSigned(section, 51, 4),
+    dx: section.readUInt32BE(55),
+    dy: section.readUInt32BE(59),
+    southPoleCentre: (section.readUInt8(63) & 0x80) !== 0,
+    scanningMode: parseScanningMode(section.readUInt8(64)),
+  };
+
+  if (template === 30) {
+    Object.assign(grid, {
+      latin1: readGribSigned(section, 65, 4),
+      latin2: readGribSigned(section, 69, 4),
+    });
   }
+
+  return grid;
+}
+
+/**
+ * Reads a GRIB2 sign-and-magnitude integer (the top bit is the sign)
+ * @param {Buffer} buffer - Source buffer
+ * @param {number} offset - Byte offset
+ * @param {number} bytes - Width in bytes (1-4)
+ * @returns {number}
+ */
+function readGribSigned(buffer, offset, bytes) {
+  const raw = buffer.readUIntBE(offset, bytes);
+  const signBit = 2 ** (bytes * 8 - 1);
+  return raw >= signBit ? -(raw - signBit) : raw;
 }
 
 /**
@@ -207,48 +630,108 @@ function parseDataRepresentationSection(section) {
   }
 
   const template = section.readUInt16BE(9);
-  
-  // Template 0 is simple packing
-  if (template === 0) {
+
+  // Template 4 is IEEE floating point with no scaling
+  if (template === 4) {
     const dataRep = {
-      template: 0,
-      referenceValue: section.readFloatBE(11),
-      binaryScaleFactor: section.readInt16BE(15),
-      decimalScaleFactor: section.readInt16BE(17),
-      bitsPerValue: section.readUInt8(19)
+      template,
+      numberOfPoints: section.readUInt32BE(5),
+      precision: section.readUInt8(11)
     };
-    
-    console.log('📊 GRIB2 Data Representation:', dataRep);
+    console.log('📊 GRIB2 Data Representation (template 4):', dataRep);
     return dataRep;
   }
-  
-  // Template 41 is PNG compression
-  if (template === 41) {
-    const dataRep = {
-      template: 41,
-      referenceValue: section.readFloatBE(11),
-      binaryScaleFactor: section.readInt16BE(15),
-      decimalScaleFactor: section.readInt16BE(17),
-      bitsPerValue: section.readUInt8(19)
+
+  // Templates 0 (simple), 2/3 (complex), 40 (JPEG 2000) and 41 (PNG) share the packing header
+  if (![0, 2, 3, 40, 41].includes(template)) {
+    return {
+      template,
+      bitsPerValue: 16
     };
-    
-    console.log('📊 GRIB2 Data Representation (PNG):', dataRep);
-    return dataRep;
   }
 
-  return {
+  const dataRep = {
     template,
-    bitsPerValue: 16
+    numberOfPoints: section.readUInt32BE(5),
+    referenceValue: section.readFloatBE(11),
+    binaryScaleFactor: readGribSigned(section, 15, 2),
+    decimalScaleFactor: readGribSigned(section, 17, 2),
+    bitsPerValue: section.readUInt8(19),
+    originalFieldType: section.readUInt8(20)
   };
+
+  // Templates 2 and 3 are complex packing, 3 adding spatial differencing
+  if (template === 2 || template === 3) {
+    const isFloat = dataRep.originalFieldType === 0;
+    Object.assign(dataRep, {
+      groupSplittingMethod: section.readUInt8(21),
+      missingValueManagement: section.readUInt8(22),
+      primaryMissingValue: isFloat ? section.readFloatBE(23) : section.readUInt32BE(23),
+      secondaryMissingValue: isFloat ? section.readFloatBE(27) : section.readUInt32BE(27),
+      numberOfGroups: section.readUInt32BE(31),
+      groupWidthReference: section.readUInt8(35),
+      groupWidthBits: section.readUInt8(36),
+      groupLengthReference: section.readUInt32BE(37),
+      groupLengthIncrement: section.readUInt8(41),
+      lastGroupLength: section.readUInt32BE(42),
+      groupLengthBits: section.readUInt8(46)
+    });
+
+    if (template === 3) {
+      dataRep.spatialDifferencingOrder = section.readUInt8(47);
+      dataRep.extraDescriptorOctets = section.readUInt8(48);
+    }
+  }
+
+  // Template 40 is JPEG 2000 code-stream packing
+  if (template === 40) {
+    dataRep.compressionType = section.readUInt8(21);
+    dataRep.targetCompressionRatio = section.readUInt8(22);
+  }
+
+  console.log(`📊 GRIB2 Data Representation (template ${template}):`, dataRep);
+  return dataRep;
+}
+
+/**
+ * Parses Bit-Map Section (Section 6)
+ * @param {Buffer} section - Section 6 bytes
+ * @param {Buffer|null} previousBitmap - Last bitmap defined earlier in the same message
+ * @returns {Buffer|null} Packed bitmap (1 = value present), or null when every point has a value
+ */
+function parseBitmapSection(section, previousBitmap) {
+  const indicator = section.readUInt8(5);
+
+  if (indicator === 0) {
+    return section.subarray(6);
+  }
+  if (indicator === 254) {
+    if (!previousBitmap) {
+      throw new Error('Bitmap section refers to a previously defined bitmap, but none was defined in this message');
+    }
+    return previousBitmap;
+  }
+  if (indicator === 255) {
+    return null;
+  }
+
+  throw new Error(`Unsupported predefined bitmap: ${indicator}`);
 }
 
 /**
  * Parses Data Section (Section 7)
+ * @param {Buffer} section - Section 7 bytes
+ * @param {Object} dataRep - Parsed Data Representation Section
+ * @param {Object} gridDef - Parsed Grid Definition Section
+ * @param {Buffer|null} bitmap - Packed Section 6 bitmap, or null when absent
+ * @param {Object} parameter - Parameter description from parameterInfo
+ * @returns {{values: Float32Array, coverage: Uint8Array, statistics: Object}}
+ *   One value per grid point (NaN unless valid), a coverage mask (0 where the
+ *   point lies outside coverage) and single-pass statistics
  */
-function parseDataSection(section, dataRep, gridDef) {
-  if (!section || section.length < 6) {
-    console.warn('Invalid or missing data section');
-    return [];
+function parseDataSection(section, dataRep, gridDef, bitmap, parameter) {
+  if (!section || section.length < 5) {
+    throw new Error('Invalid or missing data section');
   }
 
   try {
@@ -259,133 +742,132 @@ function parseDataSection(section, dataRep, gridDef) {
     
     const totalPoints = gridDef.nx * gridDef.ny;
     console.log(`   Expected data points: ${totalPoints}`);
-    const values = new Array(totalPoints).fill(null);
+    const values = new Float32Array(totalPoints).fill(NaN);
+    const coverage = new Uint8Array(totalPoints).fill(1);
 
-    // Handle different data representation templates
-    if (dataRep.template === 41) {
-      // PNG compressed data - decode PNG first
-      console.log('🖼️ Processing PNG compressed data (template 41)...');
-      console.log(`   Reference: ${dataRep.referenceValue}, Binary Scale: ${dataRep.binaryScaleFactor}, Decimal Scale: ${dataRep.decimalScaleFactor}`);
-      
-      try {
-        // Decode PNG data
-        const pngData = PNG.sync.read(dataBuffer);
-        console.log(`   PNG dimensions: ${pngData.width}x${pngData.height}`);
-        
-        const maxPoints = Math.min(totalPoints, pngData.width * pngData.height);
-        console.log(`   Processing ${maxPoints} PNG values`);
-        
-        for (let i = 0; i < maxPoints; i++) {
-          // PNG data is stored as RGBA, but for GRIB2 we usually only use the first component
-          // Each pixel has 4 bytes (RGBA), so we read the red component (or luminance for grayscale)
-          const pixelIndex = i * 4;
-          if (pixelIndex + 1 < pngData.data.length) {
-            const rawValue = (pngData.data[pixelIndex] << 8) | pngData.data[pixelIndex + 1]; // 16-bit value from two 8-bit components
-            
-            // Check for missing value indicators
-            if (rawValue === 0 || rawValue === 65535) {
-              values[i] = null;
-            } else {
-              // Apply GRIB2 scaling
-              const referenceValue = dataRep.referenceValue || 0;
-              const binaryScaleFactor = dataRep.binaryScaleFactor || 0;
-              const decimalScaleFactor = dataRep.decimalScaleFactor || 0;
-              
-              const binaryScale = Math.pow(2, binaryScaleFactor);
-              const decimalScale = Math.pow(10, decimalScaleFactor);
-              
-              const scaledValue = (referenceValue + rawValue * binaryScale) / decimalScale;
-              
-              // MRMS reflectivity is typically -30 to 80 dBZ
-              if (scaledValue >= -50 && scaledValue <= 100) {
-                values[i] = Math.round(scaledValue * 10) / 10;
-              } else {
-                values[i] = null;
-              }
-            }
-          } else {
-            values[i] = null;
-          }
-        }
-      } catch (pngError) {
-        console.error('🖼️ PNG decompression failed:', pngError.message);
-        throw new Error(`PNG decompression failed: ${pngError.message}`);
-      }
-      
-    } else if (dataRep.template === 0) {
-      // Simple packing (most common)
+    // Handle different data representation templates. Each yields the packed
+    // values in order; only points marked present in the bitmap are packed.
+    let unpacked;
+    if (dataRep.template === 0) {
+      // Simple packing
       console.log('📦 Processing simple packing (template 0)...');
       console.log(`   Reference: ${dataRep.referenceValue}, Binary Scale: ${dataRep.binaryScaleFactor}, Decimal Scale: ${dataRep.decimalScaleFactor}, Bits: ${dataRep.bitsPerValue}`);
-      
-      if (dataRep.bitsPerValue === 16) {
-        // 16-bit values
-        const maxPoints = Math.min(totalPoints, Math.floor(dataBuffer.length / 2));
-        console.log(`   Processing ${maxPoints} 16-bit values`);
-        
-        for (let i = 0; i < maxPoints; i++) {
-          const rawValue = dataBuffer.readUInt16BE(i * 2);
-          
-          // Check for missing value indicators
-          if (rawValue === 0 || rawValue === 65535) {
-            values[i] = null;
-          } else {
-            // Apply GRIB2 scaling
-            const referenceValue = dataRep.referenceValue || 0;
-            const binaryScaleFactor = dataRep.binaryScaleFactor || 0;
-            const decimalScaleFactor = dataRep.decimalScaleFactor || 0;
-            
-            const binaryScale = Math.pow(2, binaryScaleFactor);
-            const decimalScale = Math.pow(10, decimalScaleFactor);
-            
-            const scaledValue = (referenceValue + rawValue * binaryScale) / decimalScale;
-            
-            // MRMS reflectivity is typically -30 to 80 dBZ
-            if (scaledValue >= -50 && scaledValue <= 100) {
-              values[i] = Math.round(scaledValue * 10) / 10;
-            } else {
-              values[i] = null;
-            }
-          }
-        }
-      } else if (dataRep.bitsPerValue === 8) {
-        // 8-bit values
-        const maxPoints = Math.min(totalPoints, dataBuffer.length);
-        console.log(`   Processing ${maxPoints} 8-bit values`);
-        
-        for (let i = 0; i < maxPoints; i++) {
-          const rawValue = dataBuffer.readUInt8(i);
-          
-          if (rawValue === 0 || rawValue === 255) {
-            values[i] = null;
-          } else {
-            const referenceValue = dataRep.referenceValue || 0;
-            const binaryScaleFactor = dataRep.binaryScaleFactor || 0;
-            const decimalScaleFactor = dataRep.decimalScaleFactor || 0;
-            
-            const binaryScale = Math.pow(2, binaryScaleFactor);
-            const decimalScale = Math.pow(10, decimalScaleFactor);
-            
-            const scaledValue = (referenceValue + rawValue * binaryScale) / decimalScale;
-            
-            if (scaledValue >= -50 && scaledValue <= 100) {
-              values[i] = Math.round(scaledValue * 10) / 10;
-            } else {
-              values[i] = null;
-            }
-          }
+      unpacked = unpackSimple(dataBuffer, dataRep);
+    } else if (dataRep.template === 2 || dataRep.template === 3) {
+      // Complex packing, optionally with spatial differencing
+      console.log(`🧩 Processing complex packing (template ${dataRep.template})...`);
+      console.log(`   Groups: ${dataRep.numberOfGroups}, Missing value management: ${dataRep.missingValueManagement}, Differencing order: ${dataRep.spatialDifferencingOrder || 0}`);
+      unpacked = unpackComplex(dataBuffer, dataRep);
+    } else if (dataRep.template === 4) {
+      // IEEE floating point: values are stored unscaled
+      console.log(`🔢 Processing IEEE floating point data (template 4, precision ${dataRep.precision})...`);
+      unpacked = unpackIeee(dataBuffer, dataRep);
+    } else if (dataRep.template === 40) {
+      // JPEG 2000 code-stream: samples are the packed integers X
+      console.log('🗜️ Processing JPEG 2000 compressed data (template 40)...');
+      console.log(`   Reference: ${dataRep.referenceValue}, Binary Scale: ${dataRep.binaryScaleFactor}, Decimal Scale: ${dataRep.decimalScaleFactor}, Bits: ${dataRep.bitsPerValue}`);
+
+      if (dataRep.bitsPerValue === 0 || dataBuffer.length === 0) {
+        // Constant field: no code-stream, every point equals the reference value
+        unpacked = { values: new Uint8Array(dataRep.numberOfPoints) };
+      } else {
+        try {
+          const image = decodeJpeg2000(dataBuffer);
+          console.log(`   JPEG 2000 dimensions: ${image.width}x${image.height}`);
+          unpacked = { values: image.components[0].data };
+        } catch (jpegError) {
+          console.error('🗜️ JPEG 2000 decoding failed:', jpegError.message);
+          throw new Error(`JPEG 2000 decompression failed: ${jpegError.message}`);
         }
+      }
+    } else if (dataRep.template === 41) {
+      // PNG compressed data: pixels are the packed integers X
+      console.log('🖼️ Processing PNG compressed data (template 41)...');
+      console.log(`   Reference: ${dataRep.referenceValue}, Binary Scale: ${dataRep.binaryScaleFactor}, Decimal Scale: ${dataRep.decimalScaleFactor}, Bits: ${dataRep.bitsPerValue}`);
+
+      if (dataRep.bitsPerValue === 0 || dataBuffer.length === 0) {
+        unpacked = { values: new Uint8Array(dataRep.numberOfPoints) };
       } else {
-        throw new Error(`Unsupported bits per value for simple packing: ${dataRep.bitsPerValue}`);
+        try {
+          unpacked = unpackPng(dataBuffer);
+        } catch (pngError) {
+          console.error('🖼️ PNG decompression failed:', pngError.message);
+          throw new Error(`PNG decompression failed: ${pngError.message}`);
+        }
       }
     } else {
       throw new Error(`Unsupported data representation template: ${dataRep.template}`);
     }
 
-    const validCount = values.filter(v => v !== null).length;
-    console.log(`   Processed values: ${validCount}/${totalPoints} valid`);
+    const packedValues = unpacked.values;
+    const missing = unpacked.missing;
+    console.log(`   Processing ${packedValues.length} packed values${bitmap ? ' through bitmap' : ''}`);
+
+    // Complex packing substitutes these values for its missing flags
+    const substitutes = [null, dataRep.primaryMissingValue, dataRep.secondaryMissingValue];
+    const toPhysicalValue = createValueScaler(dataRep);
+
+    // Sentinels match to within half a packing step, since coarse packing
+    // may not represent them exactly
+    const step = dataRep.template === 4
+      ? 0
+      : Math.pow(2, dataRep.binaryScaleFactor || 0) / Math.pow(10, dataRep.decimalScaleFactor || 0);
+    const sentinelTolerance = Math.max(1e-3, step / 2);
+
+    // Scatter, classify and gather statistics in one pass
+    let valid = 0;
+    let noCoverage = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+
+    let k = 0;
+    for (let i = 0; i < totalPoints && k < packedValues.length; i++) {
+      if (bitmap && ((bitmap[i >> 3] >> (7 - (i & 7))) & 1) === 0) {
+        continue;
+      }
+
+      let value = NaN;
+      let state;
+      if (missing && missing[k] !== 0) {
+        state = classifyValue(substitutes[missing[k]], parameter, sentinelTolerance) === POINT_STATE.NO_COVERAGE
+          ? POINT_STATE.NO_COVERAGE
+          : POINT_STATE.MISSING;
+      } else {
+        value = toPhysicalValue(packedValues[k]);
+        state = classifyValue(value, parameter, sentinelTolerance);
+      }
+      k++;
+
+      if (state === POINT_STATE.VALID) {
+        values[i] = value;
+        valid++;
+        sum += value;
+        if (value < min) {
+          min = value;
+        }
+        if (value > max) {
+          max = value;
+        }
+      } else if (state === POINT_STATE.NO_COVERAGE) {
+        coverage[i] = 0;
+        noCoverage++;
+      }
+    }
+
+    const statistics = {
+      totalPoints,
+      valid,
+      missing: totalPoints - valid - noCoverage,
+      noCoverage,
+      min: valid > 0 ? min : null,
+      max: valid > 0 ? max : null,
+      mean: valid > 0 ? sum / valid : null,
+    };
+    console.log(`   Processed values: ${valid}/${totalPoints} valid, ${statistics.missing} missing, ${noCoverage} without coverage`);
     
     // If we have very few valid values, there might be an issue with our parsing
-    if (validCount === 0) {
+    if (valid === 0) {
       console.warn('⚠️  No valid data points found!');
       // Log some raw bytes for debugging
       console.warn('   First 32 bytes of data buffer:');
@@ -395,7 +877,7 @@ function parseDataSection(section, dataRep, gridDef) {
       }
     }
 
-    return values;
+    return { values, coverage, statistics };
   } catch (error) {
     console.error('❌ Error parsing data section:', error.message);
     console.error('   Stack:', error.stack);
@@ -403,16 +885,261 @@ function parseDataSection(section, dataRep, gridDef) {
   }
 }
 
+/**
+ * Builds the GRIB2 scaling Y = (R + X * 2^E) / 10^D for packed integers
+ * @param {Object} dataRep - Parsed Data Representation Section
+ * @returns {Function} Maps a packed integer X (or the value itself for IEEE data) to Y
+ */
+function createValueScaler(dataRep) {
+  if (dataRep.template === 4) {
+    return (rawValue) => rawValue;
+  }
+
+  const referenceValue = dataRep.referenceValue || 0;
+  const binaryScale = Math.pow(2, dataRep.binaryScaleFactor || 0);
+  const decimalScale = Math.pow(10, dataRep.decimalScaleFactor || 0);
+  return (rawValue) => (referenceValue + rawValue * binaryScale) / decimalScale;
+}
+
+/**
+ * Classifies a decoded value using the parameter's sentinels and valid range
+ * @param {number|null} value - Physical value
+ * @param {Object} parameter - Parameter description from parameterInfo
+ * @param {number} tolerance - Largest difference still matching a sentinel
+ * @returns {number} POINT_STATE of the value
+ */
+function classifyValue(value, parameter, tolerance) {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return POINT_STATE.MISSING;
+  }
+  if (parameter.noCoverageValue !== null && Math.abs(value - parameter.noCoverageValue) < tolerance) {
+    return POINT_STATE.NO_COVERAGE;
+  }
+  if (parameter.missingValue !== null && Math.abs(value - parameter.missingValue) < tolerance) {
+    return POINT_STATE.MISSING;
+  }
+  if (parameter.validRange && (value < parameter.validRange.min || value > parameter.validRange.max)) {
+    return POINT_STATE.MISSING;
+  }
+  return POINT_STATE.VALID;
+}
+
+/**
+ * Unpacks simple-packed integers (template 5.0) of any width from 0 to 32
+ * bits. A width of 0 is a constant field where every X is 0.
+ * @param {Buffer} dataBuffer - Section 7 payload (after the 5-byte header)
+ * @param {Object} dataRep - Parsed Data Representation Section
+ * @returns {{values: Uint8Array|Uint16Array|Uint32Array}} Unscaled integers
+ */
+function unpackSimple(dataBuffer, dataRep) {
+  const pointCount = dataRep.numberOfPoints;
+  const width = dataRep.bitsPerValue;
+
+  if (width > 32) {
+    throw new Error(`Unsupported bits per value for simple packing: ${width}`);
+  }
+
+  const values = width <= 8
+    ? new Uint8Array(pointCount)
+    : width <= 16 ? new Uint16Array(pointCount) : new Uint32Array(pointCount);
+  if (width === 0) {
+    return { values };
+  }
+
+  const available = Math.floor(dataBuffer.length * 8 / width);
+  if (available < pointCount) {
+    throw new Error(`Data section holds ${available} values of ${width} bits, expected ${pointCount}`);
+  }
+
+  const reader = createBitReader(dataBuffer);
+  for (let i = 0; i < pointCount; i++) {
+    values[i] = reader.read(width);
+  }
+
+  return { values };
+}
+
+/**
+ * Unpacks IEEE floating point values (template 5.4), stored big-endian
+ * @param {Buffer} dataBuffer - Section 7 payload (after the 5-byte header)
+ * @param {Object} dataRep - Parsed Data Representation Section
+ * @returns {{values: Float32Array|Float64Array}} Values as stored
+ */
+function unpackIeee(dataBuffer, dataRep) {
+  const pointCount = dataRep.numberOfPoints;
+
+  // Code table 5.7: 1 = 32-bit, 2 = 64-bit, 3 = 128-bit
+  let size;
+  if (dataRep.precision === 1) {
+    size = 4;
+  } else if (dataRep.precision === 2) {
+    size = 8;
+  } else {
+    throw new Error(`Unsupported IEEE floating point precision: ${dataRep.precision}`);
+  }
+
+  const values = size === 4 ? new Float32Array(pointCount) : new Float64Array(pointCount);
+
+  if (dataBuffer.length < pointCount * size) {
+    throw new Error(`Data section holds ${Math.floor(dataBuffer.length / size)} IEEE values, expected ${pointCount}`);
+  }
+
+  for (let i = 0; i < pointCount; i++) {
+    values[i] = size === 4 ? dataBuffer.readFloatBE(i * 4) : dataBuffer.readDoubleBE(i * 8);
+  }
+
+  return { values };
+}
+
+/**
+ * Unpacks PNG-packed integers (template 5.41). The PNG holds one sample per
+ * value: greyscale for depths up to 16 bits, RGB for 24 and RGBA for 32,
+ * with the channels forming one big-endian integer.
+ * @param {Buffer} dataBuffer - Section 7 payload (after the 5-byte header)
+ * @returns {{values: Uint16Array|Uint32Array}} Unscaled integers
+ */
+function unpackPng(dataBuffer) {
+  const png = decodePngSamples(dataBuffer);
+  console.log(`   PNG dimensions: ${png.width}x${png.height}, ${png.bitDepth} bits per pixel`);
+  return { values: png.samples };
+}
+
+/**
+ * Unpacks complex-packed integers (templates 5.2 and 5.3).
+ *
+ * The data section holds, in order: the spatial differencing descriptors
+ * (template 3 only), the group reference values, group widths and group
+ * lengths (each block padded to an octet), then the packed values group by
+ * group. Missing values are flagged rather than decoded, and spatial
+ * differencing is undone across the non-missing values only.
+ * @param {Buffer} dataBuffer - Section 7 payload (after the 5-byte header)
+ * @param {Object} dataRep - Parsed Data Representation Section
+ * @returns {{values: Float64Array, missing: Uint8Array}} Unscaled integers and
+ *   per-point missing flags (0 = present, 1 = primary, 2 = secondary)
+ */
+function unpackComplex(dataBuffer, dataRep) {
+  const pointCount = dataRep.numberOfPoints;
+  const groupCount = dataRep.numberOfGroups;
+  const missingManagement = dataRep.missingValueManagement;
+  const reader = createBitReader(dataBuffer);
+
+  const values = new Float64Array(pointCount);
+  const missing = new Uint8Array(pointCount);
+
+  if (groupCount === 0) {
+    return { values, missing };
+  }
+
+  // Spatial differencing descriptors: first value(s) and overall minimum
+  let firstValue = 0;
+  let secondValue = 0;
+  let minimumDifference = 0;
+  const order = dataRep.template === 3 ? dataRep.spatialDifferencingOrder : 0;
+  if (order && dataRep.extraDescriptorOctets > 0) {
+    const descriptorBits = dataRep.extraDescriptorOctets * 8;
+    firstValue = reader.readSigned(descriptorBits);
+    if (order === 2) {
+      secondValue = reader.readSigned(descriptorBits);
+    }
+    minimumDifference = reader.readSigned(descriptorBits);
+  }
+
+  const groupReferences = new Array(groupCount);
+  for (let g = 0; g < groupCount; g++) {
+    groupReferences[g] = reader.read(dataRep.bitsPerValue);
+  }
+  reader.align();
+
+  const groupWidths = new Array(groupCount);
+  for (let g = 0; g < groupCount; g++) {
+    groupWidths[g] = reader.read(dataRep.groupWidthBits) + dataRep.groupWidthReference;
+  }
+  reader.align();
+
+  const groupLengths = new Array(groupCount);
+  for (let g = 0; g < groupCount; g++) {
+    groupLengths[g] = reader.read(dataRep.groupLengthBits) * dataRep.groupLengthIncrement + dataRep.groupLengthReference;
+  }
+  groupLengths[groupCount - 1] = dataRep.lastGroupLength;
+  reader.align();
+
+  // Constant groups (width 0) signal missing through their reference value
+  const referenceMissing1 = 2 ** dataRep.bitsPerValue - 1;
+  const referenceMissing2 = referenceMissing1 - 1;
+
+  let n = 0;
+  let present = 0;
+  for (let g = 0; g < groupCount && n < pointCount; g++) {
+    const width = groupWidths[g];
+    const reference = groupReferences[g];
+    const end = Math.min(n + groupLengths[g], pointCount);
+
+    if (width === 0) {
+      let flag = 0;
+      if (missingManagement >= 1 && reference === referenceMissing1) {
+        flag = 1;
+      } else if (missingManagement === 2 && reference === referenceMissing2) {
+        flag = 2;
+      }
+      for (; n < end; n++) {
+        missing[n] = flag;
+        if (flag === 0) {
+          values[present++] = reference;
+        }
+      }
+      continue;
+    }
+
+    const missing1 = 2 ** width - 1;
+    const missing2 = missing1 - 1;
+    for (; n < end; n++) {
+      const packed = reader.read(width);
+      if (missingManagement >= 1 && packed === missing1) {
+        missing[n] = 1;
+      } else if (missingManagement === 2 && packed === missing2) {
+        missing[n] = 2;
+      } else {
+        values[present++] = packed + reference;
+      }
+    }
+  }
+
+  // Undo spatial differencing over the non-missing sequence
+  if (order === 1) {
+    values[0] = firstValue;
+    for (let i = 1; i < present; i++) {
+      values[i] = values[i] + minimumDifference + values[i - 1];
+    }
+  } else if (order === 2) {
+    values[0] = firstValue;
+    if (present > 1) {
+      values[1] = secondValue;
+    }
+    for (let i = 2; i < present; i++) {
+      values[i] = values[i] + minimumDifference + 2 * values[i - 1] - values[i - 2];
+    }
+  }
+
+  // Spread the compacted non-missing values back over the grid positions
+  for (let i = pointCount - 1, j = present - 1; i >= 0 && j >= 0; i--) {
+    if (missing[i] === 0) {
+      values[i] = values[j--];
+    }
+  }
+
+  return { values, missing };
+}
+
 /**
  * Validates that we have enough usable data points
  */
 export function hasValidData(parsedData) {
-  if (!parsedData || !parsedData.values || parsedData.values.length === 0) {
+  if (!parsedData || !parsedData.values || parsedData.values.length === 0 || !parsedData.statistics) {
     return false;
   }
 
-  // Count non-null values
-  const validCount = parsedData.values.filter(v => v !== null && v !== undefined).length;
+  // Counted while decoding, so no extra pass over the grid
+  const validCount = parsedData.statistics.valid;
   const validPercentage = (validCount / parsedData.values.length) * 100;
 
   console.log(`Valid data points: ${validCount} / ${parsedData.values.length} (${validPercentage.toFixed(1)}%)`);
@@ -0,0 +1,237 @@
+/**
+ * GRIB2 Code Tables
+ *
+ * Human-readable names for the WMO code tables referenced by the
+ * Identification (1) and Product Definition (4) sections. Only the entries
+ * relevant to radar and NWP grids are listed; anything else resolves to
+ * null so callers can fall back to the numeric code.
+ *
+ * Parameters are keyed by discipline, category and number, covering the WMO
+ * and NCEP radar parameters and the NSSL MRMS local table (discipline 209).
+ */
+
+// Code table 1.2: Significance of reference time
+const REFERENCE_TIME_SIGNIFICANCE = {
+  0: 'Analysis',
+  1: 'Start of forecast',
+  2: 'Verifying time of forecast',
+  3: 'Observation time',
+};
+
+// Code table 1.3: Production status of processed data
+const PRODUCTION_STATUS = {
+  0: 'Operational products',
+  1: 'Operational test products',
+  2: 'Research products',
+  3: 'Re-analysis products',
+};
+
+// Code table 1.4: Type of processed data
+const DATA_TYPE = {
+  0: 'Analysis products',
+  1: 'Forecast products',
+  2: 'Analysis and forecast products',
+  3: 'Control forecast products',
+  4: 'Perturbed forecast products',
+  5: 'Control and perturbed forecast products',
+  6: 'Processed satellite observations',
+  7: 'Processed radar observations',
+  8: 'Event probability',
+};
+
+// Code table 4.3: Type of generating process
+const GENERATING_PROCESS = {
+  0: 'Analysis',
+  1: 'Initialization',
+  2: 'Forecast',
+  3: 'Bias corrected forecast',
+  4: 'Ensemble forecast',
+  7: 'Analysis error',
+  8: 'Observation',
+  9: 'Climatological',
+};
+
+// Code table 4.4: Indicator of unit of time range, with fixed lengths in ms
+const TIME_UNITS = {
+  0: { name: 'minute', ms: 60 * 1000 },
+  1: { name: 'hour', ms: 60 * 60 * 1000 },
+  2: { name: 'day', ms: 24 * 60 * 60 * 1000 },
+  3: { name: 'month', months: 1 },
+  4: { name: 'year', months: 12 },
+  5: { name: 'decade', months: 120 },
+  6: { name: 'normal (30 years)', months: 360 },
+  7: { name: 'century', months: 1200 },
+  10: { name: '3 hours', ms: 3 * 60 * 60 * 1000 },
+  11: { name: '6 hours', ms: 6 * 60 * 60 * 1000 },
+  12: { name: '12 hours', ms: 12 * 60 * 60 * 1000 },
+  13: { name: 'second', ms: 1000 },
+};
+
+// Code table 4.5: Fixed surface types and units
+const SURFACE_TYPES = {
+  1: { name: 'Ground or water surface', units: null },
+  2: { name: 'Cloud base level', units: null },
+  3: { name: 'Level of cloud tops', units: null },
+  4: { name: 'Level of 0°C isotherm', units: null },
+  7: { name: 'Tropopause', units: null },
+  8: { name: 'Nominal top of the atmosphere', units: null },
+  10: { name: 'Entire atmosphere', units: null },
+  100: { name: 'Isobaric surface', units: 'Pa' },
+  101: { name: 'Mean sea level', units: null },
+  102: { name: 'Specific altitude above mean sea level', units: 'm' },
+  103: { name: 'Specified height level above ground', units: 'm' },
+  104: { name: 'Sigma level', units: null },
+  105: { name: 'Hybrid level', units: null },
+  106: { name: 'Depth below land surface', units: 'm' },
+  108: { name: 'Level at specified pressure difference from ground', units: 'Pa' },
+  200: { name: 'Entire atmosphere (considered as a single layer)', units: null },
+};
+
+// Code table 4.10: Type of statistical processing
+const STATISTICAL_PROCESSES = {
+  0: 'Average',
+  1: 'Accumulation',
+  2: 'Maximum',
+  3: 'Minimum',
+  4: 'Difference (end minus beginning)',
+  5: 'Root mean square',
+  6: 'Standard deviation',
+  7: 'Covariance',
+  8: 'Difference (beginning minus end)',
+  9: 'Ratio',
+};
+
+const REFLECTIVITY_RANGE = { min: -50, max: 100 };
+const HEIGHT_RANGE = { min: 0, max: 25000 };
+const RATE_RANGE = { min: 0, max: 1000 };
+const ACCUMULATION_RANGE = { min: 0, max: 5000 };
+const SHEAR_RANGE = { min: 0, max: 0.1 };
+const HAIL_RANGE = { min: 0, max: 250 };
+const ECHO_TOP_RANGE = { min: 0, max: 25 };
+const VIL_RANGE = { min: 0, max: 200 };
+
+// Code table 4.2 (disciplines 0 and 209): parameters by "discipline.category.number".
+// The product catalog takes its valid ranges from here.
+const PARAMETERS = {
+  '0.15.1': { name: 'Base reflectivity', units: 'dB', validRange: REFLECTIVITY_RANGE },
+  '0.16.195': { name: 'Reflectivity', units: 'dB', validRange: REFLECTIVITY_RANGE },
+  '0.16.196': { name: 'Composite reflectivity', units: 'dB', validRange: REFLECTIVITY_RANGE },
+  '209.3.0': { name: 'MergedAzShear0to2kmAGL', units: 's⁻¹', validRange: SHEAR_RANGE },
+  '209.3.1': { name: 'MergedAzShear3to6kmAGL', units: 's⁻¹', validRange: SHEAR_RANGE },
+  '209.3.2': { name: 'RotationTrack30min', units: 's⁻¹', validRange: SHEAR_RANGE },
+  '209.3.3': { name: 'RotationTrack60min', units: 's⁻¹', validRange: SHEAR_RANGE },
+  '209.3.4': { name: 'RotationTrack120min', units: 's⁻¹', validRange: SHEAR_RANGE },
+  '209.3.5': { name: 'RotationTrack240min', units: 's⁻¹', validRange: SHEAR_RANGE },
+  '209.3.6': { name: 'RotationTrack360min', units: 's⁻¹', validRange: SHEAR_RANGE },
+  '209.3.7': { name: 'RotationTrack1440min', units: 's⁻¹', validRange: SHEAR_RANGE },
+  '209.3.26': { name: 'SHI', units: 'J/m/s', validRange: { min: 0, max: 100000 } },
+  '209.3.27': { name: 'POSH', units: '%', validRange: { min: 0, max: 100 } },
+  '209.3.28': { name: 'MESH', units: 'mm', validRange: HAIL_RANGE },
+  '209.3.35': { name: 'VIL', units: 'kg/m²', validRange: VIL_RANGE },
+  '209.3.38': { name: 'EchoTop_18', units: 'km', validRange: ECHO_TOP_RANGE },
+  '209.3.39': { name: 'EchoTop_30', units: 'km', validRange: ECHO_TOP_RANGE },
+  '209.3.40': { name: 'EchoTop_50', units: 'km', validRange: ECHO_TOP_RANGE },
+  '209.3.41': { name: 'EchoTop_60', units: 'km', validRange: ECHO_TOP_RANGE },
+  '209.3.44': { name: 'ReflectivityAtLowestAltitude', units: 'dBZ', validRange: REFLECTIVITY_RANGE },
+  '209.6.0': { name: 'PrecipFlag', units: 'flag', validRange: { min: 0, max: 100 } },
+  '209.6.1': { name: 'PrecipRate', units: 'mm/h', validRange: RATE_RANGE },
+  '209.6.2': { name: 'RadarOnly_QPE_01H', units: 'mm', validRange: ACCUMULATION_RANGE },
+  '209.6.3': { name: 'RadarOnly_QPE_03H', units: 'mm', validRange: ACCUMULATION_RANGE },
+  '209.6.4': { name: 'RadarOnly_QPE_06H', units: 'mm', validRange: ACCUMULATION_RANGE },
+  '209.6.5': { name: 'RadarOnly_QPE_12H', units: 'mm', validRange: ACCUMULATION_RANGE },
+  '209.6.6': { name: 'RadarOnly_QPE_24H', units: 'mm', validRange: ACCUMULATION_RANGE },
+  '209.6.7': { name: 'RadarOnly_QPE_48H', units: 'mm', validRange: ACCUMULATION_RANGE },
+  '209.6.8': { name: 'RadarOnly_QPE_72H', units: 'mm', validRange: ACCUMULATION_RANGE },
+  '209.10.0': { name: 'MergedReflectivityQCComposite', units: 'dBZ', validRange: REFLECTIVITY_RANGE },
+  '209.10.1': { name: 'HeightCompositeReflectivity', units: 'm', validRange: HEIGHT_RANGE },
+  '209.10.2': { name: 'LowLevelCompositeReflectivity', units: 'dBZ', validRange: REFLECTIVITY_RANGE },
+  '209.10.3': { name: 'HeightLowLevelCompositeReflectivity', units: 'm', validRange: HEIGHT_RANGE },
+  '209.10.4': { name: 'LayerCompositeReflectivity_Low', units: 'dBZ', validRange: REFLECTIVITY_RANGE },
+  '209.10.5': { name: 'LayerCompositeReflectivity_High', units: 'dBZ', validRange: REFLECTIVITY_RANGE },
+  '209.10.6': { name: 'LayerCompositeReflectivity_Super', units: 'dBZ', validRange: REFLECTIVITY_RANGE },
+  '209.10.7': { name: 'ReflectivityCompositeHourlyMax', units: 'dBZ', validRange: REFLECTIVITY_RANGE },
+  '209.10.8': { name: 'ReflectivityMaxAboveM10C', units: 'dBZ', validRange: REFLECTIVITY_RANGE },
+  '209.10.9': { name: 'MergedBaseReflectivityQC', units: 'dBZ', validRange: REFLECTIVITY_RANGE },
+  '209.10.10': { name: 'MergedReflectivityComposite', units: 'dBZ', validRange: REFLECTIVITY_RANGE },
+};
+
+// MRMS products flag points with sentinel values instead of a bitmap
+const MRMS_SENTINELS = { missingValue: -999, noCoverageValue: -99 };
+
+function lookup(table, code) {
+  return Object.prototype.hasOwnProperty.call(table, code) ? table[code] : null;
+}
+
+export function referenceTimeSignificanceName(code) {
+  return lookup(REFERENCE_TIME_SIGNIFICANCE, code);
+}
+
+export function productionStatusName(code) {
+  return lookup(PRODUCTION_STATUS, code);
+}
+
+export function dataTypeName(code) {
+  return lookup(DATA_TYPE, code);
+}
+
+export function generatingProcessName(code) {
+  return lookup(GENERATING_PROCESS, code);
+}
+
+export function timeUnitName(code) {
+  const unit = lookup(TIME_UNITS, code);
+  return unit ? unit.name : null;
+}
+
+export function surfaceType(code) {
+  return lookup(SURFACE_TYPES, code);
+}
+
+export function statisticalProcessName(code) {
+  return lookup(STATISTICAL_PROCESSES, code);
+}
+
+/**
+ * Describes a parameter: name, units, valid range and sentinel values
+ * @param {number} discipline - Section 0 discipline
+ * @param {number} category - Parameter category
+ * @param {number} number - Parameter number
+ * @returns {Object} Parameter description; unknown fields are null
+ */
+export function parameterInfo(discipline, category, number) {
+  const entry = lookup(PARAMETERS, `${discipline}.${category}.${number}`);
+  const sentinels = discipline === 209 ? MRMS_SENTINELS : null;
+
+  return {
+    discipline,
+    category,
+    number,
+    name: entry ? entry.name : null,
+    units: entry ? entry.units : null,
+    validRange: entry ? entry.validRange : null,
+    missingValue: sentinels ? sentinels.missingValue : null,
+    noCoverageValue: sentinels ? sentinels.noCoverageValue : null,
+  };
+}
+
+/**
+ * Adds a GRIB2 time range to a date
+ * @param {Date} date - Start time
+ * @param {number} amount - Number of units (may be negative)
+ * @param {number} unitCode - Code table 4.4 unit
+ * @returns {Date|null} The shifted date, or null for unknown units
+ */
+export function addTimeRange(date, amount, unitCode) {
+  const unit = lookup(TIME_UNITS, unitCode);
+  if (!unit) {
+    return null;
+  }
+
+  if (unit.ms) {
+    return new Date(date.getTime() + amount * unit.ms);
+  }
+
+  const shifted = new Date(date.getTime());
+  shifted.setUTCMonth(shifted.getUTCMonth() + amount * unit.months);
+  return shifted;
+}
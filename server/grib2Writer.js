@@ -0,0 +1,689 @@
+/**
+ * GRIB2 Writer
+ *
+ * Encodes fields in the shape returned by parseMRMSGrib2 back into GRIB2
+ * messages, so fixtures can be generated offline and cropped or derived grids
+ * exported. Supports grid templates 3.0, 3.1, 3.20 and 3.30, product
+ * templates 4.0 and 4.8, and simple (5.0), complex (5.2), complex with
+ * spatial differencing (5.3), IEEE (5.4) or PNG (5.41) packing. Missing
+ * points are written either as the product's sentinels (MRMS -999 missing,
+ * -99 no coverage) or as a Section 6 bitmap.
+ */
+
+import { PNG } from 'pngjs';
+import { createBitWriter } from './bitStream.js';
+import { parameterInfo } from './grib2Tables.js';
+
+// Data Representation templates by packing name; complex packing with
+// spatial differencing is template 5.3
+const PACKING_TEMPLATES = { simple: 0, complex: 2, ieee: 4, png: 41 };
+// PNG packing stores greyscale up to 16 bits, RGB for 24 and RGBA for 32
+const PNG_DEPTHS = [8, 16, 24, 32];
+// Values per group in complex packing
+const COMPLEX_GROUP_LENGTH = 32;
+
+/**
+ * Encodes one or more fields as concatenated GRIB2 messages
+ * @param {Object|Array<Object>} fields - Fields shaped like parseMRMSGrib2 output
+ * @param {Object} options - Encoding options
+ * @param {string} options.packing - 'simple' (default), 'complex', 'ieee' or 'png'
+ * @param {number} options.spatialDifferencingOrder - 1 or 2 to pack first or
+ *   second differences with complex packing (template 5.3); 0 (default) for none
+ * @param {number} options.decimalScaleFactor - D; values keep D decimal places
+ *   (default 0); IEEE packing stores values unscaled
+ * @param {number} options.bitsPerValue - Fixed width; chosen from the value range when omitted
+ * @param {string} options.missing - 'sentinel' or 'bitmap'; defaults to sentinels
+ *   when the parameter defines them
+ * @returns {Buffer} GRIB2 file bytes
+ */
+export function encodeGrib2(fields, options = {}) {
+  const list = Array.isArray(fields) ? fields : [fields];
+  return Buffer.concat(list.map((field) => encodeMessage(field, options)));
+}
+
+/**
+ * Encodes a single field as one GRIB2 message
+ * @param {Object} field - Field shaped like parseMRMSGrib2 output
+ * @param {Object} options - Encoding options, see encodeGrib2
+ * @returns {Buffer} Message bytes
+ */
+function encodeMessage(field, options) {
+  const discipline = field.discipline !== undefined ? field.discipline : 209;
+  const productDefinition = field.productDefinition || {};
+  const parameterCategory = pick(productDefinition.parameterCategory, field.parameterCategory, 0);
+  const parameterNumber = pick(productDefinition.parameterNumber, field.parameterNumber, 0);
+  const parameter = parameterInfo(discipline, parameterCategory, parameterNumber);
+
+  const grid = field.gridDefinition;
+  const totalPoints = grid.nx * grid.ny;
+  if (!field.values || field.values.length !== totalPoints) {
+    throw new Error(`Expected ${totalPoints} values for a ${grid.nx}x${grid.ny} grid, got ${field.values ? field.values.length : 0}`);
+  }
+
+  const missingMode = options.missing || (parameter.missingValue !== null ? 'sentinel' : 'bitmap');
+  if (missingMode === 'sentinel' && parameter.missingValue === null) {
+    throw new Error(`Parameter ${discipline}.${parameterCategory}.${parameterNumber} has no sentinel values; use the bitmap`);
+  }
+
+  const { packed, bitmap } = collectValues(field, missingMode, parameter);
+  const packing = packValues(packed, options);
+
+  const sections = [
+    encodeIdentificationSection(field),
+    encodeGridDefinitionSection(grid),
+    encodeProductDefinitionSection(productDefinition, parameterCategory, parameterNumber),
+    encodeDataRepresentationSection(packed.length, packing),
+    encodeBitmapSection(bitmap),
+    encodeDataSection(packed.length, packing, grid, bitmap),
+  ];
+
+  const body = Buffer.concat(sections);
+  const indicator = Buffer.alloc(16);
+  indicator.write('GRIB', 0, 'ascii');
+  indicator.writeUInt8(discipline, 6);
+  indicator.writeUInt8(2, 7);
+  indicator.writeBigUInt64BE(BigInt(16 + body.length + 4), 8);
+
+  return Buffer.concat([indicator, body, Buffer.from('7777', 'ascii')]);
+}
+
+function pick(...candidates) {
+  return candidates.find((value) => value !== undefined && value !== null);
+}
+
+function codeOf(value, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  return typeof value === 'object' ? value.code : value;
+}
+
+function isMissing(value) {
+  return value === null || value === undefined || Number.isNaN(value);
+}
+
+/**
+ * Splits the grid into the values to pack and, in bitmap mode, the bitmap
+ * @returns {{packed: Float64Array, bitmap: Uint8Array|null}}
+ */
+function collectValues(field, missingMode, parameter) {
+  const { values, coverage } = field;
+  const totalPoints = values.length;
+
+  if (missingMode === 'sentinel') {
+    const packed = new Float64Array(totalPoints);
+    for (let i = 0; i < totalPoints; i++) {
+      if (!isMissing(values[i])) {
+        packed[i] = values[i];
+      } else {
+        packed[i] = coverage && coverage[i] === 0 ? parameter.noCoverageValue : parameter.missingValue;
+      }
+    }
+    return { packed, bitmap: null };
+  }
+
+  let present = 0;
+  const bitmap = new Uint8Array(Math.ceil(totalPoints / 8));
+  for (let i = 0; i < totalPoints; i++) {
+    if (!isMissing(values[i])) {
+      bitmap[i >> 3] |= 0x80 >> (i & 7);
+      present++;
+    }
+  }
+
+  if (present === totalPoints) {
+    return { packed: Float64Array.from(values), bitmap: null };
+  }
+
+  const packed = new Float64Array(present);
+  for (let i = 0, k = 0; i < totalPoints; i++) {
+    if (!isMissing(values[i])) {
+      packed[k++] = values[i];
+    }
+  }
+  return { packed, bitmap };
+}
+
+/**
+ * Chooses the reference value, scale factors and width, and quantizes values
+ * to X = round((Y * 10^D - R) / 2^E). IEEE packing keeps the values as they are.
+ * @param {Float64Array} packed - Values to pack
+ * @param {Object} options - Encoding options
+ * @returns {Object} Packing parameters and the integers X
+ */
+function packValues(packed, options) {
+  const name = options.packing || 'simple';
+  if (!Object.prototype.hasOwnProperty.call(PACKING_TEMPLATES, name)) {
+    throw new Error(`Unsupported packing: ${name}`);
+  }
+  const order = options.spatialDifferencingOrder || 0;
+  if (order !== 0 && order !== 1 && order !== 2) {
+    throw new Error(`Unsupported spatial differencing order: ${order}`);
+  }
+  if (order && name !== 'complex') {
+    throw new Error('Spatial differencing needs complex packing');
+  }
+  if (name === 'ieee') {
+    return { template: 4, values: packed };
+  }
+  const template = order ? 3 : PACKING_TEMPLATES[name];
+
+  const decimalScaleFactor = options.decimalScaleFactor || 0;
+  const decimalScale = Math.pow(10, decimalScaleFactor);
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < packed.length; i++) {
+    const scaled = packed[i] * decimalScale;
+    if (scaled < min) {
+      min = scaled;
+    }
+    if (scaled > max) {
+      max = scaled;
+    }
+  }
+  if (packed.length === 0) {
+    min = 0;
+    max = 0;
+  }
+
+  const referenceValue = float32AtOrBelow(min);
+  const range = max - referenceValue;
+
+  let binaryScaleFactor = 0;
+  let bitsPerValue = options.bitsPerValue;
+  if (bitsPerValue === undefined) {
+    bitsPerValue = bitsFor(Math.round(range));
+  } else {
+    while (Math.round(range / Math.pow(2, binaryScaleFactor)) > Math.pow(2, bitsPerValue) - 1) {
+      binaryScaleFactor++;
+    }
+  }
+
+  if (template === 41 && bitsPerValue > 0) {
+    const depth = PNG_DEPTHS.find((candidate) => candidate >= bitsPerValue);
+    if (!depth) {
+      throw new Error(`PNG packing cannot store ${bitsPerValue} bits per value`);
+    }
+    bitsPerValue = depth;
+  }
+  if (bitsPerValue > 32) {
+    throw new Error(`Value range needs ${bitsPerValue} bits; use a smaller decimal scale factor or fix bitsPerValue`);
+  }
+
+  const binaryScale = Math.pow(2, binaryScaleFactor);
+  const maxInteger = Math.pow(2, bitsPerValue) - 1;
+  const integers = new Uint32Array(packed.length);
+  if (bitsPerValue > 0) {
+    for (let i = 0; i < packed.length; i++) {
+      const x = Math.round((packed[i] * decimalScale - referenceValue) / binaryScale);
+      integers[i] = x < 0 ? 0 : x > maxInteger ? maxInteger : x;
+    }
+  }
+
+  const packing = { template, referenceValue, binaryScaleFactor, decimalScaleFactor, bitsPerValue, integers };
+  return template === 2 || template === 3 ? { ...packing, ...groupComplex(integers, order) } : packing;
+}
+
+/**
+ * @param {number} value - Non-negative integer
+ * @returns {number} Bits needed to store it
+ */
+function bitsFor(value) {
+  return value === 0 ? 0 : Math.ceil(Math.log2(value + 1));
+}
+
+/**
+ * Prepares complex packing: takes spatial differences of the given order,
+ * then splits the sequence into groups of COMPLEX_GROUP_LENGTH values, each
+ * stored as offsets from its minimum at the width its range needs. The
+ * first `order` values go into the differencing descriptors instead.
+ * @param {Uint32Array} integers - Packed integers X
+ * @param {number} order - Spatial differencing order, 0 for none
+ * @returns {Object} Group parameters for Section 5, and the descriptors,
+ *   groups and sequence for Section 7. bitsPerValue becomes the width of
+ *   the group references.
+ */
+function groupComplex(integers, order) {
+  const count = integers.length;
+  let sequence = Float64Array.from(integers);
+  let descriptors = [];
+
+  if (order) {
+    const differences = new Float64Array(count);
+    let minimum = count > order ? Infinity : 0;
+    for (let i = order; i < count; i++) {
+      differences[i] = order === 1
+        ? integers[i] - integers[i - 1]
+        : integers[i] - 2 * integers[i - 1] + integers[i - 2];
+      minimum = Math.min(minimum, differences[i]);
+    }
+    for (let i = order; i < count; i++) {
+      differences[i] -= minimum;
+    }
+    descriptors = [...Array.from({ length: order }, (_, i) => (i < count ? integers[i] : 0)), minimum];
+    sequence = differences;
+  }
+
+  const groups = [];
+  let maxReference = 0;
+  let minWidth = Infinity;
+  let maxWidth = 0;
+  for (let start = 0; start < count; start += COMPLEX_GROUP_LENGTH) {
+    const end = Math.min(count, start + COMPLEX_GROUP_LENGTH);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = start; i < end; i++) {
+      min = Math.min(min, sequence[i]);
+      max = Math.max(max, sequence[i]);
+    }
+    const width = bitsFor(max - min);
+    groups.push({ start, end, reference: min, width });
+    maxReference = Math.max(maxReference, min);
+    minWidth = Math.min(minWidth, width);
+    maxWidth = Math.max(maxWidth, width);
+  }
+
+  const groupWidthReference = groups.length > 0 ? minWidth : 0;
+  const largest = Math.max(0, ...descriptors.map(Math.abs));
+  let extraDescriptorOctets = 1;
+  while (largest >= 2 ** (extraDescriptorOctets * 8 - 1)) {
+    extraDescriptorOctets++;
+  }
+
+  return {
+    bitsPerValue: bitsFor(maxReference),
+    numberOfGroups: groups.length,
+    groupWidthReference,
+    groupWidthBits: bitsFor(maxWidth - groupWidthReference),
+    // Every group but the last has the same length, so lengths take no bits
+    groupLengthReference: COMPLEX_GROUP_LENGTH,
+    groupLengthIncrement: 1,
+    lastGroupLength: groups.length > 0 ? count - groups[groups.length - 1].start : 0,
+    groupLengthBits: 0,
+    spatialDifferencingOrder: order,
+    extraDescriptorOctets,
+    descriptors,
+    groups,
+    sequence,
+  };
+}
+
+/**
+ * Rounds down to a value exactly representable as an IEEE 32-bit float, so
+ * the reference value never exceeds the field minimum
+ * @param {number} value - Value to round
+ * @returns {number}
+ */
+function float32AtOrBelow(value) {
+  const rounded = Math.fround(value);
+  if (rounded <= value) {
+    return rounded;
+  }
+
+  const view = new DataView(new ArrayBuffer(4));
+  view.setFloat32(0, rounded);
+  const bits = view.getUint32(0);
+  if (rounded > 0) {
+    view.setUint32(0, bits - 1);
+  } else if (rounded < 0) {
+    view.setUint32(0, bits + 1);
+  } else {
+    view.setUint32(0, 0x80000001); // smallest negative subnormal
+  }
+  return view.getFloat32(0);
+}
+
+/**
+ * Writes a GRIB2 sign-and-magnitude integer (the top bit is the sign)
+ */
+function writeGribSigned(buffer, value, offset, bytes) {
+  const magnitude = Math.abs(Math.round(value));
+  const signBit = 2 ** (bytes * 8 - 1);
+  if (magnitude >= signBit) {
+    throw new Error(`Value ${value} does not fit in ${bytes} signed octets`);
+  }
+  buffer.writeUIntBE(value < 0 ? magnitude + signBit : magnitude, offset, bytes);
+}
+
+function createSection(number, length) {
+  const section = Buffer.alloc(length);
+  section.writeUInt32BE(length, 0);
+  section.writeUInt8(number, 4);
+  return section;
+}
+
+function writeDateTime(section, offset, isoTime) {
+  const date = new Date(isoTime);
+  section.writeUInt16BE(date.getUTCFullYear(), offset);
+  section.writeUInt8(date.getUTCMonth() + 1, offset + 2);
+  section.writeUInt8(date.getUTCDate(), offset + 3);
+  section.writeUInt8(date.getUTCHours(), offset + 4);
+  section.writeUInt8(date.getUTCMinutes(), offset + 5);
+  section.writeUInt8(date.getUTCSeconds(), offset + 6);
+}
+
+/**
+ * Encodes Identification Section (Section 1). Defaults describe an
+ * operational MRMS radar product.
+ */
+function encodeIdentificationSection(field) {
+  const identification = field.identification || {};
+  const referenceTime = pick(identification.referenceTime, field.referenceTime, field.validTime);
+  if (!referenceTime) {
+    throw new Error('A reference time is required');
+  }
+
+  const section = createSection(1, 21);
+  section.writeUInt16BE(pick(identification.originatingCentre, 161), 5);
+  section.writeUInt16BE(pick(identification.originatingSubcentre, 0), 7);
+  section.writeUInt8(pick(identification.masterTablesVersion, 2), 9);
+  section.writeUInt8(pick(identification.localTablesVersion, 1), 10);
+  section.writeUInt8(codeOf(identification.significanceOfReferenceTime, 0), 11);
+  writeDateTime(section, 12, referenceTime);
+  section.writeUInt8(codeOf(identification.productionStatus, 0), 19);
+  section.writeUInt8(codeOf(identification.typeOfData, 7), 20);
+  return section;
+}
+
+/**
+ * Encodes Grid Definition Section (Section 3) for templates 3.0, 3.1, 3.20
+ * and 3.30 from a parsed grid definition
+ */
+function encodeGridDefinitionSection(grid) {
+  const template = grid.template !== undefined ? grid.template : 0;
+  const length = { 0: 72, 1: 84, 20: 65, 30: 81 }[template];
+  if (!length) {
+    throw new Error(`Unsupported grid definition template: ${template}`);
+  }
+
+  const section = createSection(3, length);
+  section.writeUInt8(0, 5); // grid defined by template
+  section.writeUInt32BE(grid.nx * grid.ny, 6);
+  section.writeUInt16BE(template, 12);
+
+  // Shapes with explicit axes are written as a sphere of the parsed radius,
+  // matching the spherical projection math used when reading
+  let shapeOfEarth = grid.shapeOfEarth !== undefined ? grid.shapeOfEarth : 6;
+  if (shapeOfEarth === 3 || shapeOfEarth === 7) {
+    shapeOfEarth = 1;
+  }
+  section.writeUInt8(shapeOfEarth, 14);
+  section.fill(0xff, 15, 30);
+  if (shapeOfEarth === 1) {
+    section.writeUInt8(0, 15);
+    section.writeUInt32BE(Math.round(grid.earthRadius), 16);
+  }
+
+  section.writeUInt32BE(grid.nx, 30);
+  section.writeUInt32BE(grid.ny, 34);
+  const scanningFlags = grid.scanningMode ? grid.scanningMode.flags : 0;
+
+  if (template === 0 || template === 1) {
+    section.writeUInt32BE(0, 38); // basic angle: micro-degrees
+    section.writeUInt32BE(0xffffffff, 42);
+    writeGribSigned(section, grid.la1, 46, 4);
+    writeGribSigned(section, grid.lo1, 50, 4);
+    section.writeUInt8(0x30, 54); // both increments given
+    writeGribSigned(section, grid.la2, 55, 4);
+    writeGribSigned(section, grid.lo2, 59, 4);
+    section.writeUInt32BE(Math.round(grid.dx), 63);
+    section.writeUInt32BE(Math.round(grid.dy), 67);
+    section.writeUInt8(scanningFlags, 71);
+
+    if (template === 1) {
+      writeGribSigned(section, grid.southPoleLat, 72, 4);
+      writeGribSigned(section, grid.southPoleLon, 76, 4);
+      section.writeFloatBE(grid.rotationAngle || 0, 80);
+    }
+    return section;
+  }
+
+  writeGribSigned(section, grid.la1, 38, 4);
+  writeGribSigned(section, grid.lo1, 42, 4);
+  section.writeUInt8(0x30, 46);
+  writeGribSigned(section, grid.lad, 47, 4);
+  writeGribSigned(section, grid.lov, 51, 4);
+  section.writeUInt32BE(Math.round(grid.dx), 55);
+  section.writeUInt32BE(Math.round(grid.dy), 59);
+  section.writeUInt8(grid.southPoleCentre ? 0x80 : 0, 63);
+  section.writeUInt8(scanningFlags, 64);
+
+  if (template === 30) {
+    writeGribSigned(section, grid.latin1, 65, 4);
+    writeGribSigned(section, grid.latin2, 69, 4);
+    writeGribSigned(section, pick(grid.southPoleLat, -90000000), 73, 4);
+    writeGribSigned(section, pick(grid.southPoleLon, 0), 77, 4);
+  }
+  return section;
+}
+
+/**
+ * Encodes Product Definition Section (Section 4) as template 4.0, or 4.8
+ * when statistical processing is described
+ */
+function encodeProductDefinitionSection(productDefinition, parameterCategory, parameterNumber) {
+  const statistics = productDefinition.template === 8 ? productDefinition.statisticalProcessing : null;
+  const ranges = statistics ? statistics.ranges || [] : [];
+  const section = createSection(4, statistics ? 46 + ranges.length * 12 : 34);
+
+  section.writeUInt16BE(0, 5); // no coordinate values
+  section.writeUInt16BE(statistics ? 8 : 0, 7);
+  section.writeUInt8(parameterCategory, 9);
+  section.writeUInt8(parameterNumber, 10);
+
+  const process = productDefinition.generatingProcess || {};
+  section.writeUInt8(codeOf(process.code, 0), 11);
+  section.writeUInt8(pick(process.backgroundProcessId, 0), 12);
+  section.writeUInt8(pick(process.processId, 0), 13);
+  section.writeUInt16BE(0xffff, 14); // no data cut-off
+  section.writeUInt8(0xff, 16);
+
+  const forecastTime = productDefinition.forecastTime || { value: 0, unit: 0 };
+  section.writeUInt8(forecastTime.unit, 17);
+  writeGribSigned(section, forecastTime.value, 18, 4);
+
+  writeFixedSurface(section, 22, productDefinition.firstSurface);
+  writeFixedSurface(section, 28, productDefinition.secondSurface);
+
+  if (statistics) {
+    writeDateTime(section, 34, statistics.intervalEnd);
+    section.writeUInt8(ranges.length, 41);
+    section.writeUInt32BE(statistics.missingValueCount || 0, 42);
+    ranges.forEach((range, i) => {
+      const base = 46 + i * 12;
+      section.writeUInt8(codeOf(range.process, 255), base);
+      section.writeUInt8(pick(range.incrementType, 2), base + 1);
+      section.writeUInt8(range.unit, base + 2);
+      section.writeUInt32BE(range.length, base + 3);
+      section.writeUInt8(pick(range.incrementUnit, 255), base + 7);
+      section.writeUInt32BE(range.increment || 0, base + 8);
+    });
+  }
+
+  return section;
+}
+
+/**
+ * Writes a fixed surface, picking the smallest decimal scale that holds the value
+ */
+function writeFixedSurface(section, offset, surface) {
+  if (!surface) {
+    section.writeUInt8(255, offset);
+    section.fill(0xff, offset + 1, offset + 6);
+    return;
+  }
+
+  section.writeUInt8(surface.type, offset);
+  if (surface.value === null || surface.value === undefined) {
+    section.fill(0xff, offset + 1, offset + 6);
+    return;
+  }
+
+  let scaleFactor = 0;
+  while (scaleFactor < 6 && !Number.isInteger(Number((surface.value * 10 ** scaleFactor).toFixed(6)))) {
+    scaleFactor++;
+  }
+  writeGribSigned(section, scaleFactor, offset + 1, 1);
+  writeGribSigned(section, surface.value * 10 ** scaleFactor, offset + 2, 4);
+}
+
+/**
+ * Encodes Data Representation Section (Section 5), templates 5.0, 5.2, 5.3,
+ * 5.4 and 5.41
+ */
+function encodeDataRepresentationSection(pointCount, packing) {
+  const { template } = packing;
+  if (template === 4) {
+    const section = createSection(5, 12);
+    section.writeUInt32BE(pointCount, 5);
+    section.writeUInt16BE(template, 9);
+    section.writeUInt8(1, 11); // 32-bit precision
+    return section;
+  }
+
+  const section = createSection(5, { 2: 47, 3: 49 }[template] || 21);
+  section.writeUInt32BE(pointCount, 5);
+  section.writeUInt16BE(template, 9);
+  section.writeFloatBE(packing.referenceValue, 11);
+  writeGribSigned(section, packing.binaryScaleFactor, 15, 2);
+  writeGribSigned(section, packing.decimalScaleFactor, 17, 2);
+  section.writeUInt8(packing.bitsPerValue, 19);
+  section.writeUInt8(0, 20); // original values were floating point
+
+  if (template === 2 || template === 3) {
+    section.writeUInt8(1, 21); // general group splitting
+    section.writeUInt8(0, 22); // no missing value management
+    section.fill(0xff, 23, 31); // so no missing value substitutes
+    section.writeUInt32BE(packing.numberOfGroups, 31);
+    section.writeUInt8(packing.groupWidthReference, 35);
+    section.writeUInt8(packing.groupWidthBits, 36);
+    section.writeUInt32BE(packing.groupLengthReference, 37);
+    section.writeUInt8(packing.groupLengthIncrement, 41);
+    section.writeUInt32BE(packing.lastGroupLength, 42);
+    section.writeUInt8(packing.groupLengthBits, 46);
+    if (template === 3) {
+      section.writeUInt8(packing.spatialDifferencingOrder, 47);
+      section.writeUInt8(packing.extraDescriptorOctets, 48);
+    }
+  }
+  return section;
+}
+
+/**
+ * Encodes Bit-Map Section (Section 6)
+ */
+function encodeBitmapSection(bitmap) {
+  if (!bitmap) {
+    const section = createSection(6, 6);
+    section.writeUInt8(255, 5);
+    return section;
+  }
+
+  const section = createSection(6, 6 + bitmap.length);
+  section.writeUInt8(0, 5);
+  section.set(bitmap, 6);
+  return section;
+}
+
+/**
+ * Encodes Data Section (Section 7)
+ */
+function encodeDataSection(pointCount, packing, grid, bitmap) {
+  let data;
+  if (packing.template === 4) {
+    data = Buffer.alloc(pointCount * 4);
+    packing.values.forEach((value, i) => data.writeFloatBE(value, i * 4));
+  } else if (packing.template === 2 || packing.template === 3) {
+    data = encodeComplexData(packing);
+  } else if (packing.bitsPerValue === 0) {
+    data = Buffer.alloc(0);
+  } else if (packing.template === 41) {
+    // Without a bitmap the image keeps the grid's shape; otherwise one row
+    const width = bitmap ? pointCount : grid.nx;
+    const height = bitmap ? 1 : grid.ny;
+    data = encodePng(packing.integers, width, height, packing.bitsPerValue);
+  } else {
+    const writer = createBitWriter(Math.ceil((pointCount * packing.bitsPerValue) / 8));
+    for (let i = 0; i < pointCount; i++) {
+      writer.write(packing.integers[i], packing.bitsPerValue);
+    }
+    data = writer.buffer;
+  }
+
+  const section = createSection(7, 5 + data.length);
+  data.copy(section, 5);
+  return section;
+}
+
+/**
+ * Lays out complex-packed data: the spatial differencing descriptors, then
+ * the group references, widths and lengths (each block padded to an octet),
+ * then each group's values relative to its reference
+ */
+function encodeComplexData(packing) {
+  const { groups, sequence, descriptors } = packing;
+  const descriptorBits = packing.extraDescriptorOctets * 8;
+  const blockBytes = (bits) => Math.ceil((groups.length * bits) / 8);
+  const valueBits = groups.reduce((total, group) => total + (group.end - group.start) * group.width, 0);
+  const writer = createBitWriter(
+    (descriptors.length * descriptorBits) / 8 +
+      blockBytes(packing.bitsPerValue) +
+      blockBytes(packing.groupWidthBits) +
+      blockBytes(packing.groupLengthBits) +
+      Math.ceil(valueBits / 8)
+  );
+
+  for (const value of descriptors) {
+    // Sign and magnitude, like the other signed GRIB2 fields
+    writer.write(value < 0 ? -value + 2 ** (descriptorBits - 1) : value, descriptorBits);
+  }
+  for (const group of groups) {
+    writer.write(group.reference, packing.bitsPerValue);
+  }
+  writer.align();
+  for (const group of groups) {
+    writer.write(group.width - packing.groupWidthReference, packing.groupWidthBits);
+  }
+  writer.align();
+  for (let g = 0; g < groups.length; g++) {
+    writer.write(0, packing.groupLengthBits);
+  }
+  writer.align();
+  for (const group of groups) {
+    for (let i = group.start; i < group.end; i++) {
+      writer.write(sequence[i] - group.reference, group.width);
+    }
+  }
+  return writer.buffer;
+}
+
+/**
+ * Encodes packed integers as a PNG: greyscale for 8 and 16 bits, RGB for 24
+ * and RGBA for 32, with the channels forming one big-endian integer
+ */
+function encodePng(integers, width, height, bitsPerValue) {
+  const count = width * height;
+  let data;
+  let colorType = 0;
+  let bitDepth = 8;
+
+  if (bitsPerValue === 8) {
+    data = Buffer.from(Uint8Array.from(integers));
+  } else if (bitsPerValue === 16) {
+    // pngjs reads 16-bit input in platform byte order
+    data = Buffer.from(Uint16Array.from(integers).buffer);
+    bitDepth = 16;
+  } else {
+    const channels = bitsPerValue / 8;
+    colorType = channels === 3 ? 2 : 6;
+    data = Buffer.alloc(count * channels);
+    for (let i = 0; i < count; i++) {
+      data.writeUIntBE(integers[i], i * channels, channels);
+    }
+  }
+
+  const png = new PNG({ width, height, bitDepth, colorType, inputColorType: colorType, inputHasAlpha: colorType === 6 });
+  png.data = data;
+  return PNG.sync.write(png, { width, height, bitDepth, colorType, inputColorType: colorType, inputHasAlpha: colorType === 6 });
+}
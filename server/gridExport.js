@@ -0,0 +1,105 @@
+/**
+ * Grid Exports
+ *
+ * Formats for GIS and briefing tools that cannot read the /api/radar point
+ * list: contour collections as KML, with one styled placemark per band, and
+ * the cells of a grid as CSV rows.
+ */
+
+import { chooseStride, cropRegion, forEachCell } from "./viewportSampler.js";
+
+export const KML_CONTENT_TYPE = "application/vnd.google-earth.kml+xml";
+// Opacity of band fills in KML, as a two-digit hex alpha
+const KML_FILL_ALPHA = "99";
+// About a metre
+const CSV_COORDINATE_DIGITS = 5;
+
+/**
+ * Writes a contour collection as a KML document
+ * @param {Object} collection - FeatureCollection from the contour service
+ * @param {Object} product - Catalog entry from getProduct()
+ * @returns {string} KML
+ */
+export function contoursToKml(collection, product) {
+  const styles = [];
+  const placemarks = [];
+
+  for (const feature of collection.features) {
+    const { level, upperLevel, units, color } = feature.properties;
+    const styleId = `band-${String(level).replace(/[^0-9a-z]/gi, "_")}`;
+    const name = upperLevel === null ? `${level}+ ${units}` : `${level}-${upperLevel} ${units}`;
+    const abgr = kmlColor(color);
+
+    styles.push(
+      `<Style id="${styleId}"><LineStyle><color>ff${abgr}</color><width>1</width></LineStyle>` +
+        `<PolyStyle><color>${KML_FILL_ALPHA}${abgr}</color></PolyStyle></Style>`
+    );
+    const polygons = feature.geometry.coordinates.map(([outer, ...holes]) =>
+      "<Polygon><outerBoundaryIs>" + linearRing(outer) + "</outerBoundaryIs>" +
+        holes.map((hole) => "<innerBoundaryIs>" + linearRing(hole) + "</innerBoundaryIs>").join("") +
+        "</Polygon>"
+    );
+    placemarks.push(
+      `<Placemark><name>${escapeXml(name)}</name><styleUrl>#${styleId}</styleUrl>` +
+        `<ExtendedData><Data name="level"><value>${level}</value></Data>` +
+        `<Data name="upperLevel"><value>${upperLevel === null ? "" : upperLevel}</value></Data></ExtendedData>` +
+        `<MultiGeometry>${polygons.join("")}</MultiGeometry></Placemark>`
+    );
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>',
+    `<name>${escapeXml(`${product.name} ${collection.time || ""}`.trim())}</name>`,
+    ...styles,
+    ...placemarks,
+    "</Document></kml>",
+  ].join("\n");
+}
+
+/**
+ * Writes the cells of a grid inside a viewport as CSV: lat, lon, value
+ * (empty where there is no echo) and coverage (0 outside radar coverage)
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} viewport - Viewport from parseViewport(); minValue drops
+ *   cells below it, including those without echo
+ * @returns {{csv: string, stride: number, rows: number}}
+ */
+export function gridToCsv(grid, viewport) {
+  const region = cropRegion(grid, viewport.bbox);
+  const stride = chooseStride(grid, region, viewport);
+  const lines = ["lat,lon,value,coverage"];
+
+  if (region) {
+    const include = viewport.minValue === null ? () => true : (index) => grid.values[index] >= viewport.minValue;
+    forEachCell(grid, region, viewport.bbox, stride, include, (index, { lat, lon }) => {
+      const value = grid.values[index];
+      const cell = `${lat.toFixed(CSV_COORDINATE_DIGITS)},${lon.toFixed(CSV_COORDINATE_DIGITS)}`;
+      lines.push(`${cell},${Number.isNaN(value) ? "" : Number(value.toPrecision(7))},${grid.coverage[index]}`);
+    });
+  }
+
+  return { csv: lines.join("\n") + "\n", stride, rows: lines.length - 1 };
+}
+
+function linearRing(ring) {
+  return `<LinearRing><coordinates>${ring.map(([lon, lat]) => `${lon},${lat}`).join(" ")}</coordinates></LinearRing>`;
+}
+
+/**
+ * @param {string} hex - "#rrggbb"
+ * @returns {string} "bbggrr", the order KML colours use
+ */
+function kmlColor(hex) {
+  const rgb = hex.replace("#", "");
+  return `${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`.toLowerCase();
+}
+
+/**
+ * Escapes text for XML content and attribute values
+ * @param {*} text - Text, or anything with a string form
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (character) => `&#${character.charCodeAt(0)};`);
+}
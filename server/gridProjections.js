@@ -0,0 +1,296 @@
+/**
+ * Grid Projections
+ *
+ * Maps GRIB2 grid points to geographic coordinates, and back, for the grid
+ * templates decoded by the parser: regular (3.0) and rotated (3.1)
+ * latitude/longitude, polar stereographic (3.20) and Lambert conformal
+ * (3.30). Projections use spherical formulas with the radius from the grid's
+ * shape of the Earth.
+ */
+
+const DEG = Math.PI / 180;
+
+/**
+ * Creates a locator that maps data point indices to latitude/longitude
+ * @param {Object} gridDef - Parsed Grid Definition Section
+ * @returns {Object} Locator with locate(index), gridPosition(index),
+ *   geoPosition(i, j), gridCoordinates(lat, lon), indexAt(i, j) and
+ *   nearestIndex(lat, lon)
+ */
+export function createGridLocator(gridDef) {
+  const { nx, ny, scanningMode } = gridDef;
+  const iSign = scanningMode.iNegative ? -1 : 1;
+  const jSign = scanningMode.jPositive ? 1 : -1;
+  const projection = createProjection(gridDef);
+
+  /**
+   * Resolves a data index to its column and row counted from the first
+   * grid point, following the scanning mode ordering
+   * @param {number} index - Position in the decoded values array
+   * @returns {{i: number, j: number}}
+   */
+  function gridPosition(index) {
+    let i;
+    let j;
+    if (scanningMode.jConsecutive) {
+      i = Math.floor(index / ny);
+      j = index % ny;
+      if (scanningMode.alternatingRows && i % 2 === 1) {
+        j = ny - 1 - j;
+      }
+    } else {
+      j = Math.floor(index / nx);
+      i = index % nx;
+      if (scanningMode.alternatingRows && j % 2 === 1) {
+        i = nx - 1 - i;
+      }
+    }
+    return { i, j };
+  }
+
+  /**
+   * @param {number} index - Position in the decoded values array
+   * @returns {{lat: number, lon: number}} Degrees, longitude in -180..180
+   */
+  function locate(index) {
+    const { i, j } = gridPosition(index);
+    return geoPosition(i, j);
+  }
+
+  /**
+   * @param {number} i - Column counted from the first grid point, may be fractional
+   * @param {number} j - Row counted from the first grid point, may be fractional
+   * @returns {{lat: number, lon: number}} Degrees, longitude in -180..180
+   */
+  function geoPosition(i, j) {
+    const point = projection.toGeo(i * iSign, j * jSign);
+    return { lat: point.lat, lon: normalizeLongitude(point.lon) };
+  }
+
+  /**
+   * Inverse of locate: fractional column and row of a geographic point,
+   * which may fall outside the grid
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {{i: number, j: number}}
+   */
+  function gridCoordinates(lat, lon) {
+    const steps = projection.toGrid(lat, lon);
+    return { i: steps.di * iSign, j: steps.dj * jSign };
+  }
+
+  /**
+   * Inverse of gridPosition
+   * @param {number} i - Column counted from the first grid point
+   * @param {number} j - Row counted from the first grid point
+   * @returns {number} Index in the decoded values array, or -1 outside the grid
+   */
+  function indexAt(i, j) {
+    if (i < 0 || j < 0 || i >= nx || j >= ny) {
+      return -1;
+    }
+    if (scanningMode.jConsecutive) {
+      const row = scanningMode.alternatingRows && i % 2 === 1 ? ny - 1 - j : j;
+      return i * ny + row;
+    }
+    const column = scanningMode.alternatingRows && j % 2 === 1 ? nx - 1 - i : i;
+    return j * nx + column;
+  }
+
+  /**
+   * @param {number} lat - Latitude in degrees
+   * @param {number} lon - Longitude in degrees
+   * @returns {number} Index of the closest grid point, or -1 outside the grid
+   */
+  function nearestIndex(lat, lon) {
+    const { i, j } = gridCoordinates(lat, lon);
+    return indexAt(Math.round(i), Math.round(j));
+  }
+
+  return { locate, gridPosition, geoPosition, gridCoordinates, indexAt, nearestIndex };
+}
+
+/**
+ * Builds the template-specific mapping between signed grid steps and degrees
+ * @param {Object} gridDef - Parsed Grid Definition Section
+ * @returns {{toGeo: Function, toGrid: Function}} (di, dj) => {lat, lon} and
+ *   (lat, lon) => {di, dj}
+ */
+function createProjection(gridDef) {
+  switch (gridDef.template) {
+    case 0:
+      return latLonProjection(gridDef);
+    case 1:
+      return rotatedLatLonProjection(gridDef);
+    case 20:
+      return polarStereographicProjection(gridDef);
+    case 30:
+      return lambertConformalProjection(gridDef);
+    default:
+      throw new Error(`No projection for grid definition template: ${gridDef.template}`);
+  }
+}
+
+function latLonProjection(gridDef) {
+  const lat1 = gridDef.la1 / 1e6;
+  const lon1 = gridDef.lo1 / 1e6;
+  const dLon = gridDef.dx / 1e6;
+  const dLat = gridDef.dy / 1e6;
+  const iSign = gridDef.scanningMode.iNegative ? -1 : 1;
+
+  return {
+    toGeo: (di, dj) => ({ lat: lat1 + dj * dLat, lon: lon1 + di * dLon }),
+    toGrid: (lat, lon) => {
+      // Measure longitude from the first point in the scan direction, so
+      // grids crossing the antimeridian or prime meridian resolve correctly
+      const offset = ((((lon - lon1) * iSign) % 360) + 360) % 360;
+      const di = offset > 360 - dLon / 2 ? offset - 360 : offset;
+      return { di: (di * iSign) / dLon, dj: (lat - lat1) / dLat };
+    },
+  };
+}
+
+/**
+ * Rotated grids are regular in a frame whose south pole sits at the given
+ * point; coordinates are rotated back to the geographic frame.
+ */
+function rotatedLatLonProjection(gridDef) {
+  const rotated = latLonProjection(gridDef);
+  const theta = (-(90 + gridDef.southPoleLat / 1e6)) * DEG;
+  const phi = (-gridDef.southPoleLon / 1e6) * DEG;
+  const sinTheta = Math.sin(theta);
+  const cosTheta = Math.cos(theta);
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const rotation = gridDef.rotationAngle || 0;
+
+  return {
+    toGeo: (di, dj) => {
+      const point = rotated.toGeo(di, dj);
+      const lat = point.lat * DEG;
+      const lon = (point.lon + rotation) * DEG;
+
+      const x = Math.cos(lon) * Math.cos(lat);
+      const y = Math.sin(lon) * Math.cos(lat);
+      const z = Math.sin(lat);
+
+      const gx = cosTheta * cosPhi * x + sinPhi * y + sinTheta * cosPhi * z;
+      const gy = -cosTheta * sinPhi * x + cosPhi * y - sinTheta * sinPhi * z;
+      const gz = -sinTheta * x + cosTheta * z;
+
+      return {
+        lat: Math.asin(Math.max(-1, Math.min(1, gz))) / DEG,
+        lon: Math.atan2(gy, gx) / DEG,
+      };
+    },
+    // The transpose of the rotation above takes geographic points back into the rotated frame
+    toGrid: (latDeg, lonDeg) => {
+      const lat = latDeg * DEG;
+      const lon = lonDeg * DEG;
+
+      const gx = Math.cos(lon) * Math.cos(lat);
+      const gy = Math.sin(lon) * Math.cos(lat);
+      const gz = Math.sin(lat);
+
+      const x = cosTheta * cosPhi * gx - cosTheta * sinPhi * gy - sinTheta * gz;
+      const y = sinPhi * gx + cosPhi * gy;
+      const z = sinTheta * cosPhi * gx - sinTheta * sinPhi * gy + cosTheta * gz;
+
+      return rotated.toGrid(
+        Math.asin(Math.max(-1, Math.min(1, z))) / DEG,
+        Math.atan2(y, x) / DEG - rotation
+      );
+    },
+  };
+}
+
+/**
+ * Polar stereographic, true scale at LaD. Plane coordinates are in metres
+ * with the pole at the origin.
+ */
+function polarStereographicProjection(gridDef) {
+  const hemisphere = gridDef.southPoleCentre ? -1 : 1;
+  const lov = gridDef.lov / 1e6 * DEG;
+  const scale = gridDef.earthRadius * (1 + Math.sin(Math.abs(gridDef.lad / 1e6) * DEG));
+
+  const forward = (latDeg, lonDeg) => {
+    const rho = scale * Math.tan(Math.PI / 4 - hemisphere * latDeg * DEG / 2);
+    const angle = lonDeg * DEG - lov;
+    return { x: rho * Math.sin(angle), y: -hemisphere * rho * Math.cos(angle) };
+  };
+
+  const origin = forward(gridDef.la1 / 1e6, gridDef.lo1 / 1e6);
+  const dx = gridDef.dx / 1000;
+  const dy = gridDef.dy / 1000;
+
+  return {
+    toGeo: (di, dj) => {
+      const x = origin.x + di * dx;
+      const y = origin.y + dj * dy;
+      const rho = Math.hypot(x, y);
+      return {
+        lat: hemisphere * (90 - 2 * Math.atan(rho / scale) / DEG),
+        lon: (lov + Math.atan2(x, -hemisphere * y)) / DEG,
+      };
+    },
+    toGrid: (lat, lon) => {
+      const point = forward(lat, lon);
+      return { di: (point.x - origin.x) / dx, dj: (point.y - origin.y) / dy };
+    },
+  };
+}
+
+/**
+ * Lambert conformal conic with one or two standard parallels (Snyder 15-1
+ * to 15-5). Plane coordinates are in metres with the cone apex at the origin.
+ */
+function lambertConformalProjection(gridDef) {
+  const lat1 = gridDef.latin1 / 1e6 * DEG;
+  const lat2 = gridDef.latin2 / 1e6 * DEG;
+  const lov = gridDef.lov / 1e6 * DEG;
+  const t = (lat) => Math.tan(Math.PI / 4 + lat / 2);
+
+  const n = Math.abs(lat1 - lat2) < 1e-10
+    ? Math.sin(lat1)
+    : Math.log(Math.cos(lat1) / Math.cos(lat2)) / Math.log(t(lat2) / t(lat1));
+  const scale = gridDef.earthRadius * Math.cos(lat1) * Math.pow(t(lat1), n) / n;
+  const sign = n < 0 ? -1 : 1;
+
+  const forward = (latDeg, lonDeg) => {
+    const rho = scale / Math.pow(t(latDeg * DEG), n);
+    let delta = lonDeg * DEG - lov;
+    delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+    const theta = n * delta;
+    return { x: rho * Math.sin(theta), y: -rho * Math.cos(theta) };
+  };
+
+  const origin = forward(gridDef.la1 / 1e6, gridDef.lo1 / 1e6);
+  const dx = gridDef.dx / 1000;
+  const dy = gridDef.dy / 1000;
+
+  return {
+    toGeo: (di, dj) => {
+      const x = origin.x + di * dx;
+      const y = origin.y + dj * dy;
+      const rho = sign * Math.hypot(x, y);
+      const theta = Math.atan2(sign * x, -sign * y);
+      return {
+        lat: (2 * Math.atan(Math.pow(scale / rho, 1 / n)) - Math.PI / 2) / DEG,
+        lon: (lov + theta / n) / DEG,
+      };
+    },
+    toGrid: (lat, lon) => {
+      const point = forward(lat, lon);
+      return { di: (point.x - origin.x) / dx, dj: (point.y - origin.y) / dy };
+    },
+  };
+}
+
+/**
+ * @param {number} lon - Longitude in degrees
+ * @returns {number} Equivalent longitude in -180..180
+ */
+function normalizeLongitude(lon) {
+  const wrapped = ((lon + 180) % 360 + 360) % 360 - 180;
+  return wrapped === -180 && lon > 0 ? 180 : wrapped;
+}
@@ -0,0 +1,101 @@
+/**
+ * Decoded Grid Store
+ *
+ * Decodes the archived GRIB2 source of a frame into its full-resolution grid
+ * for consumers that need every cell (tiles, point queries, exports). Grids
+ * are large, so only the most recently used few are kept in memory;
+ * concurrent loads of the same frame share one decode.
+ */
+
+import { parseMRMSGrib2 } from "./grib2Parser.js";
+import { createGridLocator } from "./gridProjections.js";
+
+/**
+ * Creates a grid store backed by the frame archive
+ * @param {Object} frameCache - Frame archive from createFrameCache()
+ * @param {Object} [options]
+ * @param {number} [options.maxGrids=2] - Decoded grids kept in memory
+ * @returns {Object} Store with load(productId, frameName)
+ */
+export function createGridStore(frameCache, { maxGrids = 2 } = {}) {
+  // key -> Promise<grid|null>, least recently used first
+  const grids = new Map();
+
+  /**
+   * @param {string} productId - Catalog product id
+   * @param {string} frameName - Frame name from the archive
+   * @returns {Promise<Object|null>} Grid: {productId, frameName, values,
+   *   coverage, gridDefinition, locator, bounds}, or null when the frame's
+   *   source was not archived
+   */
+  function load(productId, frameName) {
+    const key = `${productId}/${frameName}`;
+    if (grids.has(key)) {
+      const cached = grids.get(key);
+      grids.delete(key);
+      grids.set(key, cached);
+      return cached;
+    }
+
+    const decoding = decode(productId, frameName);
+    grids.set(key, decoding);
+    decoding.catch(() => grids.delete(key));
+    while (grids.size > maxGrids) {
+      grids.delete(grids.keys().next().value);
+    }
+    return decoding;
+  }
+
+  async function decode(productId, frameName) {
+    const gribData = await frameCache.readSource(productId, frameName);
+    if (!gribData) {
+      return null;
+    }
+
+    const [field] = parseMRMSGrib2(gribData);
+    const locator = createGridLocator(field.gridDefinition);
+    return {
+      productId,
+      frameName,
+      values: field.values,
+      coverage: field.coverage,
+      gridDefinition: field.gridDefinition,
+      validTime: field.validTime,
+      locator,
+      bounds: gridBounds(field.gridDefinition, locator),
+    };
+  }
+
+  return { load };
+}
+
+/**
+ * Geographic bounding box of a grid, from points along its edges
+ * @param {Object} gridDef - Parsed Grid Definition Section
+ * @param {Object} locator - Locator from createGridLocator()
+ * @returns {{south: number, west: number, north: number, east: number}}
+ */
+export function gridBounds(gridDef, locator) {
+  const { nx, ny } = gridDef;
+  const bounds = { south: 90, west: 180, north: -90, east: -180 };
+  const include = (i, j) => {
+    const { lat, lon } = locator.locate(locator.indexAt(i, j));
+    bounds.south = Math.min(bounds.south, lat);
+    bounds.north = Math.max(bounds.north, lat);
+    bounds.west = Math.min(bounds.west, lon);
+    bounds.east = Math.max(bounds.east, lon);
+  };
+
+  // Projected grids curve, so sample along the edges rather than the corners only
+  const step = Math.max(1, Math.floor(Math.max(nx, ny) / 64));
+  for (let i = 0; i < nx; i += step) {
+    include(i, 0);
+    include(i, ny - 1);
+  }
+  for (let j = 0; j < ny; j += step) {
+    include(0, j);
+    include(nx - 1, j);
+  }
+  include(nx - 1, ny - 1);
+  return bounds;
+}
@@ -0,0 +1,220 @@
+/**
+ * Binary Grid Transport
+ *
+ * Encodes a frame's decoded grid as a compact binary grid for clients that
+ * want dense data rather than the sampled JSON point list. The grid is
+ * resampled onto a regular latitude/longitude raster (native cells for
+ * lat/lon grids), every cell is quantized to one byte with the product's
+ * catalog quantization, and the bytes are run-length encoded. Layout,
+ * little-endian:
+ *
+ *   offset  type     field
+ *   0       char[4]  magic "RGRD"
+ *   4       uint8    format version (1)
+ *   5       uint8    encoding: 0 raw bytes, 1 run-length pairs
+ *   6       uint16   stride: source cells per output cell along each axis
+ *   8       uint32   width (columns, west to east)
+ *   12      uint32   height (rows, north to south)
+ *   16      float64  south, west, north, east: centres of the outer cells
+ *   48      float64  dy, dx: degrees between rows and between columns
+ *   64      float32  scale
+ *   68      float32  offset
+ *   72      float64  valid time, milliseconds since the Unix epoch
+ *   80      ...      cell codes, row by row starting at the north-west corner
+ *
+ * Code 0 is no echo (missing, or at or below the display threshold), 255 is
+ * outside radar coverage, and codes 1-254 stand for offset + code * scale.
+ * Run-length pairs are (count 1-255, code). Encoded grids are cached per
+ * frame and stride along with a gzipped copy.
+ */
+
+import zlib from "zlib";
+import { promisify } from "util";
+
+const gzip = promisify(zlib.gzip);
+
+export const GRID_CONTENT_TYPE = "application/vnd.radar-grid";
+export const MAX_STRIDE = 16;
+
+const MAGIC = "RGRD";
+const VERSION = 1;
+const HEADER_BYTES = 80;
+const ENCODING_RAW = 0;
+const ENCODING_RLE = 1;
+const NO_COVERAGE = 255;
+const MAX_LEVEL = 254;
+
+/**
+ * Creates a grid encoding service
+ * @param {Object} options
+ * @param {Object} options.gridStore - Store from createGridStore()
+ * @param {number} [options.maxEncodings=8] - Encoded grids kept in memory
+ * @returns {Object} Service with getGrid()
+ */
+export function createGridTransport({ gridStore, maxEncodings = 8 }) {
+  // key -> Promise<{body, gzipped}|null>, least recently used first
+  const encodings = new Map();
+
+  /**
+   * @param {Object} product - Catalog entry from getProduct()
+   * @param {string} frameName - Frame name from the archive
+   * @param {number} stride - Source cells per output cell, 1..MAX_STRIDE
+   * @returns {Promise<{body: Buffer, gzipped: Buffer}|null>} Encoded grid,
+   *   or null when the frame has no archived grid
+   */
+  function getGrid(product, frameName, stride) {
+    const key = `${product.id}/${frameName}/${stride}`;
+    if (encodings.has(key)) {
+      const cached = encodings.get(key);
+      encodings.delete(key);
+      encodings.set(key, cached);
+      return cached;
+    }
+
+    const encoding = gridStore.load(product.id, frameName).then(async (grid) => {
+      if (!grid) return null;
+      const body = encodeGrid(grid, product, stride);
+      return { body, gzipped: await gzip(body) };
+    });
+    encodings.set(key, encoding);
+    encoding.catch(() => encodings.delete(key));
+    while (encodings.size > maxEncodings) {
+      encodings.delete(encodings.keys().next().value);
+    }
+    return encoding;
+  }
+
+  return { getGrid };
+}
+
+/**
+ * @param {number} stride - Requested stride
+ * @returns {boolean} Whether the stride can be served
+ */
+export function isValidStride(stride) {
+  return Number.isInteger(stride) && stride >= 1 && stride <= MAX_STRIDE;
+}
+
+/**
+ * Encodes one grid
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {number} stride - Source cells per output cell
+ * @returns {Buffer} Header followed by the encoded cell codes
+ */
+function encodeGrid(grid, product, stride) {
+  const raster = outputRaster(grid, stride);
+  const codes = quantize(grid, raster, product);
+  const runs = runLengthEncode(codes);
+  const useRuns = runs.length < codes.length;
+  const data = useRuns ? runs : codes;
+
+  const buffer = Buffer.alloc(HEADER_BYTES + data.length);
+  buffer.write(MAGIC, 0, "ascii");
+  buffer.writeUInt8(VERSION, 4);
+  buffer.writeUInt8(useRuns ? ENCODING_RLE : ENCODING_RAW, 5);
+  buffer.writeUInt16LE(stride, 6);
+  buffer.writeUInt32LE(raster.width, 8);
+  buffer.writeUInt32LE(raster.height, 12);
+  buffer.writeDoubleLE(raster.south, 16);
+  buffer.writeDoubleLE(raster.west, 24);
+  buffer.writeDoubleLE(raster.north, 32);
+  buffer.writeDoubleLE(raster.east, 40);
+  buffer.writeDoubleLE(raster.dy, 48);
+  buffer.writeDoubleLE(raster.dx, 56);
+  buffer.writeFloatLE(product.quantization.scale, 64);
+  buffer.writeFloatLE(product.quantization.offset, 68);
+  buffer.writeDoubleLE(grid.validTime ? new Date(grid.validTime).getTime() : 0, 72);
+  buffer.set(data, HEADER_BYTES);
+  return buffer;
+}
+
+/**
+ * Chooses the regular lat/lon raster a grid is sent on. Lat/lon grids keep
+ * their own spacing so every output cell is a source cell; projected grids
+ * are covered with the same number of cells over their bounding box.
+ * @param {Object} grid - Grid from the grid store
+ * @param {number} stride - Source cells per output cell
+ * @returns {{width, height, south, west, north, east, dx, dy}}
+ */
+export function outputRaster(grid, stride) {
+  const { gridDefinition, bounds } = grid;
+  const { nx, ny } = gridDefinition;
+  const width = Math.floor((nx - 1) / stride) + 1;
+  const height = Math.floor((ny - 1) / stride) + 1;
+
+  let dx;
+  let dy;
+  if (gridDefinition.template === 0) {
+    dx = (gridDefinition.dx / 1e6) * stride;
+    dy = (gridDefinition.dy / 1e6) * stride;
+  } else {
+    dx = width > 1 ? (bounds.east - bounds.west) / (width - 1) : 0;
+    dy = height > 1 ? (bounds.north - bounds.south) / (height - 1) : 0;
+  }
+
+  return {
+    width,
+    height,
+    west: bounds.west,
+    north: bounds.north,
+    east: bounds.west + (width - 1) * dx,
+    south: bounds.north - (height - 1) * dy,
+    dx,
+    dy,
+  };
+}
+
+/**
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} raster - Raster from outputRaster()
+ * @param {Object} product - Catalog entry from getProduct()
+ * @returns {Uint8Array} One code per output cell, rows north to south
+ */
+function quantize(grid, raster, product) {
+  const { values, coverage, locator } = grid;
+  const { scale, offset } = product.quantization;
+  const threshold = product.displayThreshold;
+  const codes = new Uint8Array(raster.width * raster.height);
+
+  for (let row = 0; row < raster.height; row++) {
+    const lat = raster.north - row * raster.dy;
+    for (let column = 0; column < raster.width; column++) {
+      const index = locator.nearestIndex(lat, raster.west + column * raster.dx);
+      const cell = row * raster.width + column;
+      if (index < 0 || !coverage[index]) {
+        codes[cell] = NO_COVERAGE;
+        continue;
+      }
+
+      // Cells left at 0 have no echo; missing cells are NaN, which fails this test too
+      const value = values[index];
+      if (!(value > threshold)) continue;
+      const level = Math.round((value - offset) / scale);
+      codes[cell] = Math.min(MAX_LEVEL, Math.max(1, level));
+    }
+  }
+
+  return codes;
+}
+
+/**
+ * @param {Uint8Array} codes - Cell codes
+ * @returns {Uint8Array} (count, code) pairs
+ */
+function runLengthEncode(codes) {
+  const runs = new Uint8Array(codes.length * 2);
+  let length = 0;
+  let start = 0;
+
+  while (start < codes.length) {
+    const code = codes[start];
+    let end = start + 1;
+    while (end < codes.length && end - start < 255 && codes[end] === code) end++;
+    runs[length++] = end - start;
+    runs[length++] = code;
+    start = end;
+  }
+
+  return runs.subarray(0, length);
+}
@@ -0,0 +1,208 @@
+/**
+ * Resilient HTTP Client
+ *
+ * GET requests with connect and read timeouts, a redirect cap and a response
+ * size limit. 5xx responses, connection resets and timeouts are retried with
+ * exponential backoff and jitter. Concurrent requests for the same URL share
+ * one in-flight download, so callers must treat returned Buffers as read-only.
+ */
+
+import https from "https";
+import http from "http";
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const RETRYABLE_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ETIMEDOUT",
+]);
+
+/**
+ * Creates an HTTP client
+ * @param {Object} [options]
+ * @param {number} [options.connectTimeoutMs=10000] - Time allowed to open the connection
+ * @param {number} [options.readTimeoutMs=30000] - Longest silence while waiting for data
+ * @param {number} [options.maxRedirects=5] - Redirects followed before giving up
+ * @param {number} [options.maxBytes=200 * 1024 * 1024] - Largest response body accepted
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.retryBaseDelayMs=500] - Backoff before the first retry
+ * @param {number} [options.retryMaxDelayMs=10000] - Upper bound of any backoff
+ * @returns {Object} Client with fetchUrl(url, isBinary)
+ */
+export function createHttpClient({
+  connectTimeoutMs = 10000,
+  readTimeoutMs = 30000,
+  maxRedirects = 5,
+  maxBytes = 200 * 1024 * 1024,
+  retries = 3,
+  retryBaseDelayMs = 500,
+  retryMaxDelayMs = 10000,
+} = {}) {
+  const inFlight = new Map();
+
+  /**
+   * Fetches content from a URL, retrying transient failures
+   * @param {string} url - The URL to fetch
+   * @param {boolean} [isBinary=false] - Whether to return binary data
+   * @returns {Promise<string|Buffer>}
+   */
+  function fetchUrl(url, isBinary = false) {
+    const key = `${isBinary ? "binary" : "text"} ${url}`;
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const download = fetchWithRetries(url).then((buffer) =>
+      isBinary ? buffer : buffer.toString("utf-8")
+    );
+    inFlight.set(key, download);
+    download.then(
+      () => inFlight.delete(key),
+      () => inFlight.delete(key)
+    );
+    return download;
+  }
+
+  async function fetchWithRetries(url) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetchFollowingRedirects(url);
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) {
+          throw error;
+        }
+        const delay = backoffDelay(attempt);
+        console.warn(`⚠️  ${error.message}; retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff with "equal jitter": half the step is fixed, half
+   * random, so simultaneous failures do not retry in lockstep
+   * @param {number} attempt - Zero-based retry number
+   * @returns {number} Delay in milliseconds
+   */
+  function backoffDelay(attempt) {
+    const step = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt);
+    return Math.round(step / 2 + Math.random() * (step / 2));
+  }
+
+  async function fetchFollowingRedirects(url) {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      const result = await request(current);
+      if (!result.location) {
+        return result.body;
+      }
+      if (redirects >= maxRedirects) {
+        throw requestError(`Too many redirects (${maxRedirects}) fetching ${url}`, false);
+      }
+      current = new URL(result.location, current).href;
+    }
+  }
+
+  /**
+   * Performs one GET without retries or redirects
+   * @param {string} url - The URL to fetch
+   * @returns {Promise<{body?: Buffer, location?: string}>}
+   */
+  function request(url) {
+    return new Promise((resolve, reject) => {
+      const protocol = url.startsWith("https") ? https : http;
+      let settled = false;
+      let connectTimer = null;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(connectTimer);
+        req.destroy();
+        reject(error);
+      };
+
+      const req = protocol.get(url, (res) => {
+        clearTimeout(connectTimer);
+
+        if (REDIRECT_STATUSES.has(res.statusCode) && res.headers.location) {
+          res.resume();
+          settled = true;
+          resolve({ location: res.headers.location });
+          return;
+        }
+
+        if (res.statusCode !== 200) {
+          res.resume();
+          fail(requestError(`HTTP ${res.statusCode}: ${res.statusMessage} (${url})`, res.statusCode >= 500));
+          return;
+        }
+
+        const declaredLength = Number(res.headers["content-length"]);
+        if (declaredLength > maxBytes) {
+          fail(requestError(`Response of ${declaredLength} bytes exceeds the ${maxBytes} byte limit (${url})`, false));
+          return;
+        }
+
+        const chunks = [];
+        let received = 0;
+
+        res.on("data", (chunk) => {
+          received += chunk.length;
+          if (received > maxBytes) {
+            fail(requestError(`Response exceeds the ${maxBytes} byte limit (${url})`, false));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on("end", () => {
+          if (settled) return;
+          if (!res.complete) {
+            fail(requestError(`Connection closed before the response completed (${url})`, true));
+            return;
+          }
+          settled = true;
+          resolve({ body: Buffer.concat(chunks) });
+        });
+        res.on("error", (error) => fail(networkError(error, url)));
+      });
+
+      connectTimer = setTimeout(() => {
+        fail(requestError(`Connect timeout after ${connectTimeoutMs}ms (${url})`, true));
+      }, connectTimeoutMs);
+      req.on("socket", (socket) => {
+        // Reused keep-alive sockets are already connected
+        if (!socket.connecting) {
+          clearTimeout(connectTimer);
+        } else {
+          socket.once("connect", () => clearTimeout(connectTimer));
+        }
+      });
+
+      // Socket inactivity covers both waiting for headers and stalls mid-body
+      req.setTimeout(readTimeoutMs, () => {
+        fail(requestError(`Read timeout after ${readTimeoutMs}ms (${url})`, true));
+      });
+      req.on("error", (error) => fail(networkError(error, url)));
+    });
+  }
+
+  return { fetchUrl };
+}
+
+/**
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether another attempt may succeed
+ * @returns {Error}
+ */
+function requestError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+function networkError(error, url) {
+  return requestError(`${error.code || "Network error"}: ${error.message} (${url})`, RETRYABLE_CODES.has(error.code));
+}
@@ -2,11 +2,23 @@ import express from "express";
 import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
-import {
-  fetchLatestRALA,
-  parseGRIB2Data,
-  generateDemoRadarData,
-} from "./mrmsService.js";
+import { generateDemoRadarData } from "./mrmsService.js";
+import { DEFAULT_PRODUCT, getProduct, listProducts } from "./productCatalog.js";
+import { createFrameCache, formatFrameTime, parseFrameTime } from "./frameCache.js";
+import { createIngestScheduler } from "./ingestScheduler.js";
+import { createGridStore } from "./gridStore.js";
+import { createTileService, isValidTile } from "./radarTiles.js";
+import { GRID_CONTENT_TYPE, createGridTransport } from "./gridTransport.js";
+import { createViewportSampler, isViewportQuery, parseViewport, samplePoints } from "./viewportSampler.js";
+import { createPointService, parsePointQuery } from "./pointQuery.js";
+import { createStormCellService, parseCellQuery } from "./stormCells.js";
+import { NOWCAST_MINUTES, createNowcastService } from "./nowcast.js";
+import { createAlertStore, describeRule, parseAlertRule, webhookHost } from "./alertRules.js";
+import { createAlertService } from "./alerts.js";
+import { createEventStream } from "./eventStream.js";
+import { createContourService, parseContourQuery } from "./contours.js";
+import { KML_CONTENT_TYPE, contoursToKml, gridToCsv } from "./gridExport.js";
+import { GEOTIFF_CONTENT_TYPE, createGeoTiffService } from "./geoTiff.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,32 +26,95 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Decoded frames live on disk so restarts serve the last frame immediately
+const FRAME_CACHE_DIR =
+  process.env.FRAME_CACHE_DIR || path.join(__dirname, "..", ".cache", "frames");
+const POLL_INTERVAL_SECONDS = Number(process.env.MRMS_POLL_INTERVAL) || 60;
+const RETENTION_HOURS = Number(process.env.FRAME_RETENTION_HOURS) || 6;
+const ALERT_RULES_FILE =
+  process.env.ALERT_RULES_FILE || path.join(__dirname, "..", ".cache", "alerts", "rules.json");
+// Webhook hosts allowed to be local or private, e.g. a receiver on the same machine
+const ALERT_WEBHOOK_ALLOWED_HOSTS = (process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => webhookHost(host.trim()))
+  .filter(Boolean);
+const INGEST_PRODUCTS = (process.env.MRMS_INGEST_PRODUCTS || DEFAULT_PRODUCT)
+  .split(",")
+  .map((id) => id.trim())
+  .filter((id) => {
+    if (getProduct(id)) return true;
+    console.warn(`⚠️  Ignoring unknown product in MRMS_INGEST_PRODUCTS: ${id}`);
+    return false;
+  });
+
+const frameCache = createFrameCache(FRAME_CACHE_DIR, { retentionHours: RETENTION_HOURS });
+const scheduler = createIngestScheduler({
+  cache: frameCache,
+  productIds: INGEST_PRODUCTS,
+  intervalMs: POLL_INTERVAL_SECONDS * 1000,
+  onFrame: (product, frame) => {
+    alertService.evaluate(product, frame);
+    announceFrame(product, frame);
+  },
+});
+const gridStore = createGridStore(frameCache);
+const tileService = createTileService({ gridStore });
+const gridTransport = createGridTransport({ gridStore });
+const viewportSampler = createViewportSampler({ gridStore });
+const pointService = createPointService({ gridStore, frameCache });
+const stormCellService = createStormCellService({ gridStore });
+const contourService = createContourService({ gridStore });
+const geoTiffService = createGeoTiffService({ gridStore });
+const nowcastService = createNowcastService({ gridStore, frameCache });
+// Forecast grids go out through the same binary encoding as archived frames
+const nowcastTransport = createGridTransport({ gridStore: nowcastService, maxEncodings: 3 });
+const alertStore = createAlertStore(ALERT_RULES_FILE);
+const alertService = createAlertService({
+  store: alertStore,
+  gridStore,
+  allowedWebhookHosts: ALERT_WEBHOOK_ALLOWED_HOSTS,
+});
+const eventStream = createEventStream({ snapshot: latestFrameEvents });
+alertService.subscribe((event) => eventStream.publish("alert", { product: event.rule.product, ...event }));
+
 app.use(cors());
 app.use(express.json());
 
 // Serve static files from the React app build directory
 app.use(express.static(path.join(__dirname, '..', 'dist')));
 
-// Endpoint to get latest MRMS RALA radar data
-app.get("/api/radar", async (req, res) => {
+/**
+ * Sends the newest cached frame of a product. Only when nothing is cached
+ * yet does the request wait for an ingest. Express answers 304 itself when
+ * If-None-Match or If-Modified-Since match the validators set here.
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {express.Request} req
+ * @param {express.Response} res
+ */
+async function sendLatestRadarData(product, req, res) {
+  const viewport = requireViewport(req, res);
+  if (!viewport) return;
+
   try {
-    console.log("Fetching latest MRMS RALA data...");
-    const gribData = await fetchLatestRALA();
-    const radarData = await parseGRIB2Data(gribData);
+    scheduler.watch(product.id);
+    let frame = frameCache.latest(product.id);
+    if (!frame) {
+      console.log(`No cached ${product.id} frame yet, ingesting now...`);
+      frame = await scheduler.ingestLatest(product);
+    }
 
-    res.json({
-      timestamp: new Date().toISOString(),
-      data: radarData,
-    });
+    await sendRadarFrame(product, frame, viewport, req, res, "no-cache");
   } catch (error) {
     console.error("Error fetching radar data:", error.message);
     console.error("Full error:", error.stack || error.toString());
 
     // Since we now support PNG compression, most MRMS data should work
-    // Only fall back to demo data if absolutely necessary
+    // Only fall back to demo data if absolutely necessary, and only for
+    // reflectivity products since the simulation produces dBZ values
     if (
-      error.message.includes("PNG compression") ||
-      error.message.includes("GRIB2 parsing")
+      product.units === "dBZ" &&
+      (error.message.includes("PNG compression") ||
+        error.message.includes("GRIB2 parsing"))
     ) {
       console.log(
         "Attempting to use fallback demo data due to parsing error..."
@@ -50,6 +125,7 @@ app.get("/api/radar", async (req, res) => {
 
         res.json({
           timestamp: new Date().toISOString(),
+          product: product.id,
           data: fallbackData,
           warning: "Using simulated data due to parsing error",
           originalError: error.message,
@@ -70,6 +146,736 @@ app.get("/api/radar", async (req, res) => {
       });
     }
   }
+}
+
+/**
+ * Sends a frame in the representation the request asks for: a binary grid,
+ * points for a viewport, or the archived JSON body
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {Object} frame - Frame from the frame archive
+ * @param {Object} viewport - Viewport from parseViewport()
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {string} cacheControl - Cache-Control header value
+ */
+async function sendRadarFrame(product, frame, viewport, req, res, cacheControl) {
+  if (wantsGrid(req)) {
+    await sendGrid(product, frame, viewport.stride || 1, req, res, cacheControl);
+    return;
+  }
+
+  // Frames archived without their GRIB2 source can only be sent whole
+  const body = isViewportQuery(viewport) ? await viewportSampler.sample(product, frame, viewport) : null;
+  if (!body) {
+    sendFrame(frame, req, res, cacheControl);
+    return;
+  }
+
+  // Express derives an ETag from the body, so revalidation still works
+  res.vary("Accept");
+  res.set({
+    "Last-Modified": frame.lastModified.toUTCString(),
+    "Cache-Control": cacheControl,
+  });
+  res.json(body);
+}
+
+/**
+ * Sends a stored frame with its validators; Express turns the response into
+ * a 304 when the request's conditional headers match them
+ * @param {Object} frame - Frame from the frame archive
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {string} cacheControl - Cache-Control header value
+ */
+function sendFrame(frame, req, res, cacheControl) {
+  res.vary("Accept");
+  res.set({
+    ETag: frame.etag,
+    "Last-Modified": frame.lastModified.toUTCString(),
+    "Cache-Control": cacheControl,
+  });
+  res.type("json").send(frame.body);
+}
+
+/**
+ * @param {express.Request} req
+ * @returns {boolean} Whether the client prefers the binary grid over JSON
+ */
+function wantsGrid(req) {
+  return req.accepts(["json", GRID_CONTENT_TYPE]) === GRID_CONTENT_TYPE;
+}
+
+/**
+ * Sends a frame as a binary grid (see gridTransport.js), gzipped when the
+ * client accepts it. Frames ingested without their GRIB2 source have no grid.
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {Object} frame - Frame from the frame archive, or any {name, etag, lastModified}
+ * @param {number} stride - Source cells per output cell
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {string} cacheControl - Cache-Control header value
+ * @param {Object} [transport=gridTransport] - Service that encodes the grid
+ */
+async function sendGrid(product, frame, stride, req, res, cacheControl, transport = gridTransport) {
+  const grid = await transport.getGrid(product, frame.name, stride);
+  if (!grid) {
+    res.status(404).json({
+      error: "Grid not archived",
+      message: `Frame ${frame.name} was ingested without its GRIB2 source`,
+    });
+    return;
+  }
+
+  const gzipped = Boolean(req.acceptsEncodings("gzip"));
+  res.vary("Accept").vary("Accept-Encoding");
+  res.set({
+    // Each representation of the frame needs its own strong validator
+    ETag: `${frame.etag.slice(0, -1)}.grid${stride}${gzipped ? ".gz" : ""}"`,
+    "Last-Modified": frame.lastModified.toUTCString(),
+    "Cache-Control": cacheControl,
+  });
+  if (gzipped) {
+    res.set("Content-Encoding", "gzip");
+  }
+  res.type(GRID_CONTENT_TYPE).send(gzipped ? grid.gzipped : grid.body);
+}
+
+/**
+ * Reads the bbox, zoom, resolution, minDbz and stride parameters, answering
+ * 400 when they are invalid
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @returns {Object|null} Viewport, or null once the 400 has been sent
+ */
+function requireViewport(req, res) {
+  const { viewport, error } = parseViewport(req.query);
+  if (error) {
+    res.status(400).json({ error: "Invalid viewport", message: error });
+    return null;
+  }
+  return viewport;
+}
+
+/**
+ * Resolves the product named in a request, answering 404 when it is unknown
+ * @param {string} id - Product id from the request
+ * @param {express.Response} res
+ * @returns {Object|null} Catalog entry, or null once the 404 has been sent
+ */
+function requireProduct(id, res) {
+  const product = getProduct(id);
+  if (!product) {
+    res.status(404).json({
+      error: "Unknown product",
+      message: `No cataloged product named ${id}`,
+    });
+  }
+  return product;
+}
+
+/**
+ * Resolves a frame time parameter to an archived frame, answering 400 or 404
+ * when it cannot be
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {string} timeParam - "latest", ISO 8601 or YYYYMMDD-HHMMSS
+ * @param {express.Response} res
+ * @returns {string|null} Frame name, or null once the error has been sent
+ */
+function requireFrameName(product, timeParam, res) {
+  if (timeParam === "latest") {
+    const newest = frameCache.latest(product.id);
+    if (!newest) {
+      res.status(404).json({
+        error: "Frame not found",
+        message: `No ${product.id} frame has been ingested yet`,
+      });
+    }
+    return newest ? newest.name : null;
+  }
+
+  const time = parseFrameTime(timeParam);
+  if (!time) {
+    res.status(400).json({
+      error: "Invalid time",
+      message: "Frame time must be latest, ISO 8601 or YYYYMMDD-HHMMSS",
+    });
+    return null;
+  }
+
+  const name = frameCache.find(product.id, time);
+  if (!name) {
+    res.status(404).json({
+      error: "Frame not found",
+      message: `No archived ${product.id} frame at ${time.toISOString()}`,
+    });
+  }
+  return name;
+}
+
+/**
+ * Reads the optional from/to parameters, answering 400 when they are invalid
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @returns {{from?: Date, to?: Date}|null} Range, or null once the 400 has been sent
+ */
+function requireTimeRange(req, res) {
+  const range = {};
+  for (const bound of ["from", "to"]) {
+    if (req.query[bound] === undefined) continue;
+    range[bound] = parseFrameTime(String(req.query[bound]));
+    if (!range[bound]) {
+      res.status(400).json({
+        error: "Invalid time",
+        message: `${bound} must be ISO 8601 or YYYYMMDD-HHMMSS`,
+      });
+      return null;
+    }
+  }
+  return range;
+}
+
+// Endpoint to get latest MRMS RALA radar data
+app.get("/api/radar", (req, res) => {
+  sendLatestRadarData(getProduct(DEFAULT_PRODUCT), req, res);
+});
+
+// Product catalog: ids, units, valid ranges and colour scales
+app.get("/api/products", (req, res) => {
+  res.json({ defaultProduct: DEFAULT_PRODUCT, products: listProducts() });
+});
+
+// Archived frame times for a product, optionally limited to a time range
+app.get("/api/radar/frames", (req, res) => {
+  const product = requireProduct(req.query.product || DEFAULT_PRODUCT, res);
+  if (!product) return;
+
+  const range = requireTimeRange(req, res);
+  if (!range) return;
+
+  scheduler.watch(product.id);
+  const times = frameCache.list(product.id, range);
+  res.json({
+    product: product.id,
+    retentionHours: RETENTION_HOURS,
+    frames: times.map((time) => ({
+      time: time.toISOString(),
+      url: `/api/radar/${product.id}/${formatFrameTime(time)}`,
+    })),
+  });
+});
+
+// Endpoint to get the latest data for any cataloged product
+app.get("/api/radar/:product", (req, res) => {
+  const product = requireProduct(req.params.product, res);
+  if (product) {
+    sendLatestRadarData(product, req, res);
+  }
+});
+
+// Grid cells inside a bbox as CSV; registered first so that ".csv" is not
+// read as part of a frame time
+app.get("/api/radar/:product/:time.csv", async (req, res) => {
+  const product = requireProduct(req.params.product, res);
+  if (!product) return;
+  const viewport = requireViewport(req, res);
+  if (!viewport) return;
+  if (!viewport.bbox) {
+    res.status(400).json({ error: "Invalid viewport", message: "CSV exports need a bbox" });
+    return;
+  }
+
+  const frameName = requireFrameName(product, req.params.time, res);
+  if (!frameName) return;
+
+  try {
+    const grid = await gridStore.load(product.id, frameName);
+    if (!grid) {
+      res.status(404).json({
+        error: "Grid not archived",
+        message: `Frame ${frameName} was ingested without its GRIB2 source`,
+      });
+      return;
+    }
+
+    const { csv, stride } = gridToCsv(grid, viewport);
+    res.set({
+      "X-Grid-Stride": String(stride),
+      "Cache-Control": req.params.time === "latest" ? "no-cache" : "public, max-age=86400, immutable",
+    });
+    res.attachment(`${product.id}_${formatFrameTime(parseFrameTime(frameName))}.csv`);
+    res.type("text/csv").send(csv);
+  } catch (error) {
+    console.error("Error exporting CSV:", error.message);
+    res.status(500).json({ error: "Failed to export CSV", message: error.message });
+  }
+});
+
+// The decoded grid as a GeoTIFF, optionally cropped to a bbox; also ahead of
+// the frame route
+app.get("/api/radar/:product/:time.tif", async (req, res) => {
+  const product = requireProduct(req.params.product, res);
+  if (!product) return;
+  // Only the bbox applies: the raster is always at full resolution
+  const { viewport, error } = parseViewport({ bbox: req.query.bbox });
+  if (error) {
+    res.status(400).json({ error: "Invalid viewport", message: error });
+    return;
+  }
+
+  const frameName = requireFrameName(product, req.params.time, res);
+  if (!frameName) return;
+
+  try {
+    const file = await geoTiffService.getGeoTiff(product, frameName, viewport.bbox);
+    if (!file) {
+      res.status(404).json({
+        error: "Grid not archived",
+        message: `Frame ${frameName} was ingested without its GRIB2 source`,
+      });
+      return;
+    }
+    if (!file.body) {
+      res.status(400).json({ error: "Invalid viewport", message: "bbox does not overlap the grid" });
+      return;
+    }
+
+    res.set({
+      "X-Raster-Size": `${file.width}x${file.height}`,
+      "Cache-Control": req.params.time === "latest" ? "no-cache" : "public, max-age=86400, immutable",
+    });
+    res.attachment(`${product.id}_${formatFrameTime(parseFrameTime(frameName))}.tif`);
+    res.type(GEOTIFF_CONTENT_TYPE).send(file.body);
+  } catch (error) {
+    console.error("Error exporting GeoTIFF:", error.message);
+    res.status(500).json({ error: "Failed to export GeoTIFF", message: error.message });
+  }
+});
+
+// One archived frame, by valid time (ISO 8601 or YYYYMMDD-HHMMSS)
+app.get("/api/radar/:product/:time", async (req, res) => {
+  const product = requireProduct(req.params.product, res);
+  if (!product) return;
+  const viewport = requireViewport(req, res);
+  if (!viewport) return;
+
+  const time = parseFrameTime(req.params.time);
+  if (!time) {
+    res.status(400).json({
+      error: "Invalid time",
+      message: "Frame time must be ISO 8601 or YYYYMMDD-HHMMSS",
+    });
+    return;
+  }
+
+  try {
+    const frame = await frameCache.get(product.id, time);
+    if (!frame) {
+      res.status(404).json({
+        error: "Frame not found",
+        message: `No archived ${product.id} frame at ${time.toISOString()}`,
+      });
+      return;
+    }
+    // A frame's content never changes once archived
+    await sendRadarFrame(product, frame, viewport, req, res, "public, max-age=86400, immutable");
+  } catch (error) {
+    console.error("Error reading archived frame:", error.message);
+    res.status(500).json({ error: "Failed to read frame", message: error.message });
+  }
+});
+
+// Full-resolution Web Mercator tiles of a frame, coloured with the product's scale
+app.get("/api/tiles/:product/:time/:z/:x/:y.png", async (req, res) => {
+  const product = requireProduct(req.params.product, res);
+  if (!product) return;
+
+  const z = Number(req.params.z);
+  const x = Number(req.params.x);
+  const y = Number(req.params.y);
+  if (!isValidTile(z, x, y)) {
+    res.status(400).json({ error: "Invalid tile", message: `No tile ${z}/${x}/${y}` });
+    return;
+  }
+
+  const frameName = requireFrameName(product, req.params.time, res);
+  if (!frameName) return;
+
+  try {
+    const tile = await tileService.getTile(product, frameName, z, x, y);
+    if (!tile) {
+      res.status(404).json({
+        error: "Grid not archived",
+        message: `Frame ${frameName} was ingested without its GRIB2 source`,
+      });
+      return;
+    }
+
+    res.set({
+      ETag: `"${product.id}/${frameName}/${z}/${x}/${y}"`,
+      // "latest" moves on with each ingest; a timestamped tile never changes
+      "Cache-Control": req.params.time === "latest" ? "no-cache" : "public, max-age=86400, immutable",
+    });
+    res.type("png").send(tile);
+  } catch (error) {
+    console.error("Error rendering tile:", error.message);
+    res.status(500).json({ error: "Failed to render tile", message: error.message });
+  }
+});
+
+// Value at one location in the latest frame, a given frame (time=) or every
+// archived frame between from and to
+app.get("/api/point", async (req, res) => {
+  const product = requireProduct(req.query.product || DEFAULT_PRODUCT, res);
+  if (!product) return;
+
+  const { point, error } = parsePointQuery(req.query);
+  if (error) {
+    res.status(400).json({ error: "Invalid point", message: error });
+    return;
+  }
+  const range = requireTimeRange(req, res);
+  if (!range) return;
+
+  scheduler.watch(product.id);
+  const query = {
+    product: product.id,
+    units: product.units,
+    lat: point.lat,
+    lon: point.lon,
+    interpolation: point.interpolation,
+    radiusKm: point.radiusKm,
+  };
+
+  try {
+    if (range.from || range.to) {
+      const series = await pointService.series(product, range, point);
+      res.json({ ...query, from: range.from || null, to: range.to || null, ...series });
+      return;
+    }
+
+    const frameName = requireFrameName(product, String(req.query.time || "latest"), res);
+    if (!frameName) return;
+
+    const sample = await pointService.sample(product, frameName, point);
+    if (!sample) {
+      res.status(404).json({
+        error: "Grid not archived",
+        message: `Frame ${frameName} was ingested without its GRIB2 source`,
+      });
+      return;
+    }
+    res.json({ ...query, time: parseFrameTime(frameName).toISOString(), ...sample });
+  } catch (error) {
+    console.error("Error answering point query:", error.message);
+    res.status(500).json({ error: "Failed to query point", message: error.message });
+  }
+});
+
+// Storm cells of a reflectivity frame as GeoJSON, found with nested thresholds
+app.get("/api/cells", async (req, res) => {
+  const product = requireProduct(req.query.product || DEFAULT_PRODUCT, res);
+  if (!product) return;
+  if (product.units !== "dBZ") {
+    res.status(400).json({
+      error: "Unsupported product",
+      message: `Storm cells are identified from reflectivity products, not ${product.id}`,
+    });
+    return;
+  }
+
+  const { options, error } = parseCellQuery(req.query);
+  if (error) {
+    res.status(400).json({ error: "Invalid cell query", message: error });
+    return;
+  }
+
+  scheduler.watch(product.id);
+  const frameName = requireFrameName(product, String(req.query.time || "latest"), res);
+  if (!frameName) return;
+
+  try {
+    const cells = await stormCellService.getCells(product, frameName, options);
+    if (!cells) {
+      res.status(404).json({
+        error: "Grid not archived",
+        message: `Frame ${frameName} was ingested without its GRIB2 source`,
+      });
+      return;
+    }
+    res.type("application/geo+json").send(JSON.stringify(cells));
+  } catch (error) {
+    console.error("Error identifying storm cells:", error.message);
+    res.status(500).json({ error: "Failed to identify storm cells", message: error.message });
+  }
+});
+
+// Filled contours between value levels, as GeoJSON or (format=kml) KML
+app.get("/api/contours", async (req, res) => {
+  const product = requireProduct(req.query.product || DEFAULT_PRODUCT, res);
+  if (!product) return;
+  const viewport = requireViewport(req, res);
+  if (!viewport) return;
+
+  const { options, error } = parseContourQuery(req.query);
+  if (error) {
+    res.status(400).json({ error: "Invalid contour query", message: error });
+    return;
+  }
+  const format = String(req.query.format || "geojson");
+  if (format !== "geojson" && format !== "kml") {
+    res.status(400).json({ error: "Invalid contour query", message: "format must be geojson or kml" });
+    return;
+  }
+
+  scheduler.watch(product.id);
+  const frameName = requireFrameName(product, String(req.query.time || "latest"), res);
+  if (!frameName) return;
+
+  try {
+    const contours = await contourService.getContours(product, frameName, viewport, options);
+    if (!contours) {
+      res.status(404).json({
+        error: "Grid not archived",
+        message: `Frame ${frameName} was ingested without its GRIB2 source`,
+      });
+      return;
+    }
+
+    if (format === "kml") {
+      res.attachment(`${product.id}_${formatFrameTime(parseFrameTime(frameName))}.kml`);
+      res.type(KML_CONTENT_TYPE).send(contoursToKml(contours, product));
+      return;
+    }
+    res.type("application/geo+json").send(JSON.stringify(contours));
+  } catch (error) {
+    console.error("Error contouring frame:", error.message);
+    res.status(500).json({ error: "Failed to contour frame", message: error.message });
+  }
+});
+
+// Newest reflectivity frame extrapolated 15, 30 or 60 minutes ahead, with
+// the motion vectors it was moved along
+app.get("/api/nowcast", async (req, res) => {
+  const product = requireProduct(req.query.product || DEFAULT_PRODUCT, res);
+  if (!product) return;
+  if (product.units !== "dBZ") {
+    res.status(400).json({
+      error: "Unsupported product",
+      message: `Nowcasts are made from reflectivity products, not ${product.id}`,
+    });
+    return;
+  }
+
+  const minutes = req.query.minutes === undefined ? 30 : Number(req.query.minutes);
+  if (!NOWCAST_MINUTES.includes(minutes)) {
+    res.status(400).json({
+      error: "Invalid lead time",
+      message: `minutes must be one of ${NOWCAST_MINUTES.join(", ")}`,
+    });
+    return;
+  }
+  const viewport = requireViewport(req, res);
+  if (!viewport) return;
+
+  scheduler.watch(product.id);
+  try {
+    const tracked = await nowcastService.track(product);
+    if (!tracked) {
+      res.status(404).json({
+        error: "Nowcast unavailable",
+        message: `Tracking needs two archived ${product.id} frames, with GRIB2 sources, up to 30 minutes apart`,
+      });
+      return;
+    }
+
+    const name = `${tracked.baseName}+${minutes}`;
+    const baseTime = parseFrameTime(tracked.baseName);
+    if (wantsGrid(req)) {
+      const forecastFrame = { name, etag: `"${encodeURIComponent(name)}"`, lastModified: baseTime };
+      await sendGrid(product, forecastFrame, viewport.stride || 1, req, res, "no-cache", nowcastTransport);
+      return;
+    }
+
+    // Only the viewport is extrapolated for the point list
+    const grid = await nowcastService.load(product.id, name, viewport.bbox);
+    const { points, noCoverage, stride, coverageStride } = samplePoints(grid, product, viewport);
+    res.vary("Accept");
+    res.set({ "Last-Modified": baseTime.toUTCString(), "Cache-Control": "no-cache" });
+    res.json({
+      product: product.id,
+      minutes,
+      baseTime: baseTime.toISOString(),
+      previousTime: parseFrameTime(tracked.motion.previousName).toISOString(),
+      validTime: grid.validTime,
+      motion: { vectors: tracked.motion.vectors },
+      data: {
+        points,
+        noCoverage,
+        metadata: {
+          product: { id: product.id, name: product.name, units: product.units },
+          validTime: grid.validTime,
+          stride,
+          coverageSampleRate: coverageStride,
+          bbox: viewport.bbox,
+          minValue: viewport.minValue,
+          dataSource: "Nowcast",
+          note: `${minutes}-minute extrapolation of ${product.id} from NOAA MRMS`,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error making nowcast:", error.message);
+    res.status(500).json({ error: "Failed to make nowcast", message: error.message });
+  }
+});
+
+/**
+ * Payload of a "frame" stream event
+ * @param {string} productId - Catalog product id
+ * @param {Date} time - Frame valid time
+ * @returns {Object}
+ */
+function frameEvent(productId, time) {
+  return {
+    product: productId,
+    validTime: time.toISOString(),
+    url: `/api/radar/${productId}/${formatFrameTime(time)}`,
+  };
+}
+
+/**
+ * Streams a newly archived frame if it is now its product's newest;
+ * backfilled older frames are not announced
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {Object} frame - Frame from the frame archive
+ */
+function announceFrame(product, frame) {
+  const latest = frameCache.latest(product.id);
+  if (latest && latest.name === frame.name) {
+    eventStream.publish("frame", frameEvent(product.id, frame.time));
+  }
+}
+
+/**
+ * @param {Array<string>|null} productIds - Products, or null for every product with frames
+ * @returns {Array<{type: string, data: Object}>} A "frame" event for each newest frame
+ */
+function latestFrameEvents(productIds) {
+  return (productIds || listProducts().map((product) => product.id))
+    .map((productId) => frameCache.latest(productId))
+    .filter(Boolean)
+    .map((frame) => ({ type: "frame", data: frameEvent(frame.productId, frame.time) }));
+}
+
+// Server-Sent Events announcing new frames and alerts, for one product
+// (product=), several (comma-separated) or all of them
+app.get("/api/stream", (req, res) => {
+  let productIds = null;
+  if (req.query.product !== undefined) {
+    productIds = String(req.query.product).split(",");
+    const unknown = productIds.find((id) => !getProduct(id));
+    if (unknown) {
+      requireProduct(unknown, res);
+      return;
+    }
+    productIds.forEach((id) => scheduler.watch(id));
+  }
+
+  eventStream.connect(req, res, productIds);
+});
+
+/**
+ * Reads an alert rule from the request body, answering 400 when it is invalid
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @returns {Object|null} Fields from parseAlertRule(), or null after an error response
+ */
+function requireAlertRule(req, res) {
+  const { fields, error } = parseAlertRule(req.body, { allowedWebhookHosts: ALERT_WEBHOOK_ALLOWED_HOSTS });
+  if (error) {
+    res.status(400).json({ error: "Invalid alert rule", message: error });
+    return null;
+  }
+  return fields;
+}
+
+/**
+ * Starts watching a rule's product and checks the rule against the newest
+ * frame straight away rather than at the next ingest
+ * @param {Object} rule - Stored rule
+ */
+function activateAlertRule(rule) {
+  const product = getProduct(rule.product);
+  scheduler.watch(product.id);
+  const frame = frameCache.latest(product.id);
+  if (frame) {
+    alertService.evaluate(product, frame);
+  }
+}
+
+app.get("/api/alerts", (req, res) => {
+  res.json({ rules: alertStore.list().map((rule) => describeRule(rule)) });
+});
+
+// Triggered and cleared events since the server started, newest last
+app.get("/api/alerts/events", (req, res) => {
+  res.json({ events: alertService.recentEvents() });
+});
+
+app.get("/api/alerts/:id", (req, res) => {
+  const rule = alertStore.get(req.params.id);
+  if (!rule) {
+    res.status(404).json({ error: "Unknown alert rule", message: `No alert rule with id ${req.params.id}` });
+    return;
+  }
+  res.json(describeRule(rule));
+});
+
+// The response is the only one that includes the rule's webhook secret
+app.post("/api/alerts", async (req, res) => {
+  const fields = requireAlertRule(req, res);
+  if (!fields) return;
+
+  try {
+    const rule = await alertStore.create(fields);
+    activateAlertRule(rule);
+    res.status(201).location(`/api/alerts/${rule.id}`).json(describeRule(rule, true));
+  } catch (error) {
+    console.error("Error saving alert rule:", error.message);
+    res.status(500).json({ error: "Failed to save alert rule", message: error.message });
+  }
+});
+
+app.put("/api/alerts/:id", async (req, res) => {
+  const fields = requireAlertRule(req, res);
+  if (!fields) return;
+
+  try {
+    const rule = await alertStore.replace(req.params.id, fields);
+    if (!rule) {
+      res.status(404).json({ error: "Unknown alert rule", message: `No alert rule with id ${req.params.id}` });
+      return;
+    }
+    activateAlertRule(rule);
+    res.json(describeRule(rule));
+  } catch (error) {
+    console.error("Error saving alert rule:", error.message);
+    res.status(500).json({ error: "Failed to save alert rule", message: error.message });
+  }
+});
+
+app.delete("/api/alerts/:id", async (req, res) => {
+  try {
+    if (!(await alertStore.remove(req.params.id))) {
+      res.status(404).json({ error: "Unknown alert rule", message: `No alert rule with id ${req.params.id}` });
+      return;
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting alert rule:", error.message);
+    res.status(500).json({ error: "Failed to delete alert rule", message: error.message });
+  }
 });
 
 // Health check endpoint
@@ -85,3 +891,15 @@ app.get('*', (req, res) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on http://0.0.0.0:${PORT}`);
 });
+
+frameCache
+  .load()
+  .catch((error) => console.error("Frame cache could not be loaded:", error.message))
+  .then(() => alertStore.load())
+  .catch((error) => console.error("Alert rules could not be loaded:", error.message))
+  .then(() => {
+    for (const rule of alertStore.list()) {
+      scheduler.watch(rule.product);
+    }
+    scheduler.start();
+  });
@@ -0,0 +1,181 @@
+/**
+ * Background Ingest Scheduler
+ *
+ * Polls the MRMS directory listing of every watched product and ingests each
+ * new GRIB2 file exactly once: download, decode, and store the frame in the
+ * frame archive. The newest file is ingested first; older files still inside
+ * the archive's retention window are backfilled a few per poll so the newest
+ * frame is never held up. Concurrent requests for the same file share one
+ * ingest.
+ */
+
+import {
+  listProductFiles,
+  fetchProductFile,
+  parseGRIB2Data,
+} from "./mrmsService.js";
+import { getProduct } from "./productCatalog.js";
+import { parseFrameTime } from "./frameCache.js";
+
+/**
+ * Creates an ingest scheduler
+ * @param {Object} options
+ * @param {Object} options.cache - Frame archive from createFrameCache()
+ * @param {Array<string>} options.productIds - Products polled from the start
+ * @param {number} [options.intervalMs=60000] - Time between polls
+ * @param {number} [options.backfillPerPoll=5] - Older files ingested per product per poll
+ * @param {Function} [options.onFrame] - Called with (product, frame) after each new frame is archived
+ * @returns {Object} Scheduler with start(), stop(), watch(), pollOnce() and ingestLatest()
+ */
+export function createIngestScheduler({ cache, productIds, intervalMs = 60000, backfillPerPoll = 5, onFrame = () => {} }) {
+  const watched = new Set(productIds);
+  const inFlight = new Map();
+  // productId -> files that downloaded fine but failed to decode, which are
+  // not retried every poll; a file is forgotten once it leaves the listing
+  const rejectedFiles = new Map();
+  let timer = null;
+  let polling = false;
+
+  /**
+   * Downloads, decodes and archives one published file unless it is cached
+   * @param {Object} product - Catalog entry from getProduct()
+   * @param {string} file - Name from listProductFiles()
+   * @returns {Promise<void>}
+   */
+  function ingestFile(product, file) {
+    const key = `${product.id}/${file}`;
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    const ingest = (async () => {
+      if (cache.has(product.id, file)) return;
+
+      console.log(`📥 Ingesting ${product.id}: ${file}`);
+      const gribData = await fetchProductFile(product, file);
+
+      let radarData;
+      try {
+        radarData = await parseGRIB2Data(gribData, product);
+      } catch (error) {
+        if (!rejectedFiles.has(product.id)) rejectedFiles.set(product.id, new Set());
+        rejectedFiles.get(product.id).add(file);
+        throw error;
+      }
+
+      const frame = await cache.put(product.id, file, {
+        timestamp: new Date().toISOString(),
+        product: product.id,
+        sourceFile: file,
+        data: radarData,
+      }, gribData);
+      console.log(`✓ Archived ${product.id} frame ${frame.name}`);
+      onFrame(product, frame);
+    })();
+
+    inFlight.set(key, ingest);
+    ingest.then(
+      () => inFlight.delete(key),
+      () => inFlight.delete(key)
+    );
+    return ingest;
+  }
+
+  /**
+   * @param {Object} product - Catalog entry from getProduct()
+   * @returns {Promise<Array<string>>} Published files that decoded or are untried, newest first
+   */
+  async function listUsableFiles(product) {
+    const files = await listProductFiles(product);
+    const rejected = rejectedFiles.get(product.id) || new Set();
+    const published = new Set(files);
+    for (const file of rejected) {
+      if (!published.has(file)) rejected.delete(file);
+    }
+    const usable = files.filter((file) => !rejected.has(file));
+    if (usable.length === 0) {
+      throw new Error(`No GRIB2 files found for ${product.id}`);
+    }
+    return usable;
+  }
+
+  /**
+   * Ingests the newest published file of a product unless it is cached
+   * @param {Object} product - Catalog entry from getProduct()
+   * @returns {Promise<Object>} The newest archived frame
+   */
+  async function ingestLatest(product) {
+    const files = await listUsableFiles(product);
+    await ingestFile(product, files[0]);
+    return cache.latest(product.id);
+  }
+
+  /**
+   * Ingests the newest file, then a bounded number of older files that are
+   * inside the retention window but not yet archived
+   * @param {Object} product - Catalog entry from getProduct()
+   * @returns {Promise<void>}
+   */
+  async function syncProduct(product) {
+    const files = await listUsableFiles(product);
+    await ingestFile(product, files[0]);
+
+    const newestTime = parseFrameTime(files[0]);
+    if (!newestTime) return;
+    const cutoff = newestTime.getTime() - cache.retentionMs;
+    const missing = files.slice(1).filter((file) => {
+      const time = parseFrameTime(file);
+      return time && time.getTime() >= cutoff && !cache.has(product.id, file);
+    });
+
+    for (const file of missing.slice(0, backfillPerPoll)) {
+      try {
+        await ingestFile(product, file);
+      } catch (error) {
+        console.error(`⚠️  Backfill of ${product.id} ${file} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Checks every watched product once; failures are logged, not thrown
+   * @returns {Promise<void>}
+   */
+  async function pollOnce() {
+    if (polling) return;
+    polling = true;
+    try {
+      for (const productId of watched) {
+        try {
+          await syncProduct(getProduct(productId));
+        } catch (error) {
+          console.error(`⚠️  Ingest of ${productId} failed: ${error.message}`);
+        }
+      }
+    } finally {
+      polling = false;
+    }
+  }
+
+  /**
+   * Adds a product to the polling set, e.g. after a client first requests it
+   * @param {string} productId - Catalog product id
+   */
+  function watch(productId) {
+    watched.add(productId);
+  }
+
+  function start() {
+    if (timer) return;
+    console.log(`⏰ Polling MRMS every ${Math.round(intervalMs / 1000)}s for: ${[...watched].join(", ")}`);
+    pollOnce();
+    timer = setInterval(pollOnce, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, watch, pollOnce, ingestLatest };
+}
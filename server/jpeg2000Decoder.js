@@ -0,0 +1,1595 @@
+/**
+ * Pure JavaScript JPEG 2000 Decoder
+ *
+ * Decodes JPEG 2000 code-streams (ITU-T T.800) as used by GRIB2 Data
+ * Representation Template 5.40. Raw code-streams and JP2-wrapped files are
+ * accepted. Supported: any tiling and component subsampling, all five
+ * progression orders, precincts, SOP/EPH markers, every code-block style
+ * flag except HT, reversible 5/3 and irreversible 9/7 wavelets, all
+ * quantization styles, ROI max-shift and the RCT/ICT component transforms.
+ * Packed packet headers (PPM/PPT) and progression order changes (POC) are
+ * rejected with an error.
+ */
+
+// Marker codes (Annex A)
+const SOC = 0xff4f;
+const SIZ = 0xff51;
+const COD = 0xff52;
+const COC = 0xff53;
+const QCD = 0xff5c;
+const QCC = 0xff5d;
+const RGN = 0xff5e;
+const POC = 0xff5f;
+const PPM = 0xff60;
+const PPT = 0xff61;
+const SOT = 0xff90;
+const SOP = 0xff91;
+const EPH = 0xff92;
+const SOD = 0xff93;
+const EOC = 0xffd9;
+
+// Code-block style flags (Table A.19)
+const STYLE_BYPASS = 0x01;
+const STYLE_RESET = 0x02;
+const STYLE_TERMALL = 0x04;
+const STYLE_CAUSAL = 0x08;
+const STYLE_SEGMENTATION = 0x20;
+const STYLE_HT = 0x40;
+
+// Sub-band orientations
+const BAND_LL = 0;
+const BAND_HL = 1;
+const BAND_LH = 2;
+const BAND_HH = 3;
+
+// MQ coder probability estimation table (Table C.2): Qe, NMPS, NLPS, SWITCH
+const QE_TABLE = [
+  [0x5601, 1, 1, 1], [0x3401, 2, 6, 0], [0x1801, 3, 9, 0], [0x0ac1, 4, 12, 0],
+  [0x0521, 5, 29, 0], [0x0221, 38, 33, 0], [0x5601, 7, 6, 1], [0x5401, 8, 14, 0],
+  [0x4801, 9, 14, 0], [0x3801, 10, 14, 0], [0x3001, 11, 17, 0], [0x2401, 12, 18, 0],
+  [0x1c01, 13, 20, 0], [0x1601, 29, 21, 0], [0x5601, 15, 14, 1], [0x5401, 16, 14, 0],
+  [0x5101, 17, 15, 0], [0x4801, 18, 16, 0], [0x3801, 19, 17, 0], [0x3401, 20, 18, 0],
+  [0x3001, 21, 19, 0], [0x2801, 22, 19, 0], [0x2401, 23, 20, 0], [0x2201, 24, 21, 0],
+  [0x1c01, 25, 22, 0], [0x1801, 26, 23, 0], [0x1601, 27, 24, 0], [0x1401, 28, 25, 0],
+  [0x1201, 29, 26, 0], [0x1101, 30, 27, 0], [0x0ac1, 31, 28, 0], [0x09c1, 32, 29, 0],
+  [0x08a1, 33, 30, 0], [0x0521, 34, 31, 0], [0x0441, 35, 32, 0], [0x02a1, 36, 33, 0],
+  [0x0221, 37, 34, 0], [0x0141, 38, 35, 0], [0x0111, 39, 36, 0], [0x0085, 40, 37, 0],
+  [0x0049, 41, 38, 0], [0x0025, 42, 39, 0], [0x0015, 43, 40, 0], [0x0009, 44, 41, 0],
+  [0x0005, 45, 42, 0], [0x0001, 45, 43, 0], [0x5601, 46, 46, 0],
+];
+
+// Tier-1 context indices (Annex D)
+const CTX_RUN_LENGTH = 17;
+const CTX_UNIFORM = 18;
+const CONTEXT_COUNT = 19;
+
+// 9/7 lifting constants (Table F.4)
+const ALPHA = -1.586134342059924;
+const BETA = -0.052980118572961;
+const GAMMA = 0.882911075530934;
+const DELTA = 0.443506852043971;
+const K = 1.230174104914001;
+
+/**
+ * Decodes a JPEG 2000 code-stream or JP2 file
+ * @param {Buffer|Uint8Array} data - Encoded image
+ * @returns {{width: number, height: number, components: Array<Object>}}
+ *   Image size and one {width, height, precision, signed, data} entry per
+ *   component, with samples as an Int32Array in raster order
+ */
+export function decodeJpeg2000(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const codestream = locateCodestream(bytes);
+  const context = parseCodestream(bytes, codestream.start, codestream.end);
+
+  for (const tile of context.tiles) {
+    decodeTile(context, tile);
+  }
+
+  return assembleImage(context);
+}
+
+/**
+ * Finds the code-stream, unwrapping the JP2 box structure if present
+ */
+function locateCodestream(bytes) {
+  if (bytes.length >= 2 && readUint16(bytes, 0) === SOC) {
+    return { start: 0, end: bytes.length };
+  }
+
+  let offset = 0;
+  while (offset + 8 <= bytes.length) {
+    let boxLength = readUint32(bytes, offset);
+    const boxType = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+    let headerLength = 8;
+
+    if (boxLength === 1) {
+      boxLength = readUint32(bytes, offset + 8) * 0x100000000 + readUint32(bytes, offset + 12);
+      headerLength = 16;
+    } else if (boxLength === 0) {
+      boxLength = bytes.length - offset;
+    }
+
+    if (boxType === 'jp2c') {
+      return { start: offset + headerLength, end: offset + boxLength };
+    }
+    if (boxLength < headerLength) {
+      break;
+    }
+    offset += boxLength;
+  }
+
+  throw new Error('JPEG 2000: no code-stream found');
+}
+
+/**
+ * Reads the main header and splits the code-stream into tiles
+ */
+function parseCodestream(bytes, start, end) {
+  if (readUint16(bytes, start) !== SOC) {
+    throw new Error('JPEG 2000: missing SOC marker');
+  }
+
+  const context = {
+    siz: null,
+    cod: null,
+    coc: [],
+    qcd: null,
+    qcc: [],
+    rgn: [],
+    tiles: [],
+  };
+
+  let offset = start + 2;
+  let inMainHeader = true;
+
+  while (offset + 2 <= end) {
+    const marker = readUint16(bytes, offset);
+
+    if (marker === EOC) {
+      break;
+    }
+    if (marker === SOT) {
+      inMainHeader = false;
+      offset = parseTilePart(bytes, offset, end, context);
+      continue;
+    }
+    if (!inMainHeader) {
+      throw new Error(`JPEG 2000: unexpected marker 0x${marker.toString(16)} between tile-parts`);
+    }
+
+    const length = readUint16(bytes, offset + 2);
+    const segment = { bytes, start: offset + 4, end: offset + 2 + length };
+
+    switch (marker) {
+      case SIZ:
+        context.siz = parseSiz(segment);
+        break;
+      case COD:
+        context.cod = parseCod(segment);
+        break;
+      case COC:
+        storeComponentSegment(context.coc, parseCoc(segment, context.siz));
+        break;
+      case QCD:
+        context.qcd = parseQcd(segment, segment.start);
+        break;
+      case QCC:
+        storeComponentSegment(context.qcc, parseQcc(segment, context.siz));
+        break;
+      case RGN:
+        storeComponentSegment(context.rgn, parseRgn(segment, context.siz));
+        break;
+      case POC:
+        throw new Error('JPEG 2000: progression order changes (POC) are not supported');
+      case PPM:
+        throw new Error('JPEG 2000: packed packet headers (PPM) are not supported');
+      default:
+        // TLM, PLM, CRG, COM and unknown segments carry nothing we need
+        break;
+    }
+
+    offset += 2 + length;
+  }
+
+  if (!context.siz || !context.cod || !context.qcd) {
+    throw new Error('JPEG 2000: main header is missing SIZ, COD or QCD');
+  }
+
+  context.tiles = context.tiles.filter(Boolean);
+  return context;
+}
+
+/**
+ * Parses one tile-part header and records its packet data
+ * @returns {number} Offset of the next marker after this tile-part
+ */
+function parseTilePart(bytes, offset, end, context) {
+  const { siz } = context;
+  const tileIndex = readUint16(bytes, offset + 4);
+  const tilePartLength = readUint32(bytes, offset + 6);
+  const tilePartEnd = tilePartLength === 0 ? end : offset + tilePartLength;
+
+  if (tileIndex >= siz.numXTiles * siz.numYTiles) {
+    throw new Error(`JPEG 2000: tile index ${tileIndex} out of range`);
+  }
+
+  let tile = context.tiles[tileIndex];
+  if (!tile) {
+    tile = { index: tileIndex, cod: null, coc: [], qcd: null, qcc: [], rgn: [], chunks: [] };
+    context.tiles[tileIndex] = tile;
+  }
+
+  let position = offset + 2 + readUint16(bytes, offset + 2);
+  while (position + 2 <= tilePartEnd) {
+    const marker = readUint16(bytes, position);
+    if (marker === SOD) {
+      position += 2;
+      break;
+    }
+
+    const length = readUint16(bytes, position + 2);
+    const segment = { bytes, start: position + 4, end: position + 2 + length };
+
+    switch (marker) {
+      case COD:
+        tile.cod = parseCod(segment);
+        break;
+      case COC:
+        storeComponentSegment(tile.coc, parseCoc(segment, siz));
+        break;
+      case QCD:
+        tile.qcd = parseQcd(segment, segment.start);
+        break;
+      case QCC:
+        storeComponentSegment(tile.qcc, parseQcc(segment, siz));
+        break;
+      case RGN:
+        storeComponentSegment(tile.rgn, parseRgn(segment, siz));
+        break;
+      case POC:
+        throw new Error('JPEG 2000: progression order changes (POC) are not supported');
+      case PPT:
+        throw new Error('JPEG 2000: packed packet headers (PPT) are not supported');
+      default:
+        break;
+    }
+
+    position += 2 + length;
+  }
+
+  tile.chunks.push(bytes.subarray(position, tilePartEnd));
+  return tilePartEnd;
+}
+
+function storeComponentSegment(list, entry) {
+  list[entry.component] = entry.value;
+}
+
+function parseSiz({ bytes, start }) {
+  const componentCount = readUint16(bytes, start + 34);
+  const siz = {
+    width: readUint32(bytes, start + 2),
+    height: readUint32(bytes, start + 6),
+    xOffset: readUint32(bytes, start + 10),
+    yOffset: readUint32(bytes, start + 14),
+    tileWidth: readUint32(bytes, start + 18),
+    tileHeight: readUint32(bytes, start + 22),
+    tileXOffset: readUint32(bytes, start + 26),
+    tileYOffset: readUint32(bytes, start + 30),
+    components: [],
+  };
+
+  for (let c = 0; c < componentCount; c++) {
+    const base = start + 36 + c * 3;
+    const ssiz = bytes[base];
+    siz.components.push({
+      precision: (ssiz & 0x7f) + 1,
+      signed: (ssiz & 0x80) !== 0,
+      dx: bytes[base + 1],
+      dy: bytes[base + 2],
+    });
+  }
+
+  siz.numXTiles = Math.ceil((siz.width - siz.tileXOffset) / siz.tileWidth);
+  siz.numYTiles = Math.ceil((siz.height - siz.tileYOffset) / siz.tileHeight);
+  return siz;
+}
+
+/**
+ * Parses the SPcod/SPcoc coding style parameters starting at offset
+ */
+function parseCodingStyleParameters(bytes, offset, end, usesPrecincts) {
+  const decompositionLevels = bytes[offset];
+  const style = {
+    decompositionLevels,
+    codeBlockWidthExponent: (bytes[offset + 1] & 0x0f) + 2,
+    codeBlockHeightExponent: (bytes[offset + 2] & 0x0f) + 2,
+    codeBlockStyle: bytes[offset + 3],
+    reversible: bytes[offset + 4] === 1,
+    precincts: [],
+  };
+
+  for (let r = 0; r <= decompositionLevels; r++) {
+    if (usesPrecincts && offset + 5 + r < end) {
+      const size = bytes[offset + 5 + r];
+      style.precincts.push({ ppx: size & 0x0f, ppy: size >> 4 });
+    } else {
+      style.precincts.push({ ppx: 15, ppy: 15 });
+    }
+  }
+
+  if (style.codeBlockStyle & STYLE_HT) {
+    throw new Error('JPEG 2000: high-throughput (HTJ2K) code-blocks are not supported');
+  }
+  return style;
+}
+
+function parseCod({ bytes, start, end }) {
+  const scod = bytes[start];
+  return {
+    usesSop: (scod & 0x02) !== 0,
+    usesEph: (scod & 0x04) !== 0,
+    progressionOrder: bytes[start + 1],
+    layers: readUint16(bytes, start + 2),
+    multipleComponentTransform: bytes[start + 4],
+    style: parseCodingStyleParameters(bytes, start + 5, end, (scod & 0x01) !== 0),
+  };
+}
+
+function componentIndexSize(siz) {
+  return siz.components.length < 257 ? 1 : 2;
+}
+
+function readComponentIndex(bytes, offset, siz) {
+  return componentIndexSize(siz) === 1 ? bytes[offset] : readUint16(bytes, offset);
+}
+
+function parseCoc({ bytes, start, end }, siz) {
+  const size = componentIndexSize(siz);
+  const scoc = bytes[start + size];
+  return {
+    component: readComponentIndex(bytes, start, siz),
+    value: parseCodingStyleParameters(bytes, start + size + 1, end, (scoc & 0x01) !== 0),
+  };
+}
+
+/**
+ * Parses quantization parameters (Sqcd/Sqcc followed by SPqcd/SPqcc)
+ */
+function parseQcd({ bytes, end }, offset) {
+  const sqcd = bytes[offset];
+  const quantization = {
+    style: sqcd & 0x1f,
+    guardBits: sqcd >> 5,
+    steps: [],
+  };
+
+  let position = offset + 1;
+  if (quantization.style === 0) {
+    for (; position < end; position++) {
+      quantization.steps.push({ exponent: bytes[position] >> 3, mantissa: 0 });
+    }
+  } else {
+    for (; position + 1 < end; position += 2) {
+      const value = readUint16(bytes, position);
+      quantization.steps.push({ exponent: value >> 11, mantissa: value & 0x7ff });
+    }
+  }
+  return quantization;
+}
+
+function parseQcc(segment, siz) {
+  const { bytes, start } = segment;
+  return {
+    component: readComponentIndex(bytes, start, siz),
+    value: parseQcd(segment, start + componentIndexSize(siz)),
+  };
+}
+
+function parseRgn({ bytes, start }, siz) {
+  const size = componentIndexSize(siz);
+  return {
+    component: readComponentIndex(bytes, start, siz),
+    value: bytes[start + size + 1],
+  };
+}
+
+/**
+ * Builds the tile-component geometry, decodes all packets and reconstructs
+ * the samples of one tile
+ */
+function decodeTile(context, tile) {
+  const { siz } = context;
+  const cod = tile.cod || context.cod;
+  const p = tile.index % siz.numXTiles;
+  const q = Math.floor(tile.index / siz.numXTiles);
+
+  tile.x0 = Math.max(siz.tileXOffset + p * siz.tileWidth, siz.xOffset);
+  tile.y0 = Math.max(siz.tileYOffset + q * siz.tileHeight, siz.yOffset);
+  tile.x1 = Math.min(siz.tileXOffset + (p + 1) * siz.tileWidth, siz.width);
+  tile.y1 = Math.min(siz.tileYOffset + (q + 1) * siz.tileHeight, siz.height);
+
+  // Tile-part segments override the main header; component-specific
+  // segments override the general ones at the same level
+  tile.components = siz.components.map((component, c) => {
+    const style = tile.coc[c] || (tile.cod ? null : context.coc[c]) || cod.style;
+    const quantization = tile.qcc[c] || (tile.qcd ? null : context.qcc[c]) || tile.qcd || context.qcd;
+    const roiShift = tile.rgn[c] !== undefined ? tile.rgn[c] : (context.rgn[c] || 0);
+    return buildTileComponent(component, style, quantization, roiShift, tile);
+  });
+  tile.cod = cod;
+
+  const data = concatChunks(tile.chunks);
+  readPackets(data, tile, cod);
+
+  for (const tileComponent of tile.components) {
+    decodeCodeBlocks(tileComponent);
+    tileComponent.samples = inverseWavelet(tileComponent);
+  }
+
+  if (cod.multipleComponentTransform && tile.components.length >= 3) {
+    inverseComponentTransform(tile.components);
+  }
+}
+
+function buildTileComponent(component, style, quantization, roiShift, tile) {
+  const tcx0 = Math.ceil(tile.x0 / component.dx);
+  const tcy0 = Math.ceil(tile.y0 / component.dy);
+  const tcx1 = Math.ceil(tile.x1 / component.dx);
+  const tcy1 = Math.ceil(tile.y1 / component.dy);
+  const levels = style.decompositionLevels;
+  const resolutions = [];
+
+  for (let r = 0; r <= levels; r++) {
+    const scale = 2 ** (levels - r);
+    const resolution = {
+      level: r,
+      x0: Math.ceil(tcx0 / scale),
+      y0: Math.ceil(tcy0 / scale),
+      x1: Math.ceil(tcx1 / scale),
+      y1: Math.ceil(tcy1 / scale),
+      bands: [],
+    };
+
+    const { ppx, ppy } = style.precincts[r];
+    resolution.ppx = ppx;
+    resolution.ppy = ppy;
+    resolution.precinctsWide = resolution.x1 > resolution.x0 ? Math.ceil(resolution.x1 / 2 ** ppx) - Math.floor(resolution.x0 / 2 ** ppx) : 0;
+    resolution.precinctsHigh = resolution.y1 > resolution.y0 ? Math.ceil(resolution.y1 / 2 ** ppy) - Math.floor(resolution.y0 / 2 ** ppy) : 0;
+    resolution.precinctCount = resolution.precinctsWide * resolution.precinctsHigh;
+
+    const orientations = r === 0 ? [BAND_LL] : [BAND_HL, BAND_LH, BAND_HH];
+    for (const orientation of orientations) {
+      const decompositions = r === 0 ? levels : levels - r + 1;
+      const xo = orientation === BAND_HL || orientation === BAND_HH ? 1 : 0;
+      const yo = orientation === BAND_LH || orientation === BAND_HH ? 1 : 0;
+      const bandScale = 2 ** decompositions;
+      const half = decompositions > 0 ? 2 ** (decompositions - 1) : 0;
+      const band = {
+        orientation,
+        x0: Math.ceil((tcx0 - half * xo) / bandScale),
+        y0: Math.ceil((tcy0 - half * yo) / bandScale),
+        x1: Math.ceil((tcx1 - half * xo) / bandScale),
+        y1: Math.ceil((tcy1 - half * yo) / bandScale),
+      };
+      band.width = Math.max(0, band.x1 - band.x0);
+      band.height = Math.max(0, band.y1 - band.y0);
+      band.coefficients = new Float32Array(band.width * band.height);
+
+      const bandIndex = r === 0 ? 0 : 3 * (r - 1) + orientation;
+      setBandQuantization(band, bandIndex, decompositions, levels, component.precision, style.reversible, quantization, roiShift);
+      buildPrecincts(band, resolution, style);
+      resolution.bands.push(band);
+    }
+
+    resolutions.push(resolution);
+  }
+
+  return {
+    x0: tcx0,
+    y0: tcy0,
+    x1: tcx1,
+    y1: tcy1,
+    dx: component.dx,
+    dy: component.dy,
+    precision: component.precision,
+    signed: component.signed,
+    style,
+    resolutions,
+  };
+}
+
+/**
+ * Derives the step size and number of magnitude bit-planes of a sub-band
+ * (Annex E)
+ */
+function setBandQuantization(band, bandIndex, decompositions, levels, precision, reversible, quantization, roiShift) {
+  let step;
+  if (quantization.style === 1) {
+    const base = quantization.steps[0];
+    step = { exponent: base.exponent - levels + decompositions, mantissa: base.mantissa };
+  } else {
+    step = quantization.steps[bandIndex];
+    if (!step) {
+      throw new Error(`JPEG 2000: missing quantization step for sub-band ${bandIndex}`);
+    }
+  }
+
+  const gain = band.orientation === BAND_LL ? 0 : band.orientation === BAND_HH ? 2 : 1;
+  band.magnitudeBits = quantization.guardBits + step.exponent - 1 + roiShift;
+  band.roiShift = roiShift;
+  band.reversible = reversible;
+  band.stepSize = reversible ? 1 : 2 ** (precision + gain - step.exponent) * (1 + step.mantissa / 2048);
+}
+
+/**
+ * Partitions a sub-band into precincts and code-blocks (Annex B.6 and B.7)
+ */
+function buildPrecincts(band, resolution, style) {
+  const shift = resolution.level === 0 ? 0 : 1;
+  const precinctWidth = 2 ** (resolution.ppx - shift);
+  const precinctHeight = 2 ** (resolution.ppy - shift);
+  const xcb = Math.min(style.codeBlockWidthExponent, resolution.ppx - shift);
+  const ycb = Math.min(style.codeBlockHeightExponent, resolution.ppy - shift);
+  const blockWidth = 2 ** xcb;
+  const blockHeight = 2 ** ycb;
+  const firstPrecinctX = Math.floor(resolution.x0 / 2 ** resolution.ppx);
+  const firstPrecinctY = Math.floor(resolution.y0 / 2 ** resolution.ppy);
+
+  band.precincts = [];
+  for (let k = 0; k < resolution.precinctCount; k++) {
+    const px = (firstPrecinctX + (k % resolution.precinctsWide)) * precinctWidth;
+    const py = (firstPrecinctY + Math.floor(k / resolution.precinctsWide)) * precinctHeight;
+    const x0 = Math.max(px, band.x0);
+    const y0 = Math.max(py, band.y0);
+    const x1 = Math.min(px + precinctWidth, band.x1);
+    const y1 = Math.min(py + precinctHeight, band.y1);
+    const precinct = { codeBlocks: [], blocksWide: 0, blocksHigh: 0 };
+
+    if (x1 > x0 && y1 > y0) {
+      const cbx0 = Math.floor(x0 / blockWidth);
+      const cby0 = Math.floor(y0 / blockHeight);
+      const cbx1 = Math.ceil(x1 / blockWidth);
+      const cby1 = Math.ceil(y1 / blockHeight);
+      precinct.blocksWide = cbx1 - cbx0;
+      precinct.blocksHigh = cby1 - cby0;
+
+      for (let j = cby0; j < cby1; j++) {
+        for (let i = cbx0; i < cbx1; i++) {
+          const bx0 = Math.max(i * blockWidth, x0);
+          const by0 = Math.max(j * blockHeight, y0);
+          precinct.codeBlocks.push({
+            x0: bx0,
+            y0: by0,
+            width: Math.min((i + 1) * blockWidth, x1) - bx0,
+            height: Math.min((j + 1) * blockHeight, y1) - by0,
+            included: false,
+            lblock: 3,
+            zeroBitPlanes: 0,
+            passCount: 0,
+            segments: [],
+          });
+        }
+      }
+
+      precinct.inclusionTree = createTagTree(precinct.blocksWide, precinct.blocksHigh);
+      precinct.zeroBitPlaneTree = createTagTree(precinct.blocksWide, precinct.blocksHigh);
+    }
+
+    band.precincts.push(precinct);
+  }
+}
+
+/**
+ * Creates a tag tree (Annex B.10.2) over a grid of code-blocks
+ */
+function createTagTree(width, height) {
+  const levels = [];
+  let w = width;
+  let h = height;
+
+  do {
+    levels.push({ width: w, values: new Int32Array(w * h).fill(0x7fffffff), lows: new Int32Array(w * h) });
+    w = Math.ceil(w / 2);
+    h = Math.ceil(h / 2);
+  } while (levels[levels.length - 1].values.length > 1);
+
+  /**
+   * Decodes information about a leaf until its value is known to be below
+   * the threshold or at least the threshold
+   * @returns {boolean} True when the leaf value is below the threshold
+   */
+  function decode(reader, x, y, threshold) {
+    let low = 0;
+    let leafValue = 0;
+
+    for (let l = levels.length - 1; l >= 0; l--) {
+      const level = levels[l];
+      const index = (y >> l) * level.width + (x >> l);
+
+      if (low > level.lows[index]) {
+        level.lows[index] = low;
+      } else {
+        low = level.lows[index];
+      }
+
+      while (low < threshold && low < level.values[index]) {
+        if (reader.readBit()) {
+          level.values[index] = low;
+        } else {
+          low++;
+        }
+      }
+
+      level.lows[index] = low;
+      leafValue = level.values[index];
+    }
+
+    return leafValue < threshold;
+  }
+
+  /**
+   * @returns {number} The decoded leaf value (only valid once fully known)
+   */
+  function value(x, y) {
+    return levels[0].values[y * levels[0].width + x];
+  }
+
+  return { decode, value };
+}
+
+/**
+ * Reads packet header bits with bit-stuffing after 0xFF (Annex B.10.1)
+ */
+function createPacketHeaderReader(data, offset) {
+  let position = offset;
+  let current = 0;
+  let bitsLeft = 0;
+  let previousWasFF = false;
+
+  function readBit() {
+    if (bitsLeft === 0) {
+      current = position < data.length ? data[position] : 0;
+      position++;
+      bitsLeft = previousWasFF ? 7 : 8;
+      previousWasFF = current === 0xff;
+    }
+    bitsLeft--;
+    return (current >> bitsLeft) & 1;
+  }
+
+  function readBits(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      value = value * 2 + readBit();
+    }
+    return value;
+  }
+
+  /**
+   * Ends the header: discards remaining bits, plus a stuffed byte after 0xFF
+   * @returns {number} Offset of the first byte after the header
+   */
+  function align() {
+    bitsLeft = 0;
+    if (previousWasFF) {
+      position++;
+      previousWasFF = false;
+    }
+    return position;
+  }
+
+  return { readBit, readBits, align };
+}
+
+/**
+ * Yields [layer, resolution, component, precinct] for every packet of a tile
+ * in the tile's progression order (Annex B.12)
+ */
+function* packetOrder(tile) {
+  const { layers, progressionOrder } = tile.cod;
+  const components = tile.components;
+  const maxLevels = Math.max(...components.map((tc) => tc.style.decompositionLevels));
+
+  switch (progressionOrder) {
+    case 0: // LRCP
+      for (let l = 0; l < layers; l++) {
+        for (let r = 0; r <= maxLevels; r++) {
+          for (let c = 0; c < components.length; c++) {
+            const resolution = components[c].resolutions[r];
+            if (!resolution) continue;
+            for (let k = 0; k < resolution.precinctCount; k++) {
+              yield [l, r, c, k];
+            }
+          }
+        }
+      }
+      return;
+    case 1: // RLCP
+      for (let r = 0; r <= maxLevels; r++) {
+        for (let l = 0; l < layers; l++) {
+          for (let c = 0; c < components.length; c++) {
+            const resolution = components[c].resolutions[r];
+            if (!resolution) continue;
+            for (let k = 0; k < resolution.precinctCount; k++) {
+              yield [l, r, c, k];
+            }
+          }
+        }
+      }
+      return;
+    case 2: // RPCL
+      for (let r = 0; r <= maxLevels; r++) {
+        for (const [y, x] of tilePositions(tile)) {
+          for (let c = 0; c < components.length; c++) {
+            const k = precinctAtPosition(tile, c, r, x, y);
+            if (k === -1) continue;
+            for (let l = 0; l < layers; l++) {
+              yield [l, r, c, k];
+            }
+          }
+        }
+      }
+      return;
+    case 3: // PCRL
+      for (const [y, x] of tilePositions(tile)) {
+        for (let c = 0; c < components.length; c++) {
+          for (let r = 0; r <= maxLevels; r++) {
+            const k = precinctAtPosition(tile, c, r, x, y);
+            if (k === -1) continue;
+            for (let l = 0; l < layers; l++) {
+              yield [l, r, c, k];
+            }
+          }
+        }
+      }
+      return;
+    case 4: // CPRL
+      for (let c = 0; c < components.length; c++) {
+        for (const [y, x] of tilePositions(tile)) {
+          for (let r = 0; r <= maxLevels; r++) {
+            const k = precinctAtPosition(tile, c, r, x, y);
+            if (k === -1) continue;
+            for (let l = 0; l < layers; l++) {
+              yield [l, r, c, k];
+            }
+          }
+        }
+      }
+      return;
+    default:
+      throw new Error(`JPEG 2000: unknown progression order ${progressionOrder}`);
+  }
+}
+
+/**
+ * Yields the reference grid positions [y, x] at which a precinct may start,
+ * stepping by the smallest precinct size over all components and resolutions
+ */
+function* tilePositions(tile) {
+  let xStep = Infinity;
+  let yStep = Infinity;
+
+  for (const tc of tile.components) {
+    for (const resolution of tc.resolutions) {
+      const scale = 2 ** (tc.style.decompositionLevels - resolution.level);
+      xStep = Math.min(xStep, tc.dx * scale * 2 ** resolution.ppx);
+      yStep = Math.min(yStep, tc.dy * scale * 2 ** resolution.ppy);
+    }
+  }
+
+  const yStart = tile.y0 - (tile.y0 % yStep);
+  const xStart = tile.x0 - (tile.x0 % xStep);
+  for (let y = yStart; y < tile.y1; y += yStep) {
+    for (let x = xStart; x < tile.x1; x += xStep) {
+      yield [Math.max(y, tile.y0), Math.max(x, tile.x0)];
+    }
+  }
+}
+
+/**
+ * Returns the index of the precinct of (component, resolution) that starts
+ * at reference grid position (x, y), or -1 if none starts there
+ */
+function precinctAtPosition(tile, c, r, x, y) {
+  const tc = tile.components[c];
+  const resolution = tc.resolutions[r];
+  if (!resolution || resolution.precinctCount === 0) {
+    return -1;
+  }
+
+  const dx = tc.dx;
+  const dy = tc.dy;
+  const scale = 2 ** (tc.style.decompositionLevels - r);
+  const xUnit = dx * scale * 2 ** resolution.ppx;
+  const yUnit = dy * scale * 2 ** resolution.ppy;
+
+  const xMatches = x % xUnit === 0 || (x === tile.x0 && (resolution.x0 * scale) % (scale * 2 ** resolution.ppx) !== 0);
+  const yMatches = y % yUnit === 0 || (y === tile.y0 && (resolution.y0 * scale) % (scale * 2 ** resolution.ppy) !== 0);
+  if (!xMatches || !yMatches) {
+    return -1;
+  }
+
+  const px = Math.floor(Math.ceil(x / (dx * scale)) / 2 ** resolution.ppx) - Math.floor(resolution.x0 / 2 ** resolution.ppx);
+  const py = Math.floor(Math.ceil(y / (dy * scale)) / 2 ** resolution.ppy) - Math.floor(resolution.y0 / 2 ** resolution.ppy);
+  if (px < 0 || py < 0 || px >= resolution.precinctsWide || py >= resolution.precinctsHigh) {
+    return -1;
+  }
+  return px + py * resolution.precinctsWide;
+}
+
+/**
+ * Decodes every packet of a tile, attaching coded data to code-blocks
+ */
+function readPackets(data, tile, cod) {
+  let offset = 0;
+  const seen = new Set();
+
+  for (const [layer, r, c, k] of packetOrder(tile)) {
+    // Position-driven orders can reach the same packet twice at tile edges
+    const key = `${layer}:${r}:${c}:${k}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    if (offset >= data.length) {
+      break;
+    }
+
+    const tc = tile.components[c];
+    offset = readPacket(data, offset, layer, tc.resolutions[r], k, tc.style, cod);
+  }
+}
+
+/**
+ * Decodes one packet (Annex B.10) and returns the offset after it
+ */
+function readPacket(data, offset, layer, resolution, precinctIndex, style, cod) {
+  if (cod.usesSop && offset + 1 < data.length && readUint16(data, offset) === SOP) {
+    offset += 6;
+  }
+
+  const reader = createPacketHeaderReader(data, offset);
+  const contributions = [];
+
+  if (reader.readBit()) {
+    for (const band of resolution.bands) {
+      const precinct = band.precincts[precinctIndex];
+
+      precinct.codeBlocks.forEach((block, index) => {
+        const bx = index % precinct.blocksWide;
+        const by = Math.floor(index / precinct.blocksWide);
+
+        let included;
+        if (block.included) {
+          included = reader.readBit() === 1;
+        } else {
+          included = precinct.inclusionTree.decode(reader, bx, by, layer + 1);
+        }
+        if (!included) {
+          return;
+        }
+
+        if (!block.included) {
+          let threshold = 1;
+          while (!precinct.zeroBitPlaneTree.decode(reader, bx, by, threshold)) {
+            threshold++;
+          }
+          block.zeroBitPlanes = precinct.zeroBitPlaneTree.value(bx, by);
+          block.included = true;
+        }
+
+        const newPasses = readPassCount(reader);
+        while (reader.readBit()) {
+          block.lblock++;
+        }
+
+        for (const { segment, passes } of allocateSegments(block, newPasses, style.codeBlockStyle)) {
+          const length = reader.readBits(block.lblock + Math.floor(Math.log2(passes)));
+          contributions.push({ segment, length });
+        }
+        block.passCount += newPasses;
+      });
+    }
+  }
+
+  offset = reader.align();
+
+  if (cod.usesEph && offset + 1 < data.length && readUint16(data, offset) === EPH) {
+    offset += 2;
+  }
+
+  for (const contribution of contributions) {
+    contribution.segment.chunks.push(data.subarray(offset, offset + contribution.length));
+    offset += contribution.length;
+  }
+
+  return offset;
+}
+
+/**
+ * Reads the number of new coding passes codeword (Table B.4)
+ */
+function readPassCount(reader) {
+  if (!reader.readBit()) return 1;
+  if (!reader.readBit()) return 2;
+  let value = reader.readBits(2);
+  if (value < 3) return 3 + value;
+  value = reader.readBits(5);
+  if (value < 31) return 6 + value;
+  return 37 + reader.readBits(7);
+}
+
+/**
+ * Splits new coding passes over codeword segments according to the
+ * termination rules of the code-block style (Annex D.4.1)
+ * @returns {Array<{segment: Object, passes: number}>}
+ */
+function allocateSegments(block, newPasses, codeBlockStyle) {
+  const allocations = [];
+  let remaining = newPasses;
+
+  while (remaining > 0) {
+    let segment = block.segments[block.segments.length - 1];
+    if (!segment || segment.passes >= segment.maxPasses) {
+      segment = { maxPasses: segmentCapacity(segment, codeBlockStyle), passes: 0, chunks: [] };
+      block.segments.push(segment);
+    }
+
+    const passes = Math.min(segment.maxPasses - segment.passes, remaining);
+    segment.passes += passes;
+    allocations.push({ segment, passes });
+    remaining -= passes;
+  }
+
+  return allocations;
+}
+
+/**
+ * Maximum number of passes a codeword segment may hold, given the segment
+ * before it
+ */
+function segmentCapacity(previous, codeBlockStyle) {
+  if (codeBlockStyle & STYLE_TERMALL) {
+    return 1;
+  }
+  if (codeBlockStyle & STYLE_BYPASS) {
+    if (!previous) {
+      return 10;
+    }
+    return previous.maxPasses === 1 || previous.maxPasses === 10 ? 2 : 1;
+  }
+  return 109;
+}
+
+/**
+ * MQ arithmetic decoder (Annex C.3)
+ */
+function createMqDecoder(data) {
+  const end = data.length;
+  let bp = 0;
+  let chigh = byteAt(0);
+  let clow = 0;
+  let ct = 0;
+  let a = 0x8000;
+
+  function byteAt(i) {
+    return i < end ? data[i] : 0xff;
+  }
+
+  function byteIn() {
+    if (byteAt(bp) === 0xff) {
+      if (byteAt(bp + 1) > 0x8f) {
+        clow += 0xff00;
+        ct = 8;
+      } else {
+        bp++;
+        clow += byteAt(bp) << 9;
+        ct = 7;
+      }
+    } else {
+      bp++;
+      clow += byteAt(bp) << 8;
+      ct = 8;
+    }
+    if (clow > 0xffff) {
+      chigh += clow >> 16;
+      clow &= 0xffff;
+    }
+  }
+
+  byteIn();
+  chigh = ((chigh << 7) & 0xffff) | ((clow >> 9) & 0x7f);
+  clow = (clow << 7) & 0xffff;
+  ct -= 7;
+
+  /**
+   * Decodes one decision in the given context, updating its state
+   * @param {Uint8Array} contexts - Context states: (index << 1) | mps
+   * @param {number} cx - Context number
+   */
+  function decode(contexts, cx) {
+    let index = contexts[cx] >> 1;
+    let mps = contexts[cx] & 1;
+    const entry = QE_TABLE[index];
+    const qe = entry[0];
+    let d;
+
+    a -= qe;
+    if (chigh < qe) {
+      // LPS exchange
+      if (a < qe) {
+        a = qe;
+        d = mps;
+        index = entry[1];
+      } else {
+        a = qe;
+        d = 1 - mps;
+        if (entry[3] === 1) mps = d;
+        index = entry[2];
+      }
+    } else {
+      chigh -= qe;
+      if ((a & 0x8000) !== 0) {
+        return mps;
+      }
+      // MPS exchange
+      if (a < qe) {
+        d = 1 - mps;
+        if (entry[3] === 1) mps = d;
+        index = entry[2];
+      } else {
+        d = mps;
+        index = entry[1];
+      }
+    }
+
+    // Renormalize
+    do {
+      if (ct === 0) byteIn();
+      a <<= 1;
+      chigh = ((chigh << 1) & 0xffff) | ((clow >> 15) & 1);
+      clow = (clow << 1) & 0xffff;
+      ct--;
+    } while ((a & 0x8000) === 0);
+
+    contexts[cx] = (index << 1) | mps;
+    return d;
+  }
+
+  return { decode };
+}
+
+/**
+ * Raw (bypass) bit reader for lazy coding passes (Annex D.6)
+ */
+function createRawDecoder(data) {
+  let position = 0;
+  let current = 0;
+  let bitsLeft = 0;
+
+  function decode() {
+    if (bitsLeft === 0) {
+      const previous = current;
+      current = position < data.length ? data[position] : 0xff;
+      position++;
+      bitsLeft = previous === 0xff ? 7 : 8;
+    }
+    bitsLeft--;
+    return (current >> bitsLeft) & 1;
+  }
+
+  return { decode };
+}
+
+function resetContexts(contexts) {
+  contexts.fill(0);
+  contexts[0] = 4 << 1;
+  contexts[CTX_RUN_LENGTH] = 3 << 1;
+  contexts[CTX_UNIFORM] = 46 << 1;
+}
+
+/**
+ * Zero coding context tables indexed by h + 3 * v + 9 * d, where h, v and d
+ * count significant horizontal, vertical and diagonal neighbours (Table D.1)
+ */
+const ZERO_CONTEXTS = buildZeroContexts();
+
+function buildZeroContexts() {
+  const tables = [];
+  for (let orientation = 0; orientation < 4; orientation++) {
+    const table = new Uint8Array(45);
+    for (let d = 0; d <= 4; d++) {
+      for (let v = 0; v <= 2; v++) {
+        for (let h = 0; h <= 2; h++) {
+          table[h + 3 * v + 9 * d] = zeroContext(orientation, h, v, d);
+        }
+      }
+    }
+    tables.push(table);
+  }
+  return tables;
+}
+
+function zeroContext(orientation, h, v, d) {
+  if (orientation === BAND_HH) {
+    const hv = h + v;
+    if (d >= 3) return 8;
+    if (d === 2) return hv >= 1 ? 7 : 6;
+    if (d === 1) return hv >= 2 ? 5 : hv === 1 ? 4 : 3;
+    return hv >= 2 ? 2 : hv === 1 ? 1 : 0;
+  }
+
+  // HL swaps the roles of horizontal and vertical neighbours
+  if (orientation === BAND_HL) {
+    [h, v] = [v, h];
+  }
+  if (h === 2) return 8;
+  if (h === 1) return v >= 1 ? 7 : d >= 1 ? 6 : 5;
+  if (v === 2) return 4;
+  if (v === 1) return 3;
+  return d >= 2 ? 2 : d === 1 ? 1 : 0;
+}
+
+/**
+ * Decodes the coding passes of every code-block of a tile-component into
+ * dequantized sub-band coefficients (Annex D)
+ */
+function decodeCodeBlocks(tc) {
+  const contexts = new Uint8Array(CONTEXT_COUNT);
+
+  for (const resolution of tc.resolutions) {
+    for (const band of resolution.bands) {
+      for (const precinct of band.precincts) {
+        for (const block of precinct.codeBlocks) {
+          if (block.passCount === 0) continue;
+          resetContexts(contexts);
+          decodeCodeBlock(block, band, tc.style.codeBlockStyle, contexts);
+        }
+      }
+    }
+  }
+}
+
+function decodeCodeBlock(block, band, codeBlockStyle, contexts) {
+  const { width, height } = block;
+  const size = width * height;
+  const magnitude = new Float64Array(size);
+  const negative = new Uint8Array(size);
+  const significant = new Uint8Array(size);
+  const coded = new Uint8Array(size);
+  const refined = new Uint8Array(size);
+  const lowestPlane = new Uint8Array(size);
+  const zeroContexts = ZERO_CONTEXTS[band.orientation];
+  const causal = (codeBlockStyle & STYLE_CAUSAL) !== 0;
+
+  const bitPlanes = band.magnitudeBits - block.zeroBitPlanes;
+  if (bitPlanes <= 0) {
+    return;
+  }
+
+  // Neighbour significance counts packed as h + 3 * v + 9 * d
+  const neighbours = new Uint8Array(size);
+
+  function neighbourWeight(y, dy) {
+    // In vertically causal mode the row below a stripe is not visible
+    return !(causal && dy === 1 && (y & 3) === 3);
+  }
+
+  function markSignificant(index, x, y) {
+    significant[index] = 1;
+    for (let dy = -1; dy <= 1; dy++) {
+      const ny = y + dy;
+      if (ny < 0 || ny >= height) continue;
+      // Neighbour at (nx, ny) sees this sample at offset -dy
+      if (!neighbourWeight(ny, -dy)) continue;
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        if ((dx === 0 && dy === 0) || nx < 0 || nx >= width) continue;
+        const increment = dy === 0 ? 1 : dx === 0 ? 3 : 9;
+        neighbours[ny * width + nx] += increment;
+      }
+    }
+  }
+
+  function signContribution(index, x, y, dx, dy) {
+    const nx = x + dx;
+    const ny = y + dy;
+    if (nx < 0 || nx >= width || ny < 0 || ny >= height) return 0;
+    if (dy === 1 && !neighbourWeight(y, 1)) return 0;
+    const n = index + dy * width + dx;
+    if (!significant[n]) return 0;
+    return negative[n] ? -1 : 1;
+  }
+
+  function decodeSign(decoder, index, x, y, raw) {
+    if (raw) {
+      return decoder.decode();
+    }
+    const h = Math.max(-1, Math.min(1, signContribution(index, x, y, -1, 0) + signContribution(index, x, y, 1, 0)));
+    const v = Math.max(-1, Math.min(1, signContribution(index, x, y, 0, -1) + signContribution(index, x, y, 0, 1)));
+    // Table D.3: context and XOR bit
+    let context;
+    let xorBit = 0;
+    if (h === 1) {
+      context = v === 1 ? 13 : v === 0 ? 12 : 11;
+    } else if (h === 0) {
+      context = v === 0 ? 9 : 10;
+      xorBit = v === -1 ? 1 : 0;
+    } else {
+      context = v === 1 ? 11 : v === 0 ? 12 : 13;
+      xorBit = 1;
+    }
+    return decoder.decode(contexts, context) ^ xorBit;
+  }
+
+  function becomeSignificant(decoder, index, x, y, plane, raw) {
+    negative[index] = decodeSign(decoder, index, x, y, raw);
+    magnitude[index] += 2 ** plane;
+    markSignificant(index, x, y);
+  }
+
+  function significancePass(decoder, plane, raw) {
+    for (let y0 = 0; y0 < height; y0 += 4) {
+      for (let x = 0; x < width; x++) {
+        for (let y = y0; y < y0 + 4 && y < height; y++) {
+          const index = y * width + x;
+          if (significant[index] || neighbours[index] === 0) continue;
+          coded[index] = 1;
+          lowestPlane[index] = plane;
+          const bit = raw ? decoder.decode() : decoder.decode(contexts, zeroContexts[neighbours[index]]);
+          if (bit) {
+            becomeSignificant(decoder, index, x, y, plane, raw);
+          }
+        }
+      }
+    }
+  }
+
+  function refinementPass(decoder, plane, raw) {
+    for (let y0 = 0; y0 < height; y0 += 4) {
+      for (let x = 0; x < width; x++) {
+        for (let y = y0; y < y0 + 4 && y < height; y++) {
+          const index = y * width + x;
+          if (!significant[index] || coded[index]) continue;
+          let bit;
+          if (raw) {
+            bit = decoder.decode();
+          } else {
+            const context = refined[index] ? 16 : neighbours[index] !== 0 ? 15 : 14;
+            bit = decoder.decode(contexts, context);
+          }
+          if (bit) {
+            magnitude[index] += 2 ** plane;
+          }
+          refined[index] = 1;
+          coded[index] = 1;
+          lowestPlane[index] = plane;
+        }
+      }
+    }
+  }
+
+  function cleanupPass(decoder, plane) {
+    for (let y0 = 0; y0 < height; y0 += 4) {
+      for (let x = 0; x < width; x++) {
+        let y = y0;
+
+        // Run-length mode applies to full stripe columns with no context
+        if (y0 + 3 < height) {
+          let quiet = true;
+          for (let r = 0; r < 4 && quiet; r++) {
+            const index = (y0 + r) * width + x;
+            quiet = !coded[index] && !significant[index] && neighbours[index] === 0;
+          }
+
+          if (quiet) {
+            for (let r = 0; r < 4; r++) {
+              lowestPlane[(y0 + r) * width + x] = plane;
+            }
+            if (!decoder.decode(contexts, CTX_RUN_LENGTH)) {
+              continue;
+            }
+            const run = (decoder.decode(contexts, CTX_UNIFORM) << 1) | decoder.decode(contexts, CTX_UNIFORM);
+            y = y0 + run;
+            becomeSignificant(decoder, y * width + x, x, y, plane, false);
+            y++;
+          }
+        }
+
+        for (; y < y0 + 4 && y < height; y++) {
+          const index = y * width + x;
+          if (coded[index] || significant[index]) continue;
+          lowestPlane[index] = plane;
+          if (decoder.decode(contexts, zeroContexts[neighbours[index]])) {
+            becomeSignificant(decoder, index, x, y, plane, false);
+          }
+        }
+      }
+    }
+
+    if (codeBlockStyle & STYLE_SEGMENTATION) {
+      for (let i = 0; i < 4; i++) {
+        decoder.decode(contexts, CTX_UNIFORM);
+      }
+    }
+    coded.fill(0);
+  }
+
+  const bypass = (codeBlockStyle & STYLE_BYPASS) !== 0;
+  let segmentIndex = -1;
+  let segmentPassesLeft = 0;
+  let decoder = null;
+
+  for (let pass = 0; pass < block.passCount; pass++) {
+    const type = pass === 0 ? 2 : (pass - 1) % 3;
+    const plane = bitPlanes - 1 - (pass === 0 ? 0 : Math.floor((pass + 2) / 3));
+    if (plane < 0) break;
+    const raw = bypass && pass >= 10 && type !== 2;
+
+    if (segmentPassesLeft === 0) {
+      segmentIndex++;
+      const segment = block.segments[segmentIndex];
+      if (!segment) break;
+      segmentPassesLeft = segment.passes;
+      const bytes = concatChunks(segment.chunks);
+      decoder = raw ? createRawDecoder(bytes) : createMqDecoder(bytes);
+    }
+
+    if (type === 0) {
+      significancePass(decoder, plane, raw);
+    } else if (type === 1) {
+      refinementPass(decoder, plane, raw);
+    } else {
+      cleanupPass(decoder, plane);
+    }
+
+    segmentPassesLeft--;
+    if (codeBlockStyle & STYLE_RESET) {
+      resetContexts(contexts);
+    }
+  }
+
+  // Dequantize (Annex E.1) into the band coefficient array
+  const roiThreshold = band.roiShift > 0 ? 2 ** band.roiShift : 0;
+  for (let y = 0; y < height; y++) {
+    const rowOffset = (block.y0 - band.y0 + y) * band.width + (block.x0 - band.x0);
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      let value = magnitude[index];
+      if (value === 0) continue;
+
+      if (roiThreshold && value >= roiThreshold) {
+        value /= roiThreshold;
+      }
+      if (!band.reversible || lowestPlane[index] > 0) {
+        value += 2 ** lowestPlane[index] / 2;
+      }
+      value *= band.stepSize;
+      band.coefficients[rowOffset + x] = negative[index] ? -value : value;
+    }
+  }
+}
+
+/**
+ * Reconstructs tile-component samples from sub-band coefficients by
+ * repeated 2D synthesis (Annex F)
+ */
+function inverseWavelet(tc) {
+  const reversible = tc.style.reversible;
+  const base = tc.resolutions[0];
+  let current = {
+    x0: base.x0,
+    y0: base.y0,
+    width: base.x1 - base.x0,
+    height: base.y1 - base.y0,
+    data: base.bands[0].coefficients,
+  };
+
+  for (let r = 1; r < tc.resolutions.length; r++) {
+    const resolution = tc.resolutions[r];
+    const width = resolution.x1 - resolution.x0;
+    const height = resolution.y1 - resolution.y0;
+    const output = new Float32Array(width * height);
+
+    const sources = [
+      { band: current, xo: 0, yo: 0 },
+      ...resolution.bands.map((band) => ({
+        band: { x0: band.x0, y0: band.y0, width: band.width, height: band.height, data: band.coefficients },
+        xo: band.orientation === BAND_HL || band.orientation === BAND_HH ? 1 : 0,
+        yo: band.orientation === BAND_LH || band.orientation === BAND_HH ? 1 : 0,
+      })),
+    ];
+
+    // 2D_INTERLEAVE: sub-band sample (u, v) lands at (2u + xo, 2v + yo)
+    for (const { band, xo, yo } of sources) {
+      for (let j = 0; j < band.height; j++) {
+        const y = 2 * (band.y0 + j) + yo - resolution.y0;
+        if (y < 0 || y >= height) continue;
+        for (let i = 0; i < band.width; i++) {
+          const x = 2 * (band.x0 + i) + xo - resolution.x0;
+          if (x < 0 || x >= width) continue;
+          output[y * width + x] = band.data[j * band.width + i];
+        }
+      }
+    }
+
+    // HOR_SR on every row, then VER_SR on every column
+    const line = new Float64Array(Math.max(width, height) + 8);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) line[4 + x] = output[y * width + x];
+      synthesize(line, width, resolution.x0, reversible);
+      for (let x = 0; x < width; x++) output[y * width + x] = line[4 + x];
+    }
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) line[4 + y] = output[y * width + x];
+      synthesize(line, height, resolution.y0, reversible);
+      for (let y = 0; y < height; y++) output[y * width + x] = line[4 + y];
+    }
+
+    current = { x0: resolution.x0, y0: resolution.y0, width, height, data: output };
+  }
+
+  return current.data;
+}
+
+/**
+ * One-dimensional synthesis (1D_SR) of a line stored at line[4 .. 4 + n)
+ * whose first sample sits at absolute coordinate i0
+ */
+function synthesize(line, n, i0, reversible) {
+  const offset = 4;
+  if (n === 0) {
+    return;
+  }
+  if (n === 1) {
+    if (i0 & 1) {
+      line[offset] = reversible ? Math.trunc(line[offset] / 2) : line[offset] / 2;
+    }
+    return;
+  }
+
+  // Periodic symmetric extension by four samples on each side
+  for (let k = 1; k <= 4; k++) {
+    line[offset - k] = line[offset + reflect(-k, n)];
+    line[offset + n - 1 + k] = line[offset + reflect(n - 1 + k, n)];
+  }
+
+  // Index k in [-4, n + 4) holds the sample at absolute position i0 + k
+  const isEven = (k) => ((i0 + k) & 1) === 0;
+
+  if (reversible) {
+    for (let k = -3; k < n + 3; k++) {
+      if (isEven(k)) {
+        line[offset + k] -= Math.floor((line[offset + k - 1] + line[offset + k + 1] + 2) / 4);
+      }
+    }
+    for (let k = -2; k < n + 2; k++) {
+      if (!isEven(k)) {
+        line[offset + k] += Math.floor((line[offset + k - 1] + line[offset + k + 1]) / 2);
+      }
+    }
+    return;
+  }
+
+  for (let k = -4; k < n + 4; k++) {
+    line[offset + k] *= isEven(k) ? K : 1 / K;
+  }
+  const steps = [[true, DELTA], [false, GAMMA], [true, BETA], [false, ALPHA]];
+  let margin = 3;
+  for (const [even, coefficient] of steps) {
+    for (let k = -margin; k < n + margin; k++) {
+      if (isEven(k) === even) {
+        line[offset + k] -= coefficient * (line[offset + k - 1] + line[offset + k + 1]);
+      }
+    }
+    margin--;
+  }
+}
+
+/**
+ * Mirrors an index into [0, n) by whole-sample symmetric extension
+ */
+function reflect(index, n) {
+  const period = 2 * (n - 1);
+  let k = ((index % period) + period) % period;
+  if (k >= n) {
+    k = period - k;
+  }
+  return k;
+}
+
+/**
+ * Inverts the reversible (RCT) or irreversible (ICT) colour transform on
+ * the first three components (Annex G)
+ */
+function inverseComponentTransform(components) {
+  const [y0, y1, y2] = components.map((tc) => tc.samples);
+  const reversible = components[0].style.reversible;
+
+  for (let i = 0; i < y0.length; i++) {
+    if (reversible) {
+      const g = y0[i] - Math.floor((y2[i] + y1[i]) / 4);
+      const r = y2[i] + g;
+      const b = y1[i] + g;
+      y0[i] = r;
+      y1[i] = g;
+      y2[i] = b;
+    } else {
+      const r = y0[i] + 1.402 * y2[i];
+      const g = y0[i] - 0.34413 * y1[i] - 0.71414 * y2[i];
+      const b = y0[i] + 1.772 * y1[i];
+      y0[i] = r;
+      y1[i] = g;
+      y2[i] = b;
+    }
+  }
+}
+
+/**
+ * Copies tile-components into full image components, undoing the DC level
+ * shift and clamping to the component precision (Annex G.1.2)
+ */
+function assembleImage(context) {
+  const { siz } = context;
+  const components = siz.components.map((component) => {
+    const width = Math.ceil(siz.width / component.dx) - Math.ceil(siz.xOffset / component.dx);
+    const height = Math.ceil(siz.height / component.dy) - Math.ceil(siz.yOffset / component.dy);
+    return {
+      width,
+      height,
+      precision: component.precision,
+      signed: component.signed,
+      data: new Int32Array(width * height),
+    };
+  });
+
+  for (const tile of context.tiles) {
+    if (!tile.components) continue;
+
+    tile.components.forEach((tc, c) => {
+      const component = components[c];
+      const originX = Math.ceil(siz.xOffset / siz.components[c].dx);
+      const originY = Math.ceil(siz.yOffset / siz.components[c].dy);
+      const shift = tc.signed ? 0 : 2 ** (tc.precision - 1);
+      const min = tc.signed ? -(2 ** (tc.precision - 1)) : 0;
+      const max = tc.signed ? 2 ** (tc.precision - 1) - 1 : 2 ** tc.precision - 1;
+      const tileWidth = tc.x1 - tc.x0;
+
+      for (let y = tc.y0; y < tc.y1; y++) {
+        for (let x = tc.x0; x < tc.x1; x++) {
+          const value = Math.round(tc.samples[(y - tc.y0) * tileWidth + (x - tc.x0)]) + shift;
+          component.data[(y - originY) * component.width + (x - originX)] = Math.max(min, Math.min(max, value));
+        }
+      }
+    });
+  }
+
+  return {
+    width: siz.width - siz.xOffset,
+    height: siz.height - siz.yOffset,
+    components,
+  };
+}
+
+function concatChunks(chunks) {
+  if (chunks.length === 1) {
+    return chunks[0];
+  }
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+function readUint16(bytes, offset) {
+  return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function readUint32(bytes, offset) {
+  return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
@@ -1,53 +1,79 @@
-import https from "https";
-import http from "http";
 import zlib from "zlib";
 import { promisify } from "util";
 import { parseMRMSGrib2, hasValidData } from "./grib2Parser.js";
+import { createGridLocator } from "./gridProjections.js";
+import { gridBounds } from "./gridStore.js";
+import { parseViewport, samplePoints } from "./viewportSampler.js";
+import { DEFAULT_PRODUCT, getProduct } from "./productCatalog.js";
+import { createDataSource } from "./dataSources.js";
 
 const gunzip = promisify(zlib.gunzip);
 
-// MRMS RALA product URL - this is the Reflectivity at Lowest Altitude
-const MRMS_BASE_URL =
-  "https://mrms.ncep.noaa.gov/data/2D/ReflectivityAtLowestAltitude/";
+// MRMS data root; each cataloged product lives in its own directory below it.
+// file:// and s3:// roots select the local directory and bucket adapters.
+const MRMS_BASE_URL = process.env.MRMS_BASE_URL || "https://mrms.ncep.noaa.gov/data/";
+const dataSource = createDataSource(MRMS_BASE_URL, {
+  s3Endpoint: process.env.MRMS_S3_ENDPOINT,
+  http: {
+    connectTimeoutMs: numberSetting("MRMS_CONNECT_TIMEOUT_MS"),
+    readTimeoutMs: numberSetting("MRMS_READ_TIMEOUT_MS"),
+    maxRedirects: numberSetting("MRMS_MAX_REDIRECTS"),
+    maxBytes: numberSetting("MRMS_MAX_RESPONSE_BYTES"),
+    retries: numberSetting("MRMS_FETCH_RETRIES"),
+  },
+});
+console.log(`🛰️  MRMS data source: ${dataSource.description}`);
 
 /**
- * Fetches the latest available MRMS RALA GRIB2 file
+ * Lists the GRIB2 files currently published for a cataloged MRMS product
+ * @param {Object} product - Catalog entry from getProduct()
+ * @returns {Promise<Array<string>>} File names, newest first
+ */
+export async function listProductFiles(product) {
+  const files = await dataSource.listFiles(product.directory);
+
+  // Names embed the timestamp, so reverse name order is newest first
+  return files.sort().reverse();
+}
+
+/**
+ * Downloads one published GRIB2 file, decompressing it when gzipped
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {string} fileName - Name from listProductFiles()
  * @returns {Promise<Buffer>} The GRIB2 file data
  */
-export async function fetchLatestRALA() {
-  try {
-    // First, get the list of available files
-    const listUrl = MRMS_BASE_URL;
-    const html = await fetchUrl(listUrl);
+export async function fetchProductFile(product, fileName) {
+  const compressedData = await dataSource.readFile(product.directory, fileName);
 
-    // Parse HTML to find the latest .grib2.gz file
-    const gribFiles = extractGribFiles(html);
+  if (!fileName.endsWith(".gz")) {
+    return compressedData;
+  }
+
+  console.log("Decompressing gzip file...");
+  const gribData = await gunzip(compressedData);
+  console.log(
+    `Decompressed: ${compressedData.length} -> ${gribData.length} bytes`
+  );
+  return gribData;
+}
+
+/**
+ * Fetches the latest available GRIB2 file for a cataloged MRMS product
+ * @param {Object} product - Catalog entry from getProduct()
+ * @returns {Promise<Buffer>} The GRIB2 file data
+ */
+export async function fetchLatestProduct(product) {
+  try {
+    const gribFiles = await listProductFiles(product);
 
     if (gribFiles.length === 0) {
-      throw new Error("No GRIB2 files found");
+      throw new Error(`No GRIB2 files found for ${product.id}`);
     }
 
-    // Get the most recent file (they're typically named with timestamps)
-    const latestFile = gribFiles.sort().reverse()[0];
-    console.log("Latest RALA file:", latestFile);
-
-    // Download the GRIB2 file
-    const fileUrl = MRMS_BASE_URL + latestFile;
-    const compressedData = await fetchUrl(fileUrl, true);
-
-    // Decompress if it's a .gz file
-    let gribData;
-    if (latestFile.endsWith(".gz")) {
-      console.log("Decompressing gzip file...");
-      gribData = await gunzip(compressedData);
-      console.log(
-        `Decompressed: ${compressedData.length} -> ${gribData.length} bytes`
-      );
-    } else {
-      gribData = compressedData;
-    }
+    const latestFile = gribFiles[0];
+    console.log(`Latest ${product.id} file:`, latestFile);
 
-    return gribData;
+    return await fetchProductFile(product, latestFile);
   } catch (error) {
     console.error("Error fetching MRMS data:", error);
     throw error;
@@ -55,16 +81,29 @@ export async function fetchLatestRALA() {
 }
 
 /**
- * Parses GRIB2 data and extracts radar reflectivity values
+ * Fetches the latest available MRMS RALA GRIB2 file
+ * @returns {Promise<Buffer>} The GRIB2 file data
+ */
+export function fetchLatestRALA() {
+  return fetchLatestProduct(getProduct(DEFAULT_PRODUCT));
+}
+
+/**
+ * Parses GRIB2 data and extracts the product's displayable values
  * @param {Buffer} gribData - The GRIB2 file data
+ * @param {Object} [product] - Catalog entry the file was fetched for
  * @returns {Promise<Object>} Parsed radar data with coordinates and values
  */
-export async function parseGRIB2Data(gribData) {
+export async function parseGRIB2Data(gribData, product = getProduct(DEFAULT_PRODUCT)) {
   try {
     console.log("\n📡 Parsing GRIB2 data with custom MRMS parser...");
     
     // Use our custom parser that handles MRMS templates
-    const parsed = parseMRMSGrib2(gribData);
+    const fields = parseMRMSGrib2(gribData);
+    if (fields.length > 1) {
+      console.log(`   File contains ${fields.length} fields, using the first`);
+    }
+    const parsed = fields[0];
     
     // Validate we have usable data
     if (!hasValidData(parsed)) {
@@ -74,57 +113,70 @@ export async function parseGRIB2Data(gribData) {
     console.log(`✓ Successfully parsed GRIB2 message`);
 
     // Extract grid information
-    const { discipline, parameterCategory, parameterNumber, gridDefinition, values } = parsed;
-    const { nx, ny, la1, lo1, la2, lo2, dx, dy } = gridDefinition;
+    const {
+      discipline,
+      parameterCategory,
+      parameterNumber,
+      gridDefinition,
+      values,
+      coverage,
+      statistics,
+      parameter,
+      identification,
+      productDefinition,
+      referenceTime,
+      validTime,
+    } = parsed;
+    const { nx, ny } = gridDefinition;
+    const locator = createGridLocator(gridDefinition);
+    const first = locator.locate(0);
+    const last = locator.locate(nx * ny - 1);
 
     console.log(
-      `✓ Grid: ${nx}x${ny}, Lat: ${la1 / 1e6} to ${la2 / 1e6}, Lon: ${
-        lo1 / 1e6
-      } to ${lo2 / 1e6}`
+      `✓ Grid: ${nx}x${ny} (template ${gridDefinition.template}), first point ${first.lat.toFixed(3)}, ${first.lon.toFixed(3)}, last point ${last.lat.toFixed(3)}, ${last.lon.toFixed(3)}`
     );
 
-    // Sample the data to reduce size (every nth point)
-    const sampleRate = 4; // Reduce resolution for faster transfer
-    const sampledData = [];
-
-    for (let i = 0; i < ny; i += sampleRate) {
-      for (let j = 0; j < nx; j += sampleRate) {
-        const idx = i * nx + j;
-        const value = values[idx];
-
-        // Only include points with valid reflectivity data (typically > -30 dBZ)
-        if (value !== null && value !== undefined && value > -30) {
-          const lat = la1 / 1e6 - (i * dy) / 1e6;
-          let lon = lo1 / 1e6 + (j * dx) / 1e6;
-          
-          // Convert longitude from 0-360 system to -180/+180 system
-          if (lon > 180) {
-            lon = lon - 360;
-          }
-
-          sampledData.push({
-            lat,
-            lon,
-            value: Math.round(value * 10) / 10, // Round to 1 decimal
-          });
-        }
-      }
-    }
+    // Sample the whole grid as a viewport query without parameters would:
+    // the stride is the smallest that keeps the response within the cell budget
+    const grid = { values, coverage, gridDefinition, locator, bounds: gridBounds(gridDefinition, locator) };
+    const { points: sampledData, noCoverage, stride, coverageStride } = samplePoints(grid, product, parseViewport({}).viewport);
 
     console.log(`✓ Extracted ${sampledData.length} real radar points from MRMS data`);
+    console.log(`   ${noCoverage.length} sampled points without radar coverage`);
     console.log(`✅ SUCCESS: Using REAL MRMS radar data!\n`);
 
     return {
-      grid: { nx, ny, la1, lo1, la2, lo2, dx, dy },
+      grid: gridDefinition,
       points: sampledData,
+      noCoverage,
       metadata: {
         discipline,
         parameterCategory,
         parameterNumber,
-        timestamp: new Date().toISOString(),
+        product: {
+          id: product.id,
+          name: product.name,
+          parameterName: parameter.name,
+          units: product.units,
+          validRange: product.validRange,
+        },
+        statistics,
+        stride,
+        coverageSampleRate: coverageStride,
+        timestamp: validTime || new Date().toISOString(),
+        referenceTime,
+        validTime,
+        significanceOfReferenceTime: identification ? identification.significanceOfReferenceTime : null,
+        productionStatus: identification ? identification.productionStatus : null,
+        productDefinitionTemplate: productDefinition ? productDefinition.template : null,
+        forecastTime: productDefinition ? productDefinition.forecastTime : null,
+        level: productDefinition
+          ? { firstSurface: productDefinition.firstSurface, secondSurface: productDefinition.secondSurface }
+          : null,
+        statisticalProcessing: productDefinition ? productDefinition.statisticalProcessing : null,
         dataSource: "MRMS",
         updateFrequency: "5 minutes",
-        note: "Live MRMS RALA data from NOAA",
+        note: `Live MRMS ${product.id} data from NOAA`,
       },
     };
   } catch (error) {
@@ -221,6 +273,7 @@ export function generateDemoRadarData() {
       dy: 10000,
     },
     points: sampledData,
+    noCoverage: [],
     metadata: {
       discipline: 0,
       parameterCategory: 16,
@@ -326,55 +379,17 @@ function generateDynamicStorms(timeOffset) {
 }
 
 /**
- * Fetches content from a URL
- * @param {string} url - The URL to fetch
- * @param {boolean} isBinary - Whether to return binary data
- * @returns {Promise<string|Buffer>}
+ * Reads an optional numeric environment setting
+ * @param {string} name - Environment variable
+ * @returns {number|undefined} The value, or undefined to keep the default
  */
-function fetchUrl(url, isBinary = false) {
-  return new Promise((resolve, reject) => {
-    const protocol = url.startsWith("https") ? https : http;
-
-    protocol
-      .get(url, (res) => {
-        if (res.statusCode === 301 || res.statusCode === 302) {
-          // Handle redirects
-          return fetchUrl(res.headers.location, isBinary)
-            .then(resolve)
-            .catch(reject);
-        }
-
-        if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
-          return;
-        }
-
-        const chunks = [];
-
-        res.on("data", (chunk) => chunks.push(chunk));
-        res.on("end", () => {
-          const buffer = Buffer.concat(chunks);
-          resolve(isBinary ? buffer : buffer.toString("utf-8"));
-        });
-        res.on("error", reject);
-      })
-      .on("error", reject);
-  });
-}
-
-/**
- * Extracts GRIB2 filenames from HTML directory listing
- * @param {string} html - HTML content
- * @returns {Array<string>} List of GRIB2 filenames
- */
-function extractGribFiles(html) {
-  const regex = /href="([^"]*\.grib2(?:\.gz)?)"/g;
-  const files = [];
-  let match;
-
-  while ((match = regex.exec(html)) !== null) {
-    files.push(match[1]);
+function numberSetting(name) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    console.warn(`⚠️  Ignoring invalid ${name}: ${value}`);
+    return undefined;
   }
-
-  return files;
+  return number;
 }
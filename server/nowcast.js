@@ -0,0 +1,422 @@
+/**
+ * Motion Tracking and Nowcasting
+ *
+ * Estimates how echoes move between two archived reflectivity frames and
+ * extrapolates the newest frame forward along that motion.
+ *
+ * Motion comes from block matching: both grids are averaged down to cells
+ * of about WORK_CELL_KM, cut into blocks, and each block of the earlier frame
+ * with enough echo is searched for in the newer frame by the smallest sum of
+ * absolute differences, refined to sub-cell precision with a parabola
+ * through the neighbouring scores. Outliers are removed with a median of
+ * neighbouring blocks, and blocks without a measurement take an
+ * inverse-distance blend of the measured ones. Forecasts advect the newest
+ * grid semi-Lagrangian style: each cell takes the value found upstream
+ * along the bilinearly interpolated motion. Motion is assumed steady, and
+ * growth and decay are not modelled.
+ *
+ * Forecast grids have the same shape as grids from the grid store and are
+ * named "<frame name>+<minutes>", so this service can stand in for the
+ * grid store of the tile and binary grid services. Only the motion fields
+ * are cached: a forecast is a full-size grid, so it is built for each
+ * request, and only over the requested area, and then dropped. Callers
+ * cache what they derive from it, as the binary grid service does.
+ */
+
+import { cropRegion } from "./viewportSampler.js";
+
+export const NOWCAST_MINUTES = [15, 30, 60];
+
+const KM_PER_DEGREE = (Math.PI / 180) * 6371.0088;
+// Size of the averaged cells motion is measured on
+const WORK_CELL_KM = 4;
+// Working cells per block side
+const BLOCK_SIZE = 16;
+// Echo needed for a block to be tracked
+const MIN_ECHO_DBZ = 20;
+const MIN_ECHO_FRACTION = 0.1;
+// Fastest motion searched for
+const MAX_SPEED_KMH = 150;
+// Preferred and allowed spacing of the two frames
+const TARGET_INTERVAL_MINUTES = 10;
+const MIN_INTERVAL_MINUTES = 2;
+const MAX_INTERVAL_MINUTES = 30;
+
+/**
+ * Creates a nowcast service
+ * @param {Object} options
+ * @param {Object} options.gridStore - Store from createGridStore()
+ * @param {Object} options.frameCache - Frame archive from createFrameCache()
+ * @returns {Object} Service with track() and load()
+ */
+export function createNowcastService({ gridStore, frameCache }) {
+  // key -> Promise, least recently used first
+  const motions = new Map();
+
+  /**
+   * Motion of the newest archived frame of a product
+   * @param {Object} product - Catalog entry from getProduct()
+   * @returns {Promise<{baseName: string, motion: Object}|null>} The frame
+   *   forecasts start from and its motion, or null when the archive has no
+   *   usable pair of frames
+   */
+  async function track(product) {
+    const newest = frameCache.latest(product.id);
+    if (!newest) return null;
+    const motion = await motionFor(product.id, newest.name);
+    return motion ? { baseName: newest.name, motion } : null;
+  }
+
+  /**
+   * Grid store interface for forecast grids
+   * @param {string} productId - Catalog product id
+   * @param {string} name - "<frame name>+<minutes>"
+   * @param {Object|null} [bbox=null] - Area to forecast; cells outside it
+   *   are left without data
+   * @returns {Promise<Object|null>} Forecast grid, or null when it cannot be made
+   */
+  async function load(productId, name, bbox = null) {
+    const separator = name.lastIndexOf("+");
+    const baseName = name.slice(0, separator);
+    const minutes = Number(name.slice(separator + 1));
+    if (separator < 0 || !NOWCAST_MINUTES.includes(minutes)) {
+      return null;
+    }
+
+    const motion = await motionFor(productId, baseName);
+    const base = motion && (await gridStore.load(productId, baseName));
+    return base ? advect(base, motion, minutes, name, cropRegion(base, bbox)) : null;
+  }
+
+  function motionFor(productId, baseName) {
+    return remember(motions, `${productId}/${baseName}`, 4, async () => {
+      const previousName = previousFrame(productId, baseName);
+      if (!previousName) return null;
+      const [previous, base] = await Promise.all([
+        gridStore.load(productId, previousName),
+        gridStore.load(productId, baseName),
+      ]);
+      if (!previous || !base) return null;
+      const intervalMinutes = (Date.parse(base.validTime) - Date.parse(previous.validTime)) / 60000;
+      return estimateMotion(previous, base, intervalMinutes, previousName);
+    });
+  }
+
+  /**
+   * Picks the earlier frame to track from: the one closest to
+   * TARGET_INTERVAL_MINUTES before the base frame, within the allowed spacing
+   * @param {string} productId - Catalog product id
+   * @param {string} baseName - Frame name of the newer frame
+   * @returns {string|null} Frame name
+   */
+  function previousFrame(productId, baseName) {
+    const times = frameCache.list(productId);
+    const base = times.find((time) => frameCache.find(productId, time) === baseName);
+    if (!base) return null;
+
+    let best = null;
+    for (const time of times) {
+      const gap = (base - time) / 60000;
+      if (gap < MIN_INTERVAL_MINUTES || gap > MAX_INTERVAL_MINUTES) continue;
+      if (!best || Math.abs(gap - TARGET_INTERVAL_MINUTES) < Math.abs((base - best) / 60000 - TARGET_INTERVAL_MINUTES)) {
+        best = time;
+      }
+    }
+    return best ? frameCache.find(productId, best) : null;
+  }
+
+  return { track, load };
+}
+
+/**
+ * Returns the cached promise for a key, creating it when missing; failed
+ * promises are dropped so the next call retries
+ * @param {Map} cache - key -> Promise, least recently used first
+ * @param {string} key - Cache key
+ * @param {number} limit - Entries kept
+ * @param {Function} create - Makes the promise
+ * @returns {Promise}
+ */
+function remember(cache, key, limit, create) {
+  if (cache.has(key)) {
+    const cached = cache.get(key);
+    cache.delete(key);
+    cache.set(key, cached);
+    return cached;
+  }
+  const created = create();
+  cache.set(key, created);
+  created.catch(() => cache.delete(key));
+  while (cache.size > limit) {
+    cache.delete(cache.keys().next().value);
+  }
+  return created;
+}
+
+/**
+ * Block-matches two grids of the same product
+ * @param {Object} previous - Earlier grid
+ * @param {Object} base - Newer grid
+ * @param {number} intervalMinutes - Time between them
+ * @param {string} previousName - Frame name of the earlier grid
+ * @returns {Object} Motion: {intervalMinutes, previousName, blocksX,
+ *   blocksY, blockCells, u, v (grid cells per minute along i and j, per
+ *   block), vectors (measured blocks, for display)}
+ */
+function estimateMotion(previous, base, intervalMinutes, previousName) {
+  const { ny } = base.gridDefinition;
+  const cellKm = ((base.bounds.north - base.bounds.south) / Math.max(1, ny - 1)) * KM_PER_DEGREE;
+  const factor = Math.max(1, Math.round(WORK_CELL_KM / cellKm));
+  const before = averageDown(previous, factor);
+  const after = averageDown(base, factor);
+  const { width, height } = after;
+
+  const blocksX = Math.ceil(width / BLOCK_SIZE);
+  const blocksY = Math.ceil(height / BLOCK_SIZE);
+  const radius = Math.min(BLOCK_SIZE, Math.max(1, Math.ceil((MAX_SPEED_KMH * intervalMinutes) / 60 / (cellKm * factor))));
+  let u = new Float32Array(blocksX * blocksY).fill(NaN);
+  let v = new Float32Array(blocksX * blocksY).fill(NaN);
+
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      const match = matchBlock(before, after, bx * BLOCK_SIZE, by * BLOCK_SIZE, radius);
+      if (!match) continue;
+      u[by * blocksX + bx] = (match.dx * factor) / intervalMinutes;
+      v[by * blocksX + bx] = (match.dy * factor) / intervalMinutes;
+    }
+  }
+
+  ({ u, v } = medianFilter(u, v, blocksX, blocksY));
+  const measured = u.map((value) => (Number.isNaN(value) ? 0 : 1));
+  const vectors = [];
+  for (let block = 0; block < measured.length; block++) {
+    if (measured[block]) {
+      vectors.push(describeVector(base, block, blocksX, BLOCK_SIZE * factor, u[block], v[block]));
+    }
+  }
+  fillGaps(u, v, blocksX);
+
+  return { intervalMinutes, previousName, blocksX, blocksY, blockCells: BLOCK_SIZE * factor, u, v, vectors };
+}
+
+/**
+ * Averages a grid over factor x factor cells in grid index space; cells
+ * without data or below 0 dBZ count as 0
+ * @returns {{width: number, height: number, data: Float32Array}}
+ */
+function averageDown(grid, factor) {
+  const { nx, ny } = grid.gridDefinition;
+  const width = Math.ceil(nx / factor);
+  const height = Math.ceil(ny / factor);
+  const data = new Float32Array(width * height);
+  const counts = new Uint16Array(width * height);
+
+  for (let j = 0; j < ny; j++) {
+    const row = Math.floor(j / factor) * width;
+    for (let i = 0; i < nx; i++) {
+      const value = grid.values[grid.locator.indexAt(i, j)];
+      const cell = row + Math.floor(i / factor);
+      if (value > 0) data[cell] += value;
+      counts[cell]++;
+    }
+  }
+  for (let cell = 0; cell < data.length; cell++) {
+    data[cell] /= counts[cell];
+  }
+  return { width, height, data };
+}
+
+/**
+ * Finds where one block of the earlier raster went in the newer one
+ * @returns {{dx: number, dy: number}|null} Displacement in working cells, or
+ *   null when the block has too little echo or touches the raster edge
+ */
+function matchBlock(before, after, x0, y0, radius) {
+  const { width, height } = after;
+  const size = BLOCK_SIZE;
+  if (x0 + size > width || y0 + size > height) return null;
+
+  let echo = 0;
+  for (let y = y0; y < y0 + size; y++) {
+    for (let x = x0; x < x0 + size; x++) {
+      if (before.data[y * width + x] >= MIN_ECHO_DBZ) echo++;
+    }
+  }
+  if (echo < MIN_ECHO_FRACTION * size * size) return null;
+
+  const span = 2 * radius + 1;
+  const scores = new Float64Array(span * span).fill(Infinity);
+  let best = -1;
+  for (let dy = -radius; dy <= radius; dy++) {
+    if (y0 + dy < 0 || y0 + dy + size > height) continue;
+    for (let dx = -radius; dx <= radius; dx++) {
+      if (x0 + dx < 0 || x0 + dx + size > width) continue;
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        const from = (y0 + y) * width + x0;
+        const to = (y0 + y + dy) * width + x0 + dx;
+        for (let x = 0; x < size; x++) {
+          sum += Math.abs(before.data[from + x] - after.data[to + x]);
+        }
+      }
+      const slot = (dy + radius) * span + dx + radius;
+      scores[slot] = sum;
+      if (best < 0 || sum < scores[best]) best = slot;
+    }
+  }
+  if (best < 0) return null;
+
+  const bestX = best % span;
+  const bestY = Math.floor(best / span);
+  return {
+    dx: bestX - radius + subCellOffset(scores, best, bestX, span, 1),
+    dy: bestY - radius + subCellOffset(scores, best, bestY, span, span),
+  };
+}
+
+/**
+ * Vertex of the parabola through the best score and its two neighbours
+ * along one axis
+ * @returns {number} Offset in -0.5..0.5
+ */
+function subCellOffset(scores, best, position, span, step) {
+  if (position === 0 || position === span - 1) return 0;
+  const before = scores[best - step];
+  const after = scores[best + step];
+  const curvature = before - 2 * scores[best] + after;
+  if (!Number.isFinite(curvature) || curvature <= 0) return 0;
+  return Math.max(-0.5, Math.min(0.5, (before - after) / (2 * curvature)));
+}
+
+/**
+ * Replaces each measured vector by the component-wise median of the
+ * measured vectors in its 3x3 neighbourhood
+ */
+function medianFilter(u, v, blocksX, blocksY) {
+  const filteredU = new Float32Array(u.length).fill(NaN);
+  const filteredV = new Float32Array(v.length).fill(NaN);
+  const median = (values) => {
+    values.sort((a, b) => a - b);
+    const middle = values.length >> 1;
+    return values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+  };
+
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      const block = by * blocksX + bx;
+      if (Number.isNaN(u[block])) continue;
+      const us = [];
+      const vs = [];
+      for (let y = Math.max(0, by - 1); y <= Math.min(blocksY - 1, by + 1); y++) {
+        for (let x = Math.max(0, bx - 1); x <= Math.min(blocksX - 1, bx + 1); x++) {
+          if (!Number.isNaN(u[y * blocksX + x])) {
+            us.push(u[y * blocksX + x]);
+            vs.push(v[y * blocksX + x]);
+          }
+        }
+      }
+      filteredU[block] = median(us);
+      filteredV[block] = median(vs);
+    }
+  }
+  return { u: filteredU, v: filteredV };
+}
+
+/**
+ * Gives unmeasured blocks the inverse-distance-squared blend of the measured
+ * ones, or no motion when nothing was measured
+ */
+function fillGaps(u, v, blocksX) {
+  const measured = [];
+  for (let block = 0; block < u.length; block++) {
+    if (!Number.isNaN(u[block])) measured.push(block);
+  }
+
+  for (let block = 0; block < u.length; block++) {
+    if (!Number.isNaN(u[block])) continue;
+    let weights = 0;
+    let sumU = 0;
+    let sumV = 0;
+    for (const source of measured) {
+      const dx = (source % blocksX) - (block % blocksX);
+      const dy = Math.floor(source / blocksX) - Math.floor(block / blocksX);
+      const weight = 1 / (dx * dx + dy * dy);
+      weights += weight;
+      sumU += u[source] * weight;
+      sumV += v[source] * weight;
+    }
+    u[block] = weights > 0 ? sumU / weights : 0;
+    v[block] = weights > 0 ? sumV / weights : 0;
+  }
+}
+
+/**
+ * Converts a block's motion from grid cells per minute to a geographic vector
+ * @returns {Object} {lat, lon, uKmh (east), vKmh (north), speedKmh,
+ *   directionDeg (towards, clockwise from north)}
+ */
+function describeVector(grid, block, blocksX, blockCells, u, v) {
+  const i = ((block % blocksX) + 0.5) * blockCells;
+  const j = (Math.floor(block / blocksX) + 0.5) * blockCells;
+  const from = grid.locator.geoPosition(i, j);
+  const to = grid.locator.geoPosition(i + u * 60, j + v * 60);
+  const east = (to.lon - from.lon) * Math.cos((from.lat * Math.PI) / 180) * KM_PER_DEGREE;
+  const north = (to.lat - from.lat) * KM_PER_DEGREE;
+  const round = (value, digits) => Number(value.toFixed(digits));
+
+  return {
+    lat: round(from.lat, 4),
+    lon: round(from.lon, 4),
+    uKmh: round(east, 1),
+    vKmh: round(north, 1),
+    speedKmh: round(Math.hypot(east, north), 1),
+    directionDeg: round(((Math.atan2(east, north) * 180) / Math.PI + 360) % 360, 0),
+  };
+}
+
+/**
+ * Extrapolates a grid along the motion field
+ * @param {Object} base - Newest grid
+ * @param {Object} motion - Motion from estimateMotion()
+ * @param {number} minutes - Lead time
+ * @param {string} name - Forecast grid name
+ * @param {Object|null} region - Grid cells to fill, from cropRegion(); null
+ *   leaves the forecast empty
+ * @returns {Object} Forecast grid
+ */
+function advect(base, motion, minutes, name, region) {
+  const { locator } = base;
+  const { blocksX, blocksY, blockCells, u, v } = motion;
+  const values = new Float32Array(base.values.length).fill(NaN);
+  const validTime = new Date(Date.parse(base.validTime) + minutes * 60000).toISOString();
+
+  // Bilinear blend of the four block centres around a position
+  const flow = (field, i, j) => {
+    const x = Math.max(0, Math.min(blocksX - 1, i / blockCells - 0.5));
+    const y = Math.max(0, Math.min(blocksY - 1, j / blockCells - 0.5));
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(blocksX - 1, x0 + 1);
+    const y1 = Math.min(blocksY - 1, y0 + 1);
+    const fx = x - x0;
+    const fy = y - y0;
+    const top = field[y0 * blocksX + x0] * (1 - fx) + field[y0 * blocksX + x1] * fx;
+    const bottom = field[y1 * blocksX + x0] * (1 - fx) + field[y1 * blocksX + x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+  };
+
+  if (!region) {
+    return { ...base, frameName: name, values, validTime };
+  }
+
+  for (let j = region.jMin; j <= region.jMax; j++) {
+    for (let i = region.iMin; i <= region.iMax; i++) {
+      const source = locator.indexAt(Math.round(i - flow(u, i, j) * minutes), Math.round(j - flow(v, i, j) * minutes));
+      if (source >= 0) {
+        values[locator.indexAt(i, j)] = base.values[source];
+      }
+    }
+  }
+
+  return { ...base, frameName: name, values, validTime };
+}
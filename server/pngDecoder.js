@@ -0,0 +1,181 @@
+/**
+ * PNG Sample Decoder
+ *
+ * Decodes the PNG images used by GRIB2 Data Representation Template 5.41
+ * straight into one integer per pixel, without expanding to RGBA. Each
+ * pixel's channels are read as a single big-endian integer, which is how
+ * GRIB2 stores 24-bit (RGB) and 32-bit (RGBA) values. Non-interlaced
+ * greyscale, RGB and their alpha variants at any standard bit depth are
+ * supported, as long as a pixel fits in 32 bits.
+ */
+
+import zlib from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per colour type; palette images (3) are not used by GRIB2
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/**
+ * Decodes a PNG into one unsigned integer per pixel
+ * @param {Buffer} buffer - PNG file bytes
+ * @returns {{width: number, height: number, bitDepth: number, samples: Uint16Array|Uint32Array}}
+ */
+export function decodePngSamples(buffer) {
+  if (buffer.length < SIGNATURE.length + 25 || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error('Invalid PNG signature');
+  }
+
+  let header = null;
+  const idat = [];
+  let offset = 8;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const start = offset + 8;
+    if (start + length > buffer.length) {
+      throw new Error(`Truncated PNG chunk ${type}`);
+    }
+
+    if (type === 'IHDR') {
+      header = {
+        width: buffer.readUInt32BE(start),
+        height: buffer.readUInt32BE(start + 4),
+        bitDepth: buffer.readUInt8(start + 8),
+        colorType: buffer.readUInt8(start + 9),
+        interlace: buffer.readUInt8(start + 12),
+      };
+    } else if (type === 'IDAT') {
+      idat.push(buffer.subarray(start, start + length));
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset = start + length + 4; // skip CRC
+  }
+
+  if (!header) {
+    throw new Error('PNG has no IHDR chunk');
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) {
+    throw new Error(`Unsupported PNG colour type: ${colorType}`);
+  }
+  if (interlace !== 0) {
+    throw new Error('Interlaced PNG is not supported');
+  }
+
+  const pixelBits = channels * bitDepth;
+  if (pixelBits > 32) {
+    throw new Error(`PNG pixels of ${pixelBits} bits do not fit a 32-bit value`);
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const rowBytes = Math.ceil((width * pixelBits) / 8);
+  const filterStride = Math.max(1, pixelBits >> 3);
+  if (raw.length < height * (rowBytes + 1)) {
+    throw new Error(`PNG image data holds ${raw.length} bytes, expected ${height * (rowBytes + 1)}`);
+  }
+
+  const samples = pixelBits <= 16 ? new Uint16Array(width * height) : new Uint32Array(width * height);
+  let previous = new Uint8Array(rowBytes);
+  let row = new Uint8Array(rowBytes);
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (rowBytes + 1);
+    unfilterRow(raw[rowStart], raw.subarray(rowStart + 1, rowStart + 1 + rowBytes), row, previous, filterStride);
+    readRowSamples(row, samples, y * width, width, pixelBits);
+
+    const swap = previous;
+    previous = row;
+    row = swap;
+  }
+
+  return { width, height, bitDepth: pixelBits, samples };
+}
+
+/**
+ * Reverses one scanline filter (PNG specification section 9)
+ * @param {number} filter - Filter type byte
+ * @param {Uint8Array} source - Filtered scanline
+ * @param {Uint8Array} row - Output scanline
+ * @param {Uint8Array} previous - Previous unfiltered scanline (zeros for the first)
+ * @param {number} stride - Bytes per complete pixel, at least 1
+ */
+function unfilterRow(filter, source, row, previous, stride) {
+  const length = source.length;
+
+  switch (filter) {
+    case 0:
+      row.set(source);
+      break;
+    case 1:
+      for (let i = 0; i < length; i++) {
+        row[i] = source[i] + (i >= stride ? row[i - stride] : 0);
+      }
+      break;
+    case 2:
+      for (let i = 0; i < length; i++) {
+        row[i] = source[i] + previous[i];
+      }
+      break;
+    case 3:
+      for (let i = 0; i < length; i++) {
+        const left = i >= stride ? row[i - stride] : 0;
+        row[i] = source[i] + ((left + previous[i]) >> 1);
+      }
+      break;
+    case 4:
+      for (let i = 0; i < length; i++) {
+        const left = i >= stride ? row[i - stride] : 0;
+        const upperLeft = i >= stride ? previous[i - stride] : 0;
+        row[i] = source[i] + paeth(left, previous[i], upperLeft);
+      }
+      break;
+    default:
+      throw new Error(`Invalid PNG filter type: ${filter}`);
+  }
+}
+
+function paeth(left, above, upperLeft) {
+  const estimate = left + above - upperLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceAbove = Math.abs(estimate - above);
+  const distanceUpperLeft = Math.abs(estimate - upperLeft);
+
+  if (distanceLeft <= distanceAbove && distanceLeft <= distanceUpperLeft) {
+    return left;
+  }
+  return distanceAbove <= distanceUpperLeft ? above : upperLeft;
+}
+
+/**
+ * Reads each pixel of an unfiltered scanline as one big-endian integer
+ * @param {Uint8Array} row - Unfiltered scanline
+ * @param {Uint16Array|Uint32Array} samples - Output pixels
+ * @param {number} start - Index of the row's first pixel in samples
+ * @param {number} width - Pixels per row
+ * @param {number} pixelBits - Bits per pixel (1-32)
+ */
+function readRowSamples(row, samples, start, width, pixelBits) {
+  if (pixelBits < 8) {
+    const mask = (1 << pixelBits) - 1;
+    for (let x = 0; x < width; x++) {
+      const bit = x * pixelBits;
+      samples[start + x] = (row[bit >> 3] >> (8 - pixelBits - (bit & 7))) & mask;
+    }
+    return;
+  }
+
+  const bytes = pixelBits >> 3;
+  for (let x = 0, p = 0; x < width; x++) {
+    let value = 0;
+    for (let b = 0; b < bytes; b++, p++) {
+      value = value * 256 + row[p];
+    }
+    samples[start + x] = value;
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Point Queries
+ *
+ * Reads the value of a product at one location from full-resolution grids:
+ * the grid cell containing the point, optionally a bilinear interpolation
+ * between the four surrounding cells and the maximum within a radius.
+ * Queries over a time range read the archived frames in that range, one
+ * decode at a time; results are cached per frame and location, so sites
+ * that are polled repeatedly only pay for frames they have not seen yet.
+ * Each full grid takes over a second to decode, so a range covering more
+ * frames than MAX_SERIES_FRAMES is thinned to that many, evenly spread
+ * from its first frame to its last. Ranges are otherwise bounded only by
+ * the archive's retention window.
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE = (Math.PI / 180) * EARTH_RADIUS_KM;
+export const MAX_RADIUS_KM = 100;
+export const MAX_SERIES_FRAMES = 30;
+const INTERPOLATIONS = new Set(["nearest", "bilinear"]);
+
+/**
+ * Reads point query parameters from a query string
+ * @param {Object} query - Express req.query
+ * @returns {{point?: Object, error?: string}} Point: {lat, lon,
+ *   interpolation, radiusKm}; or the reason the parameters are invalid
+ */
+export function parsePointQuery(query) {
+  const lat = Number(query.lat);
+  const lon = Number(query.lon);
+  if (query.lat === undefined || query.lon === undefined || !(lat >= -90 && lat <= 90) || !(lon >= -180 && lon <= 180)) {
+    return { error: "lat must be -90..90 and lon -180..180 degrees" };
+  }
+
+  const interpolation = query.interpolation === undefined ? "nearest" : String(query.interpolation);
+  if (!INTERPOLATIONS.has(interpolation)) {
+    return { error: "interpolation must be nearest or bilinear" };
+  }
+
+  let radiusKm = null;
+  if (query.radiusKm !== undefined) {
+    radiusKm = Number(query.radiusKm);
+    if (!(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+      return { error: `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}` };
+    }
+  }
+
+  return { point: { lat, lon, interpolation, radiusKm } };
+}
+
+/**
+ * Creates a point query service
+ * @param {Object} options
+ * @param {Object} options.gridStore - Store from createGridStore()
+ * @param {Object} options.frameCache - Frame archive from createFrameCache()
+ * @param {number} [options.maxSamples=10000] - Sample results kept in memory
+ * @returns {Object} Service with sample() and series()
+ */
+export function createPointService({ gridStore, frameCache, maxSamples = 10000 }) {
+  // key -> sample, least recently used first
+  const samples = new Map();
+
+  /**
+   * @param {Object} product - Catalog entry from getProduct()
+   * @param {string} frameName - Frame name from the archive
+   * @param {Object} point - Point from parsePointQuery()
+   * @returns {Promise<Object|null>} Sample, or null when the frame has no archived grid
+   */
+  async function sample(product, frameName, point) {
+    const key = `${product.id}/${frameName}/${point.lat},${point.lon}/${point.interpolation}/${point.radiusKm}`;
+    if (samples.has(key)) {
+      const cached = samples.get(key);
+      samples.delete(key);
+      samples.set(key, cached);
+      return cached;
+    }
+
+    const grid = await gridStore.load(product.id, frameName);
+    if (!grid) return null;
+
+    const result = samplePoint(grid, point);
+    samples.set(key, result);
+    while (samples.size > maxSamples) {
+      samples.delete(samples.keys().next().value);
+    }
+    return result;
+  }
+
+  /**
+   * Samples the archived frames in a time range, oldest first
+   * @param {Object} product - Catalog entry from getProduct()
+   * @param {{from?: Date, to?: Date}} range - Inclusive bounds
+   * @param {Object} point - Point from parsePointQuery()
+   * @returns {Promise<{series: Array<Object>, framesInRange: number}>} One
+   *   entry per sampled frame, at most MAX_SERIES_FRAMES; frames archived
+   *   without their GRIB2 source have available: false
+   */
+  async function series(product, range, point) {
+    const times = frameCache.list(product.id, range);
+    const entries = [];
+    for (const time of thin(times, MAX_SERIES_FRAMES)) {
+      const frameName = frameCache.find(product.id, time);
+      const result = frameName ? await sample(product, frameName, point) : null;
+      entries.push(result ? { time: time.toISOString(), available: true, ...result } : { time: time.toISOString(), available: false });
+    }
+    return { series: entries, framesInRange: times.length };
+  }
+
+  return { sample, series };
+}
+
+/**
+ * Picks evenly spaced items, always keeping the first and last
+ * @param {Array} items - Items in order
+ * @param {number} count - Largest number of items to keep
+ * @returns {Array} items itself when it is short enough, else a thinned copy
+ */
+function thin(items, count) {
+  if (items.length <= count) return items;
+  const step = (items.length - 1) / (count - 1);
+  return Array.from({ length: count }, (_, k) => items[Math.round(k * step)]);
+}
+
+/**
+ * Samples one grid at a point
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} point - Point from parsePointQuery()
+ * @returns {Object} {value, coverage, cell: {lat, lon}} plus interpolated
+ *   and neighborhoodMax when requested; values are null where the grid has
+ *   no data
+ */
+function samplePoint(grid, point) {
+  const { values, coverage, locator } = grid;
+  const { i, j } = locator.gridCoordinates(point.lat, point.lon);
+  const index = locator.indexAt(Math.round(i), Math.round(j));
+  if (index < 0) {
+    return { value: null, coverage: false, cell: null };
+  }
+
+  const result = {
+    value: toNumber(values[index]),
+    coverage: coverage[index] === 1,
+    cell: locator.locate(index),
+  };
+  if (point.interpolation === "bilinear") {
+    result.interpolated = bilinear(grid, i, j);
+  }
+  if (point.radiusKm !== null) {
+    result.neighborhoodMax = neighborhoodMax(grid, point);
+  }
+  return result;
+}
+
+/**
+ * Bilinear interpolation between the four cells around a grid position.
+ * Cells without data are left out and the remaining weights rescaled.
+ * @param {Object} grid - Grid from the grid store
+ * @param {number} i - Fractional column
+ * @param {number} j - Fractional row
+ * @returns {number|null} Interpolated value, or null when no neighbour has data
+ */
+function bilinear(grid, i, j) {
+  const i0 = Math.floor(i);
+  const j0 = Math.floor(j);
+  const fi = i - i0;
+  const fj = j - j0;
+  let sum = 0;
+  let weights = 0;
+
+  for (const [di, dj, weight] of [
+    [0, 0, (1 - fi) * (1 - fj)],
+    [1, 0, fi * (1 - fj)],
+    [0, 1, (1 - fi) * fj],
+    [1, 1, fi * fj],
+  ]) {
+    const index = grid.locator.indexAt(i0 + di, j0 + dj);
+    if (index < 0 || weight === 0 || Number.isNaN(grid.values[index])) continue;
+    sum += grid.values[index] * weight;
+    weights += weight;
+  }
+
+  return weights > 0 ? toNumber(sum / weights) : null;
+}
+
+/**
+ * Largest value among the cells whose centres lie within the radius
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} point - Point from parsePointQuery()
+ * @returns {number|null} Maximum, or null when no cell in range has data
+ */
+function neighborhoodMax(grid, point) {
+  const { lat, lon, radiusKm } = point;
+  const { locator, values, gridDefinition } = grid;
+  const dLat = radiusKm / KM_PER_DEGREE;
+  const dLon = dLat / Math.max(0.01, Math.cos((lat * Math.PI) / 180));
+
+  // Grid window spanned by the circle's extreme points
+  let iMin = Infinity;
+  let iMax = -Infinity;
+  let jMin = Infinity;
+  let jMax = -Infinity;
+  for (const [pointLat, pointLon] of [[lat, lon], [lat - dLat, lon], [lat + dLat, lon], [lat, lon - dLon], [lat, lon + dLon]]) {
+    const { i, j } = locator.gridCoordinates(Math.max(-90, Math.min(90, pointLat)), pointLon);
+    iMin = Math.min(iMin, Math.floor(i));
+    iMax = Math.max(iMax, Math.ceil(i));
+    jMin = Math.min(jMin, Math.floor(j));
+    jMax = Math.max(jMax, Math.ceil(j));
+  }
+
+  let max = -Infinity;
+  for (let j = Math.max(0, jMin); j <= Math.min(gridDefinition.ny - 1, jMax); j++) {
+    for (let i = Math.max(0, iMin); i <= Math.min(gridDefinition.nx - 1, iMax); i++) {
+      const index = locator.indexAt(i, j);
+      if (index < 0 || !(values[index] > max)) continue;
+      const cell = locator.locate(index);
+      if (distanceKm(lat, lon, cell.lat, cell.lon) <= radiusKm) {
+        max = values[index];
+      }
+    }
+  }
+  return max === -Infinity ? null : toNumber(max);
+}
+
+/**
+ * Great-circle distance with the haversine formula
+ * @param {number} lat1 - Latitude of the first point in degrees
+ * @param {number} lon1 - Longitude of the first point in degrees
+ * @param {number} lat2 - Latitude of the second point in degrees
+ * @param {number} lon2 - Longitude of the second point in degrees
+ * @returns {number} Kilometres
+ */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = Math.PI / 180;
+  const a =
+    Math.sin(((lat2 - lat1) * toRadians) / 2) ** 2 +
+    Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin(((lon2 - lon1) * toRadians) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Grid values are float32; trimming to float32 precision drops the binary
+ * noise (12.300000190734863 becomes 12.3)
+ * @param {number} value - Grid value, NaN where there is no data
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  return Number.isNaN(value) ? null : Number(value.toPrecision(7));
+}
@@ -0,0 +1,220 @@
+/**
+ * MRMS Product Catalog
+ *
+ * Describes the MRMS 2D products the server can ingest: where each one lives
+ * on the MRMS data server, how its values are labelled and the colour scale
+ * the map uses to draw it. Every product goes through the same fetch, parse
+ * and sampling pipeline; only these settings differ.
+ */
+
+import { parameterInfo } from './grib2Tables.js';
+
+// NSSL's local GRIB2 discipline, which every MRMS product is published under
+const MRMS_DISCIPLINE = 209;
+
+// NWS reflectivity colours, shared by every reflectivity product
+const REFLECTIVITY_SCALE = [
+  { min: -30, color: '#04e9e7', desc: 'Minimal' },
+  { min: 5, color: '#019ff4', desc: 'Minimal' },
+  { min: 10, color: '#0300f4', desc: 'Trace' },
+  { min: 15, color: '#02fd02', desc: 'Trace' },
+  { min: 20, color: '#01c501', desc: 'Very Light' },
+  { min: 25, color: '#008e00', desc: 'Very Light' },
+  { min: 30, color: '#fdf802', desc: 'Light' },
+  { min: 35, color: '#e5bc00', desc: 'Light' },
+  { min: 40, color: '#fd9500', desc: 'Moderate' },
+  { min: 45, color: '#fd0000', desc: 'Moderate' },
+  { min: 50, color: '#d40000', desc: 'Heavy' },
+  { min: 55, color: '#bc0000', desc: 'Heavy' },
+  { min: 60, color: '#f800fd', desc: 'Very Heavy' },
+  { min: 65, color: '#9854c6', desc: 'Severe' },
+];
+
+const PRECIP_RATE_SCALE = [
+  { min: 0.1, color: '#04e9e7', desc: 'Trace' },
+  { min: 1, color: '#019ff4', desc: 'Light' },
+  { min: 2.5, color: '#02fd02', desc: 'Light' },
+  { min: 5, color: '#008e00', desc: 'Moderate' },
+  { min: 10, color: '#fdf802', desc: 'Moderate' },
+  { min: 25, color: '#fd9500', desc: 'Heavy' },
+  { min: 50, color: '#fd0000', desc: 'Very Heavy' },
+  { min: 100, color: '#f800fd', desc: 'Extreme' },
+];
+
+const ACCUMULATION_SCALE = [
+  { min: 0.25, color: '#04e9e7', desc: 'Trace' },
+  { min: 2.5, color: '#019ff4', desc: 'Light' },
+  { min: 6, color: '#02fd02', desc: 'Light' },
+  { min: 12, color: '#008e00', desc: 'Moderate' },
+  { min: 25, color: '#fdf802', desc: 'Moderate' },
+  { min: 50, color: '#fd9500', desc: 'Heavy' },
+  { min: 75, color: '#fd0000', desc: 'Very Heavy' },
+  { min: 100, color: '#f800fd', desc: 'Extreme' },
+];
+
+const HAIL_SCALE = [
+  { min: 1, color: '#02fd02', desc: 'Small' },
+  { min: 10, color: '#fdf802', desc: 'Pea' },
+  { min: 19, color: '#fd9500', desc: 'Penny' },
+  { min: 25, color: '#fd0000', desc: 'Severe' },
+  { min: 44, color: '#bc0000', desc: 'Golf ball' },
+  { min: 64, color: '#f800fd', desc: 'Tennis ball' },
+  { min: 76, color: '#9854c6', desc: 'Giant' },
+];
+
+const ROTATION_SCALE = [
+  { min: 0.002, color: '#02fd02', desc: 'Weak' },
+  { min: 0.004, color: '#fdf802', desc: 'Weak' },
+  { min: 0.006, color: '#fd9500', desc: 'Moderate' },
+  { min: 0.008, color: '#fd0000', desc: 'Strong' },
+  { min: 0.01, color: '#bc0000', desc: 'Strong' },
+  { min: 0.015, color: '#f800fd', desc: 'Intense' },
+];
+
+const ECHO_TOP_SCALE = [
+  { min: 1, color: '#019ff4', desc: 'Shallow' },
+  { min: 3, color: '#02fd02', desc: 'Shallow' },
+  { min: 6, color: '#008e00', desc: 'Moderate' },
+  { min: 9, color: '#fdf802', desc: 'Moderate' },
+  { min: 12, color: '#fd9500', desc: 'Deep' },
+  { min: 15, color: '#fd0000', desc: 'Deep' },
+  { min: 18, color: '#f800fd', desc: 'Very Deep' },
+];
+
+const VIL_SCALE = [
+  { min: 1, color: '#019ff4', desc: 'Light' },
+  { min: 5, color: '#02fd02', desc: 'Light' },
+  { min: 10, color: '#008e00', desc: 'Moderate' },
+  { min: 20, color: '#fdf802', desc: 'Moderate' },
+  { min: 35, color: '#fd9500', desc: 'Heavy' },
+  { min: 50, color: '#fd0000', desc: 'Severe' },
+  { min: 70, color: '#f800fd', desc: 'Extreme' },
+];
+
+/**
+ * Catalog entries keyed by product id. The id is also the MRMS directory
+ * name under 2D/. parameter is the product's category and number in the MRMS
+ * GRIB2 table, which supplies its valid range. Points at or below
+ * displayThreshold are not sent to the map.
+ * quantization maps values to the 8-bit codes of the binary grid transport:
+ * value = offset + code * scale for codes 1-254.
+ */
+const PRODUCTS = {
+  ReflectivityAtLowestAltitude: {
+    name: 'Reflectivity at Lowest Altitude',
+    units: 'dBZ',
+    parameter: { category: 3, number: 44 },
+    displayThreshold: -30,
+    colorScale: REFLECTIVITY_SCALE,
+    quantization: { scale: 0.5, offset: -32.5 },
+  },
+  MergedReflectivityQCComposite: {
+    name: 'Composite Reflectivity',
+    units: 'dBZ',
+    parameter: { category: 10, number: 0 },
+    displayThreshold: -30,
+    colorScale: REFLECTIVITY_SCALE,
+    quantization: { scale: 0.5, offset: -32.5 },
+  },
+  MergedBaseReflectivityQC: {
+    name: 'Base Reflectivity',
+    units: 'dBZ',
+    parameter: { category: 10, number: 9 },
+    displayThreshold: -30,
+    colorScale: REFLECTIVITY_SCALE,
+    quantization: { scale: 0.5, offset: -32.5 },
+  },
+  PrecipRate: {
+    name: 'Precipitation Rate',
+    units: 'mm/h',
+    parameter: { category: 6, number: 1 },
+    displayThreshold: 0,
+    colorScale: PRECIP_RATE_SCALE,
+    quantization: { scale: 0.5, offset: 0 },
+  },
+  RadarOnly_QPE_01H: {
+    name: '1-Hour Radar Precipitation',
+    units: 'mm',
+    parameter: { category: 6, number: 2 },
+    displayThreshold: 0,
+    colorScale: ACCUMULATION_SCALE,
+    quantization: { scale: 1, offset: 0 },
+  },
+  MESH: {
+    name: 'Maximum Estimated Size of Hail',
+    units: 'mm',
+    parameter: { category: 3, number: 28 },
+    displayThreshold: 0,
+    colorScale: HAIL_SCALE,
+    quantization: { scale: 0.5, offset: 0 },
+  },
+  RotationTrack30min: {
+    name: '30-Minute Rotation Track',
+    units: 's⁻¹',
+    parameter: { category: 3, number: 2 },
+    displayThreshold: 0.001,
+    colorScale: ROTATION_SCALE,
+    quantization: { scale: 0.0002, offset: 0 },
+  },
+  RotationTrack60min: {
+    name: '60-Minute Rotation Track',
+    units: 's⁻¹',
+    parameter: { category: 3, number: 3 },
+    displayThreshold: 0.001,
+    colorScale: ROTATION_SCALE,
+    quantization: { scale: 0.0002, offset: 0 },
+  },
+  EchoTop_18: {
+    name: '18 dBZ Echo Top',
+    units: 'km',
+    parameter: { category: 3, number: 38 },
+    displayThreshold: 0,
+    colorScale: ECHO_TOP_SCALE,
+    quantization: { scale: 0.1, offset: 0 },
+  },
+  EchoTop_50: {
+    name: '50 dBZ Echo Top',
+    units: 'km',
+    parameter: { category: 3, number: 40 },
+    displayThreshold: 0,
+    colorScale: ECHO_TOP_SCALE,
+    quantization: { scale: 0.1, offset: 0 },
+  },
+  VIL: {
+    name: 'Vertically Integrated Liquid',
+    units: 'kg/m²',
+    parameter: { category: 3, number: 35 },
+    displayThreshold: 0,
+    colorScale: VIL_SCALE,
+    quantization: { scale: 0.5, offset: 0 },
+  },
+};
+
+for (const [id, { parameter }] of Object.entries(PRODUCTS)) {
+  if (!parameterInfo(MRMS_DISCIPLINE, parameter.category, parameter.number).validRange) {
+    throw new Error(`${id}: GRIB2 parameter ${MRMS_DISCIPLINE}.${parameter.category}.${parameter.number} is not in grib2Tables.js`);
+  }
+}
+
+export const DEFAULT_PRODUCT = 'ReflectivityAtLowestAltitude';
+
+/**
+ * Looks up a cataloged product
+ * @param {string} id - Product id, e.g. "PrecipRate"
+ * @returns {Object|null} Product with id and directory, or null if unknown
+ */
+export function getProduct(id) {
+  if (!Object.prototype.hasOwnProperty.call(PRODUCTS, id)) {
+    return null;
+  }
+  const { parameter, ...product } = PRODUCTS[id];
+  const { validRange } = parameterInfo(MRMS_DISCIPLINE, parameter.category, parameter.number);
+  return { id, directory: `2D/${id}/`, ...product, validRange };
+}
+
+/**
+ * @returns {Array<Object>} Every cataloged product, in catalog order
+ */
+export function listProducts() {
+  return Object.keys(PRODUCTS).map(getProduct);
+}
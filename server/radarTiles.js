@@ -0,0 +1,158 @@
+/**
+ * Radar Raster Tiles
+ *
+ * Renders decoded grids into 256x256 Web Mercator (XYZ) PNG tiles. Each tile
+ * pixel takes the value of the nearest grid cell, coloured with the
+ * product's catalog colour scale; missing data, areas without coverage and
+ * values at or below the product's display threshold stay transparent.
+ * Rendered tiles are cached per frame.
+ */
+
+import { PNG } from "pngjs";
+
+export const TILE_SIZE = 256;
+export const MAX_ZOOM = 16;
+
+/**
+ * Creates a tile service
+ * @param {Object} options
+ * @param {Object} options.gridStore - Store from createGridStore()
+ * @param {number} [options.maxTiles=2000] - Rendered tiles kept in memory
+ * @returns {Object} Service with getTile()
+ */
+export function createTileService({ gridStore, maxTiles = 2000 }) {
+  // key -> Promise<Buffer|null>, least recently used first
+  const tiles = new Map();
+  const palettes = new Map();
+  const emptyTile = encodeTile(new Uint8Array(TILE_SIZE * TILE_SIZE * 4));
+
+  /**
+   * @param {Object} product - Catalog entry from getProduct()
+   * @param {string} frameName - Frame name from the archive
+   * @param {number} z - Zoom level
+   * @param {number} x - Tile column
+   * @param {number} y - Tile row
+   * @returns {Promise<Buffer|null>} PNG bytes, or null when the frame has no archived grid
+   */
+  function getTile(product, frameName, z, x, y) {
+    const key = `${product.id}/${frameName}/${z}/${x}/${y}`;
+    if (tiles.has(key)) {
+      const cached = tiles.get(key);
+      tiles.delete(key);
+      tiles.set(key, cached);
+      return cached;
+    }
+
+    const rendering = gridStore.load(product.id, frameName).then((grid) => {
+      if (!grid) return null;
+      const rgba = renderTile(grid, paletteFor(product), product.displayThreshold, z, x, y);
+      return rgba ? encodeTile(rgba) : emptyTile;
+    });
+    tiles.set(key, rendering);
+    rendering.catch(() => tiles.delete(key));
+    while (tiles.size > maxTiles) {
+      tiles.delete(tiles.keys().next().value);
+    }
+    return rendering;
+  }
+
+  function paletteFor(product) {
+    if (!palettes.has(product.id)) {
+      palettes.set(product.id, createPalette(product.colorScale));
+    }
+    return palettes.get(product.id);
+  }
+
+  return { getTile };
+}
+
+/**
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {boolean} Whether the tile address exists
+ */
+export function isValidTile(z, x, y) {
+  const count = 2 ** z;
+  return Number.isInteger(z) && Number.isInteger(x) && Number.isInteger(y) &&
+    z >= 0 && z <= MAX_ZOOM && x >= 0 && x < count && y >= 0 && y < count;
+}
+
+/**
+ * Converts a catalog colour scale into flat lookup arrays
+ * @param {Array<{min: number, color: string}>} colorScale - Stops, ascending
+ * @returns {{minimums: Float64Array, colors: Uint8Array}} RGBA per stop
+ */
+function createPalette(colorScale) {
+  const minimums = new Float64Array(colorScale.length);
+  const colors = new Uint8Array(colorScale.length * 4);
+  colorScale.forEach((stop, index) => {
+    minimums[index] = stop.min;
+    const hex = parseInt(stop.color.slice(1), 16);
+    colors.set([(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff, 255], index * 4);
+  });
+  return { minimums, colors };
+}
+
+/**
+ * Paints one tile
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} palette - Palette from createPalette()
+ * @param {number} threshold - Values at or below this stay transparent
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Uint8Array|null} RGBA pixels, or null when nothing was painted
+ */
+function renderTile(grid, palette, threshold, z, x, y) {
+  const count = 2 ** z;
+  const west = (x / count) * 360 - 180;
+  const east = ((x + 1) / count) * 360 - 180;
+  const north = tileLatitude(y / count);
+  const south = tileLatitude((y + 1) / count);
+  const { bounds } = grid;
+  if (south > bounds.north || north < bounds.south || west > bounds.east || east < bounds.west) {
+    return null;
+  }
+
+  const { values, locator } = grid;
+  const { minimums, colors } = palette;
+  const rgba = new Uint8Array(TILE_SIZE * TILE_SIZE * 4);
+  let painted = false;
+
+  for (let py = 0; py < TILE_SIZE; py++) {
+    const lat = tileLatitude((y + (py + 0.5) / TILE_SIZE) / count);
+    if (lat > bounds.north || lat < bounds.south) continue;
+
+    for (let px = 0; px < TILE_SIZE; px++) {
+      const lon = ((x + (px + 0.5) / TILE_SIZE) / count) * 360 - 180;
+      const index = locator.nearestIndex(lat, lon);
+      if (index < 0) continue;
+
+      // Missing and no-coverage cells decode to NaN, which fails this test too
+      const value = values[index];
+      if (!(value > threshold)) continue;
+
+      let stop = 0;
+      while (stop + 1 < minimums.length && value >= minimums[stop + 1]) stop++;
+      rgba.set(colors.subarray(stop * 4, stop * 4 + 4), (py * TILE_SIZE + px) * 4);
+      painted = true;
+    }
+  }
+
+  return painted ? rgba : null;
+}
+
+/**
+ * @param {number} fraction - Distance from the top of the Mercator square, 0..1
+ * @returns {number} Latitude in degrees
+ */
+function tileLatitude(fraction) {
+  return Math.atan(Math.sinh(Math.PI * (1 - 2 * fraction))) * (180 / Math.PI);
+}
+
+function encodeTile(rgba) {
+  const png = new PNG({ width: TILE_SIZE, height: TILE_SIZE });
+  png.data = Buffer.from(rgba.buffer, rgba.byteOffset, rgba.byteLength);
+  return PNG.sync.write(png, { colorType: 6 });
+}
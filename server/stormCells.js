@@ -0,0 +1,288 @@
+/**
+ * Storm Cell Identification
+ *
+ * Finds convective cells in a decoded reflectivity grid the way SCIT does:
+ * connected regions (8-connected) at or above the lowest threshold are
+ * searched for regions at or above the next threshold, and so on. A region
+ * with no sub-region above the next threshold is a cell; a region that
+ * contains several becomes several cells, so neighbouring cores inside one
+ * large echo stay apart. Regions smaller than the minimum area are ignored.
+ *
+ * Cells are returned as GeoJSON features. The geometry is the convex hull
+ * of the cell's grid cells; the centroid is weighted by linear reflectivity
+ * (Z = 10^(dBZ/10)), so it sits on the core rather than the middle of the
+ * outline.
+ */
+
+export const DEFAULT_THRESHOLDS = [30, 40, 50];
+export const DEFAULT_MIN_AREA_KM2 = 10;
+const MAX_THRESHOLDS = 7;
+const KM_PER_DEGREE = (Math.PI / 180) * 6371.0088;
+const NEIGHBOURS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+const EDGE_NEIGHBOURS = [[0, -1], [-1, 0], [1, 0], [0, 1]];
+
+/**
+ * Reads cell detection parameters from a query string
+ * @param {Object} query - Express req.query
+ * @returns {{options?: Object, error?: string}} Options: {thresholds,
+ *   minAreaKm2}; or the reason the parameters are invalid
+ */
+export function parseCellQuery(query) {
+  let thresholds = DEFAULT_THRESHOLDS;
+  if (query.thresholds !== undefined) {
+    thresholds = String(query.thresholds).split(",").map(Number);
+    if (thresholds.length > MAX_THRESHOLDS || !thresholds.every(Number.isFinite)) {
+      return { error: `thresholds must be up to ${MAX_THRESHOLDS} comma-separated dBZ values` };
+    }
+    thresholds = [...new Set(thresholds)].sort((a, b) => a - b);
+  }
+
+  let minAreaKm2 = DEFAULT_MIN_AREA_KM2;
+  if (query.minAreaKm2 !== undefined) {
+    minAreaKm2 = Number(query.minAreaKm2);
+    if (!(minAreaKm2 >= 0 && Number.isFinite(minAreaKm2))) {
+      return { error: "minAreaKm2 must be a number of square kilometres, 0 or more" };
+    }
+  }
+
+  return { options: { thresholds, minAreaKm2 } };
+}
+
+/**
+ * Creates a storm cell service
+ * @param {Object} options
+ * @param {Object} options.gridStore - Store from createGridStore()
+ * @param {number} [options.maxResults=16] - Detection results kept in memory
+ * @returns {Object} Service with getCells()
+ */
+export function createStormCellService({ gridStore, maxResults = 16 }) {
+  // key -> Promise<FeatureCollection|null>, least recently used first
+  const results = new Map();
+
+  /**
+   * @param {Object} product - Catalog entry from getProduct()
+   * @param {string} frameName - Frame name from the archive
+   * @param {Object} options - Options from parseCellQuery()
+   * @returns {Promise<Object|null>} GeoJSON FeatureCollection, or null when
+   *   the frame has no archived grid
+   */
+  function getCells(product, frameName, { thresholds, minAreaKm2 }) {
+    const key = `${product.id}/${frameName}/${thresholds.join(",")}/${minAreaKm2}`;
+    if (results.has(key)) {
+      const cached = results.get(key);
+      results.delete(key);
+      results.set(key, cached);
+      return cached;
+    }
+
+    const detection = gridStore.load(product.id, frameName).then((grid) => {
+      if (!grid) return null;
+      const cells = detectCells(grid, thresholds, minAreaKm2);
+      return {
+        type: "FeatureCollection",
+        product: product.id,
+        time: grid.validTime,
+        thresholds,
+        minAreaKm2,
+        features: cells.map((cell, index) => toFeature(cell, `cell-${index + 1}`)),
+      };
+    });
+    results.set(key, detection);
+    detection.catch(() => results.delete(key));
+    while (results.size > maxResults) {
+      results.delete(results.keys().next().value);
+    }
+    return detection;
+  }
+
+  return { getCells };
+}
+
+/**
+ * Runs the nested threshold search over a whole grid
+ * @param {Object} grid - Grid from the grid store
+ * @param {Array<number>} thresholds - dBZ thresholds, ascending
+ * @param {number} minAreaKm2 - Smallest region considered
+ * @returns {Array<Object>} Cells, strongest first
+ */
+function detectCells(grid, thresholds, minAreaKm2) {
+  const { values, locator } = grid;
+  const { nx, ny } = grid.gridDefinition;
+  const cellArea = createAreaFunction(grid);
+  // Deepest threshold level (1-based) each grid cell has been filled at
+  const filled = new Uint8Array(nx * ny);
+  const cells = [];
+
+  /**
+   * Collects the connected region around a seed, marking it as filled
+   * @param {number} seed - Grid index at or above the threshold
+   * @param {number} level - Index into thresholds
+   * @returns {{members: Array<number>, areaKm2: number, level: number}}
+   */
+  function fill(seed, level) {
+    const threshold = thresholds[level];
+    const members = [];
+    const stack = [seed];
+    let areaKm2 = 0;
+    filled[seed] = level + 1;
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      members.push(index);
+      areaKm2 += cellArea(index);
+
+      const { i, j } = locator.gridPosition(index);
+      for (const [di, dj] of NEIGHBOURS) {
+        const neighbour = locator.indexAt(i + di, j + dj);
+        if (neighbour >= 0 && filled[neighbour] <= level && values[neighbour] >= threshold) {
+          filled[neighbour] = level + 1;
+          stack.push(neighbour);
+        }
+      }
+    }
+
+    return { members, areaKm2, level };
+  }
+
+  function split(region) {
+    const children = [];
+    const next = region.level + 1;
+    if (next < thresholds.length) {
+      for (const index of region.members) {
+        if (filled[index] <= next && values[index] >= thresholds[next]) {
+          const child = fill(index, next);
+          if (child.areaKm2 >= minAreaKm2) children.push(child);
+        }
+      }
+    }
+
+    if (children.length === 0) {
+      cells.push(describeCell(grid, region, thresholds[region.level], cellArea));
+    } else {
+      children.forEach(split);
+    }
+  }
+
+  for (let index = 0; index < values.length; index++) {
+    if (filled[index] === 0 && values[index] >= thresholds[0]) {
+      const region = fill(index, 0);
+      if (region.areaKm2 >= minAreaKm2) split(region);
+    }
+  }
+
+  return cells.sort((a, b) => b.maxDbz - a.maxDbz);
+}
+
+/**
+ * Summarises one region
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} region - Region from fill()
+ * @param {number} threshold - Threshold the region was found at
+ * @param {Function} cellArea - Area of a grid cell by index
+ * @returns {Object} Cell
+ */
+function describeCell(grid, region, threshold, cellArea) {
+  const { values, locator } = grid;
+  let weightSum = 0;
+  let latSum = 0;
+  let lonSum = 0;
+  let valueSum = 0;
+  let maxDbz = -Infinity;
+  const corners = [];
+
+  for (const index of region.members) {
+    const value = values[index];
+    const { lat, lon } = locator.locate(index);
+    const weight = 10 ** (value / 10) * cellArea(index);
+    weightSum += weight;
+    latSum += lat * weight;
+    lonSum += lon * weight;
+    valueSum += value;
+    maxDbz = Math.max(maxDbz, value);
+
+    // Only cells on the region's edge can contribute to the hull
+    const { i, j } = locator.gridPosition(index);
+    const onEdge = EDGE_NEIGHBOURS.some(([di, dj]) => {
+      const neighbour = locator.indexAt(i + di, j + dj);
+      return neighbour < 0 || !(values[neighbour] >= threshold);
+    });
+    if (onEdge) {
+      for (const [di, dj] of [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]]) {
+        const corner = locator.geoPosition(i + di, j + dj);
+        corners.push([corner.lon, corner.lat]);
+      }
+    }
+  }
+
+  return {
+    threshold,
+    centroid: { lat: latSum / weightSum, lon: lonSum / weightSum },
+    areaKm2: region.areaKm2,
+    maxDbz,
+    meanDbz: valueSum / region.members.length,
+    gridCells: region.members.length,
+    outline: convexHull(corners),
+  };
+}
+
+/**
+ * @param {Object} cell - Cell from describeCell()
+ * @param {string} id - Feature id
+ * @returns {Object} GeoJSON Feature
+ */
+function toFeature(cell, id) {
+  const round = (value, digits) => Number(value.toFixed(digits));
+  const ring = cell.outline.map(([lon, lat]) => [round(lon, 4), round(lat, 4)]);
+  return {
+    type: "Feature",
+    id,
+    geometry: { type: "Polygon", coordinates: [[...ring, ring[0]]] },
+    properties: {
+      id,
+      threshold: cell.threshold,
+      centroid: { lat: round(cell.centroid.lat, 4), lon: round(cell.centroid.lon, 4) },
+      areaKm2: round(cell.areaKm2, 1),
+      maxDbz: round(cell.maxDbz, 1),
+      meanDbz: round(cell.meanDbz, 1),
+      gridCells: cell.gridCells,
+    },
+  };
+}
+
+/**
+ * Area of each grid cell. Lat/lon cells shrink towards the poles; projected
+ * cells are taken at their nominal size.
+ * @param {Object} grid - Grid from the grid store
+ * @returns {Function} (index) => square kilometres
+ */
+function createAreaFunction(grid) {
+  const { gridDefinition, locator } = grid;
+  if (gridDefinition.template === 0 || gridDefinition.template === 1) {
+    const nominal = (gridDefinition.dx / 1e6) * (gridDefinition.dy / 1e6) * KM_PER_DEGREE ** 2;
+    return (index) => nominal * Math.cos((locator.locate(index).lat * Math.PI) / 180);
+  }
+  // Projected increments are in millimetres
+  const nominal = (gridDefinition.dx / 1e6) * (gridDefinition.dy / 1e6);
+  return () => nominal;
+}
+
+/**
+ * Convex hull with Andrew's monotone chain
+ * @param {Array<[number, number]>} points - [lon, lat] pairs
+ * @returns {Array<[number, number]>} Hull vertices, counter-clockwise, not closed
+ */
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const point of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  }
+  const upper = [];
+  for (const point of sorted.reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+    upper.push(point);
+  }
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
@@ -0,0 +1,278 @@
+/**
+ * Viewport Sampling
+ *
+ * Builds /api/radar point lists for the part of a frame a map is showing.
+ * The decoded grid is cropped to the requested bounding box and sampled
+ * every `stride` cells, where the stride follows from the requested zoom
+ * level or resolution instead of the fixed stride of the archived frame.
+ * Strides are raised as far as needed to keep a response under the cell
+ * budget, and samples stay aligned to multiples of the stride so panning
+ * does not shift the points. The response has the archived frame's shape,
+ * with the stride used and the applied filters added to its metadata.
+ */
+
+import { MAX_ZOOM, TILE_SIZE } from "./radarTiles.js";
+import { MAX_STRIDE, isValidStride } from "./gridTransport.js";
+
+// Grid cells examined per response, before value filtering
+export const MAX_SAMPLED_CELLS = 250000;
+// Screen pixels between neighbouring points at the requested zoom
+const POINT_SPACING_PX = 6;
+// Coverage shading is sent this many times coarser than the points
+const COVERAGE_STRIDE_FACTOR = 8;
+// Points sampled along each edge of the box when locating it on the grid
+const EDGE_SAMPLES = 16;
+
+/**
+ * Reads viewport parameters from a query string
+ * @param {Object} query - Express req.query
+ * @returns {{viewport?: Object, error?: string}} Viewport: {bbox, zoom,
+ *   resolution, minValue, stride}, each null when absent; or the reason
+ *   the parameters are invalid
+ */
+export function parseViewport(query) {
+  const viewport = { bbox: null, zoom: null, resolution: null, minValue: null, stride: null };
+
+  if (query.bbox !== undefined) {
+    const parts = String(query.bbox).split(",").map(Number);
+    const [west, south, east, north] = parts;
+    if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+      return { error: "bbox must be west,south,east,north in degrees" };
+    }
+    if (west >= east || south >= north || west < -180 || east > 180 || south < -90 || north > 90) {
+      return { error: "bbox must satisfy -180 <= west < east <= 180 and -90 <= south < north <= 90" };
+    }
+    viewport.bbox = { west, south, east, north };
+  }
+
+  if (query.zoom !== undefined) {
+    viewport.zoom = Number(query.zoom);
+    if (!(viewport.zoom >= 0 && viewport.zoom <= MAX_ZOOM)) {
+      return { error: `zoom must be a number from 0 to ${MAX_ZOOM}` };
+    }
+  }
+
+  if (query.resolution !== undefined) {
+    viewport.resolution = Number(query.resolution);
+    if (!(viewport.resolution > 0 && Number.isFinite(viewport.resolution))) {
+      return { error: "resolution must be a positive number of degrees" };
+    }
+  }
+
+  // minDbz is the reflectivity spelling; minValue works for every product
+  const minimum = query.minValue ?? query.minDbz;
+  if (minimum !== undefined) {
+    viewport.minValue = Number(minimum);
+    if (!Number.isFinite(viewport.minValue)) {
+      return { error: "minDbz and minValue must be numbers" };
+    }
+  }
+
+  if (query.stride !== undefined) {
+    viewport.stride = Number(query.stride);
+    if (!isValidStride(viewport.stride)) {
+      return { error: `stride must be an integer from 1 to ${MAX_STRIDE}` };
+    }
+  }
+
+  return { viewport };
+}
+
+/**
+ * @param {Object} viewport - Viewport from parseViewport()
+ * @returns {boolean} Whether the request narrows the archived frame at all
+ */
+export function isViewportQuery(viewport) {
+  return Object.values(viewport).some((value) => value !== null);
+}
+
+/**
+ * Creates a viewport sampler
+ * @param {Object} options
+ * @param {Object} options.gridStore - Store from createGridStore()
+ * @param {number} [options.maxEnvelopes=8] - Parsed frame metadata kept in memory
+ * @returns {Object} Sampler with sample()
+ */
+export function createViewportSampler({ gridStore, maxEnvelopes = 8 }) {
+  // key -> frame response without its points, least recently used first
+  const envelopes = new Map();
+
+  /**
+   * @param {Object} product - Catalog entry from getProduct()
+   * @param {Object} frame - Frame from the frame archive
+   * @param {Object} viewport - Viewport from parseViewport()
+   * @returns {Promise<Object|null>} Response body, or null when the frame
+   *   has no archived grid
+   */
+  async function sample(product, frame, viewport) {
+    const grid = await gridStore.load(product.id, frame.name);
+    if (!grid) return null;
+
+    const { points, noCoverage, stride, coverageStride } = samplePoints(grid, product, viewport);
+    const envelope = envelopeFor(frame);
+    return {
+      ...envelope,
+      data: {
+        ...envelope.data,
+        points,
+        noCoverage,
+        metadata: {
+          ...envelope.data.metadata,
+          stride,
+          coverageSampleRate: coverageStride,
+          bbox: viewport.bbox,
+          minValue: viewport.minValue,
+        },
+      },
+    };
+  }
+
+  function envelopeFor(frame) {
+    const key = `${frame.productId}/${frame.name}`;
+    if (!envelopes.has(key)) {
+      const response = JSON.parse(frame.body);
+      envelopes.set(key, { ...response, data: { ...response.data, points: [], noCoverage: [] } });
+      while (envelopes.size > maxEnvelopes) {
+        envelopes.delete(envelopes.keys().next().value);
+      }
+    }
+    return envelopes.get(key);
+  }
+
+  return { sample };
+}
+
+/**
+ * Samples the points of a grid inside a viewport
+ * @param {Object} grid - Grid from the grid store, or of the same shape
+ * @param {Object} product - Catalog entry from getProduct()
+ * @param {Object} viewport - Viewport from parseViewport()
+ * @returns {{points: Array, noCoverage: Array, stride: number, coverageStride: number}}
+ */
+export function samplePoints(grid, product, viewport) {
+  const region = cropRegion(grid, viewport.bbox);
+  const stride = chooseStride(grid, region, viewport);
+  const coverageStride = stride * COVERAGE_STRIDE_FACTOR;
+  const minValue = viewport.minValue ?? -Infinity;
+  const points = [];
+  const noCoverage = [];
+
+  if (region) {
+    // Missing points are NaN, which fails these tests too
+    const shown = (index) => grid.values[index] > product.displayThreshold && grid.values[index] >= minValue;
+    forEachCell(grid, region, viewport.bbox, stride, shown, (index, location) => {
+      points.push({ ...location, value: Math.round(grid.values[index] * 10) / 10 });
+    });
+    const uncovered = (index) => grid.coverage[index] === 0;
+    forEachCell(grid, region, viewport.bbox, coverageStride, uncovered, (index, location) => {
+      noCoverage.push(location);
+    });
+  }
+
+  return { points, noCoverage, stride, coverageStride };
+}
+
+/**
+ * Range of grid columns and rows that can fall inside a bounding box
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object|null} bbox - {west, south, east, north}, or null for the whole grid
+ * @returns {{iMin: number, iMax: number, jMin: number, jMax: number}|null}
+ *   Inclusive range, or null when the box misses the grid
+ */
+export function cropRegion(grid, bbox) {
+  const { nx, ny } = grid.gridDefinition;
+  if (!bbox) {
+    return { iMin: 0, iMax: nx - 1, jMin: 0, jMax: ny - 1 };
+  }
+  const { bounds } = grid;
+  if (bbox.south > bounds.north || bbox.north < bounds.south || bbox.west > bounds.east || bbox.east < bounds.west) {
+    return null;
+  }
+
+  // Projected grids are not aligned with latitude and longitude, so the
+  // range covers the grid positions of points all along the box's edges
+  let iMin = Infinity;
+  let iMax = -Infinity;
+  let jMin = Infinity;
+  let jMax = -Infinity;
+  for (let step = 0; step <= EDGE_SAMPLES; step++) {
+    const lat = bbox.south + ((bbox.north - bbox.south) * step) / EDGE_SAMPLES;
+    const lon = bbox.west + ((bbox.east - bbox.west) * step) / EDGE_SAMPLES;
+    for (const [pointLat, pointLon] of [[lat, bbox.west], [lat, bbox.east], [bbox.south, lon], [bbox.north, lon]]) {
+      const { i, j } = grid.locator.gridCoordinates(pointLat, pointLon);
+      if (!Number.isFinite(i) || !Number.isFinite(j)) continue;
+      iMin = Math.min(iMin, i);
+      iMax = Math.max(iMax, i);
+      jMin = Math.min(jMin, j);
+      jMax = Math.max(jMax, j);
+    }
+  }
+
+  const region = {
+    iMin: Math.max(0, Math.floor(iMin)),
+    iMax: Math.min(nx - 1, Math.ceil(iMax)),
+    jMin: Math.max(0, Math.floor(jMin)),
+    jMax: Math.min(ny - 1, Math.ceil(jMax)),
+  };
+  return region.iMin <= region.iMax && region.jMin <= region.jMax ? region : null;
+}
+
+/**
+ * Picks the sampling stride: an explicit stride, else the one matching the
+ * requested resolution or zoom, else 1; then raised to fit the cell budget
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object|null} region - Range from cropRegion()
+ * @param {Object} viewport - Viewport from parseViewport()
+ * @returns {number} Stride in grid cells
+ */
+export function chooseStride(grid, region, viewport) {
+  const { bounds, gridDefinition } = grid;
+  const cellDegrees = (bounds.north - bounds.south) / Math.max(1, gridDefinition.ny - 1);
+  let stride = 1;
+  if (viewport.stride !== null) {
+    stride = viewport.stride;
+  } else if (viewport.resolution !== null) {
+    stride = Math.floor(viewport.resolution / cellDegrees);
+  } else if (viewport.zoom !== null) {
+    const pixelDegrees = 360 / (TILE_SIZE * 2 ** viewport.zoom);
+    stride = Math.floor((pixelDegrees * POINT_SPACING_PX) / cellDegrees);
+  }
+  stride = Math.max(1, stride);
+
+  if (region) {
+    const columns = region.iMax - region.iMin + 1;
+    const rows = region.jMax - region.jMin + 1;
+    while (Math.ceil(columns / stride) * Math.ceil(rows / stride) > MAX_SAMPLED_CELLS) {
+      stride++;
+    }
+  }
+  return stride;
+}
+
+/**
+ * Visits every stride-th cell of a region that passes a test and lies inside
+ * the box. The test runs first, so only matching cells are located.
+ * @param {Object} grid - Grid from the grid store
+ * @param {Object} region - Range from cropRegion()
+ * @param {Object|null} bbox - Box the cells must fall in, or null
+ * @param {number} stride - Cells between samples
+ * @param {Function} include - Called with (index), returns whether to visit
+ * @param {Function} visit - Called with (index, {lat, lon})
+ */
+export function forEachCell(grid, region, bbox, stride, include, visit) {
+  const { locator } = grid;
+  const first = (start) => Math.ceil(start / stride) * stride;
+
+  for (let j = first(region.jMin); j <= region.jMax; j += stride) {
+    for (let i = first(region.iMin); i <= region.iMax; i += stride) {
+      const index = locator.indexAt(i, j);
+      if (!include(index)) continue;
+      const location = locator.locate(index);
+      if (bbox && (location.lat < bbox.south || location.lat > bbox.north ||
+        location.lon < bbox.west || location.lon > bbox.east)) {
+        continue;
+      }
+      visit(index, location);
+    }
+  }
+}
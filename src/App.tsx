@@ -1,7 +1,9 @@
-import { useState, useEffect } from "react";
-import { MapContainer, TileLayer, CircleMarker, Popup } from "react-leaflet";
+import { useState, useEffect, useRef, useCallback } from "react";
+import { MapContainer, TileLayer, CircleMarker, Polygon, Polyline, Popup, useMapEvents } from "react-leaflet";
+import type { Map as LeafletMap } from "leaflet";
 import "leaflet/dist/leaflet.css";
 import "./App.css";
+import { fetchRadarGrid, sampleRadarGrid, type RadarGrid } from "./radarGrid";
 
 interface RadarPoint {
   lat: number;
@@ -9,36 +11,271 @@ interface RadarPoint {
   value: number;
 }
 
+interface CoveragePoint {
+  lat: number;
+  lon: number;
+}
+
 interface RadarData {
   timestamp: string;
   data: {
     points: RadarPoint[];
+    noCoverage?: CoveragePoint[];
     metadata: {
       timestamp: string;
+      validTime?: string | null;
       note?: string;
       dataSource?: string;
+      product?: {
+        id?: string;
+        name: string | null;
+        units: string | null;
+      };
+      statistics?: {
+        totalPoints: number;
+        valid: number;
+        missing: number;
+        noCoverage: number;
+        min: number | null;
+        max: number | null;
+        mean: number | null;
+      };
     };
   };
 }
 
+interface ColorStop {
+  min: number;
+  color: string;
+  desc: string;
+}
+
+interface Product {
+  id: string;
+  name: string;
+  units: string;
+  validRange: { min: number; max: number };
+  colorScale: ColorStop[];
+}
+
+const NO_COVERAGE_COLOR = "#94a3b8";
+const DEFAULT_PRODUCT_ID = "ReflectivityAtLowestAltitude";
+// Every second source cell keeps a CONUS grid at a few MB once decoded
+const GRID_STRIDE = 2;
+// Polling interval while the event stream is unavailable
+const POLL_INTERVAL_MS = 5 * 60 * 1000;
+// Wait before reopening a stream the server refused
+const STREAM_RETRY_MS = 60 * 1000;
+
+// NWS reflectivity color scale, used until the product catalog has loaded
+const REFLECTIVITY_SCALE: ColorStop[] = [
+  { min: -30, color: "#04e9e7", desc: "Minimal" },
+  { min: 5, color: "#019ff4", desc: "Minimal" },
+  { min: 10, color: "#0300f4", desc: "Trace" },
+  { min: 15, color: "#02fd02", desc: "Trace" },
+  { min: 20, color: "#01c501", desc: "Very Light" },
+  { min: 25, color: "#008e00", desc: "Very Light" },
+  { min: 30, color: "#fdf802", desc: "Light" },
+  { min: 35, color: "#e5bc00", desc: "Light" },
+  { min: 40, color: "#fd9500", desc: "Moderate" },
+  { min: 45, color: "#fd0000", desc: "Moderate" },
+  { min: 50, color: "#d40000", desc: "Heavy" },
+  { min: 55, color: "#bc0000", desc: "Heavy" },
+  { min: 60, color: "#f800fd", desc: "Very Heavy" },
+  { min: 65, color: "#9854c6", desc: "Severe" },
+];
+
+// Query string describing the visible area, e.g. "bbox=-100.5,35.2,-90.1,40.8&zoom=6"
+function viewportQuery(map: LeafletMap): string {
+  const bounds = map.getBounds();
+  const clamp = (value: number, limit: number) => Math.min(limit, Math.max(-limit, value)).toFixed(2);
+  const bbox = [
+    clamp(bounds.getWest(), 180),
+    clamp(bounds.getSouth(), 90),
+    clamp(bounds.getEast(), 180),
+    clamp(bounds.getNorth(), 90),
+  ].join(",");
+  return `bbox=${bbox}&zoom=${map.getZoom()}`;
+}
+
+// Reports the visible area once the map is ready and after every pan or zoom
+function ViewportTracker({ onChange }: { onChange: (query: string) => void }) {
+  const map = useMapEvents({
+    moveend: () => onChange(viewportQuery(map)),
+  });
+  useEffect(() => {
+    onChange(viewportQuery(map));
+  }, [map, onChange]);
+  return null;
+}
+
+interface StormCell {
+  id: string;
+  geometry: { type: "Polygon"; coordinates: [number, number][][] };
+  properties: {
+    threshold: number;
+    centroid: { lat: number; lon: number };
+    areaKm2: number;
+    maxDbz: number;
+    meanDbz: number;
+  };
+}
+
+interface PointValue {
+  value: number | null;
+  coverage: boolean;
+  neighborhoodMax?: number | null;
+}
+
+const POINT_RADIUS_KM = 5;
+
+interface MotionVector {
+  lat: number;
+  lon: number;
+  uKmh: number;
+  vKmh: number;
+  speedKmh: number;
+  directionDeg: number;
+}
+
+interface Nowcast {
+  minutes: number;
+  validTime: string;
+  motion: { vectors: MotionVector[] };
+  data: { points: RadarPoint[] };
+}
+
+const NOWCAST_MINUTES = [15, 30, 60];
+// Faint echoes are left out of the forecast overlay
+const NOWCAST_MIN_DBZ = 20;
+const KM_PER_DEGREE = 111.2;
+
+// Where a motion vector carries its origin after the forecast lead time
+function vectorEnd(vector: MotionVector, minutes: number): [number, number] {
+  const hours = minutes / 60;
+  const lat = vector.lat + (vector.vKmh * hours) / KM_PER_DEGREE;
+  const lon = vector.lon + (vector.uKmh * hours) / (KM_PER_DEGREE * Math.cos((vector.lat * Math.PI) / 180));
+  return [lat, lon];
+}
+
+// Shows the value under a map click: an estimate from the decoded radar grid
+// straight away, then the exact value from /api/point
+function ValuePopup({
+  grid,
+  productId,
+  frameTime,
+  units,
+}: {
+  grid: RadarGrid | null;
+  productId: string;
+  frameTime: string;
+  units: string;
+}) {
+  const [clicked, setClicked] = useState<{ lat: number; lon: number } | null>(null);
+  const [exact, setExact] = useState<PointValue | null>(null);
+  const latestClick = useRef(0);
+
+  useMapEvents({
+    click: (event) => {
+      const lat = event.latlng.lat;
+      const lon = event.latlng.lng;
+      const click = ++latestClick.current;
+      setClicked({ lat, lon });
+      setExact(null);
+
+      const query = new URLSearchParams({
+        product: productId,
+        time: frameTime,
+        lat: lat.toFixed(4),
+        lon: lon.toFixed(4),
+        radiusKm: String(POINT_RADIUS_KM),
+      });
+      fetch(`/api/point?${query}`)
+        .then((response) => (response.ok ? response.json() : null))
+        .then((point) => {
+          if (point && click === latestClick.current) setExact(point);
+        })
+        .catch((pointError) => {
+          console.warn('⚠️ Point query failed:', pointError instanceof Error ? pointError.message : String(pointError));
+        });
+    },
+  });
+
+  if (!clicked) return null;
+  const formatValue = (value: number) => `${Number(value.toPrecision(4))} ${units}`;
+
+  let label = "Loading...";
+  if (exact) {
+    label = !exact.coverage ? "No radar coverage" : exact.value === null ? "No echo" : formatValue(exact.value);
+  } else if (grid) {
+    const sample = sampleRadarGrid(grid, clicked.lat, clicked.lon);
+    label =
+      sample?.kind === "value"
+        ? `≈ ${formatValue(sample.value)}`
+        : sample?.kind === "noEcho"
+          ? "No echo"
+          : "No radar coverage";
+  }
+
+  return (
+    <Popup position={[clicked.lat, clicked.lon]} eventHandlers={{ remove: () => setClicked(null) }}>
+      <div className="py-1">
+        <div className="mb-2 pb-2 border-b border-slate-200 font-bold text-base text-slate-900">
+          {label}
+        </div>
+        <div className="space-y-1.5 text-xs">
+          {exact?.neighborhoodMax != null && (
+            <div className="flex justify-between gap-6">
+              <span className="text-slate-500 font-medium">Max within {POINT_RADIUS_KM} km:</span>
+              <span className="font-semibold text-slate-900">{formatValue(exact.neighborhoodMax)}</span>
+            </div>
+          )}
+          <div className="text-slate-500 font-medium">
+            {clicked.lat.toFixed(3)}°, {clicked.lon.toFixed(3)}°
+          </div>
+        </div>
+      </div>
+    </Popup>
+  );
+}
+
 function App() {
   const [radarData, setRadarData] = useState<RadarData | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [lastUpdate, setLastUpdate] = useState<Date | null>(null);
+  const [products, setProducts] = useState<Product[]>([]);
+  const [productId, setProductId] = useState(DEFAULT_PRODUCT_ID);
+  const [radarGrid, setRadarGrid] = useState<RadarGrid | null>(null);
+  const [stormCells, setStormCells] = useState<StormCell[]>([]);
+  const [nowcastMinutes, setNowcastMinutes] = useState<number | null>(null);
+  const [nowcast, setNowcast] = useState<Nowcast | null>(null);
+  // Only the area on screen is requested, sampled for the current zoom
+  const [mapViewport, setMapViewport] = useState<string | null>(null);
+  const latestRequest = useRef(0);
+  // Whether /api/stream is connected; the map polls only while it is not
+  const [streaming, setStreaming] = useState(false);
+  // Latest fetchRadarData and frame time, for the stream and polling callbacks
+  const refreshRadarData = useRef<() => void>(() => {});
+  const shownFrameTime = useRef<string | null>(null);
 
-  const fetchRadarData = async () => {
+  const fetchRadarData = useCallback(async () => {
+    // Pans and zooms can overlap; only the newest request updates the map
+    const request = ++latestRequest.current;
     try {
       setLoading(true);
       setError(null);
       
       // First try to get REAL MRMS data from the API
       try {
-        const response = await fetch("/api/radar");
+        const query = mapViewport ? `?${mapViewport}` : "";
+        const response = await fetch(`/api/radar/${productId}${query}`);
         if (response.ok) {
           const data = await response.json();
+          if (request !== latestRequest.current) return;
           console.log('✅ Got REAL MRMS data:', {
             points: data.data?.points?.length,
+            stride: data.data?.metadata?.stride,
             dataSource: data.data?.metadata?.dataSource,
             sampleValues: data.data?.points?.slice(0, 5)?.map((p: RadarPoint) => p.value)
           });
@@ -136,6 +373,7 @@ function App() {
         }
       };
       
+      if (request !== latestRequest.current) return;
       setRadarData(testData);
       setLastUpdate(new Date());
       
@@ -145,50 +383,185 @@ function App() {
         err instanceof Error ? err.message : "Failed to fetch radar data"
       );
     } finally {
-      setLoading(false);
+      if (request === latestRequest.current) {
+        setLoading(false);
+      }
     }
-  };
+  }, [productId, mapViewport]);
+
+  useEffect(() => {
+    fetch("/api/products")
+      .then((response) => (response.ok ? response.json() : null))
+      .then((catalog) => {
+        if (catalog) {
+          setProducts(catalog.products);
+        }
+      })
+      .catch((catalogError) => {
+        console.warn('⚠️ Product catalog unavailable:', catalogError instanceof Error ? catalogError.message : String(catalogError));
+      });
+  }, []);
 
   useEffect(() => {
     fetchRadarData();
+  }, [fetchRadarData]);
+
+  // Live frames also come down as a dense binary grid for click-to-inspect values
+  const frameTime = radarData?.data?.metadata?.validTime;
+  const isLiveFrame = radarData?.data?.metadata?.dataSource === "MRMS" && Boolean(frameTime);
+
+  useEffect(() => {
+    refreshRadarData.current = fetchRadarData;
+    shownFrameTime.current = frameTime ?? null;
+  });
+
+  // New frames are announced over Server-Sent Events as MRMS publishes them
+  useEffect(() => {
+    let source: EventSource | null = null;
+    let retryTimer: ReturnType<typeof setTimeout> | undefined;
+    let lastEventId = "";
+
+    const connect = () => {
+      const resume = lastEventId ? `&lastEventId=${lastEventId}` : "";
+      source = new EventSource(`/api/stream?product=${productId}${resume}`);
+      source.onopen = () => setStreaming(true);
+      source.addEventListener("frame", (event) => {
+        lastEventId = event.lastEventId;
+        const frame = JSON.parse(event.data);
+        const shown = shownFrameTime.current;
+        if (frame.product === productId && (!shown || Date.parse(frame.validTime) !== Date.parse(shown))) {
+          console.log('📡 New frame announced:', frame.validTime);
+          refreshRadarData.current();
+        }
+      });
+      source.onerror = () => {
+        setStreaming(false);
+        // EventSource reconnects by itself, with Last-Event-ID, unless the
+        // server answered with an error; then it is reopened later
+        if (source?.readyState === EventSource.CLOSED) {
+          retryTimer = setTimeout(connect, STREAM_RETRY_MS);
+        }
+      };
+    };
 
-    // Auto-refresh every 5 minutes
-    const interval = setInterval(fetchRadarData, 5 * 60 * 1000);
+    connect();
+    return () => {
+      clearTimeout(retryTimer);
+      source?.close();
+      setStreaming(false);
+    };
+  }, [productId]);
 
+  // Fallback polling while the stream is down
+  useEffect(() => {
+    if (streaming) return;
+    const interval = setInterval(() => refreshRadarData.current(), POLL_INTERVAL_MS);
     return () => clearInterval(interval);
-  }, []);
+  }, [streaming]);
 
-  const getColorForReflectivity = (value: number): string => {
+  useEffect(() => {
+    setRadarGrid(null);
+    if (!isLiveFrame || !frameTime) return;
+
+    let cancelled = false;
+    fetchRadarGrid(`/api/radar/${productId}/${encodeURIComponent(frameTime)}?stride=${GRID_STRIDE}`)
+      .then((grid) => {
+        if (!cancelled) setRadarGrid(grid);
+      })
+      .catch((gridError) => {
+        console.warn('⚠️ Radar grid unavailable:', gridError instanceof Error ? gridError.message : String(gridError));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, frameTime, isLiveFrame]);
+
+  const selectedProduct = products.find((product) => product.id === productId);
+  const isReflectivity = (selectedProduct?.units ?? "dBZ") === "dBZ";
+
+  // Storm cells are outlined on live reflectivity frames
+  useEffect(() => {
+    setStormCells([]);
+    if (!isLiveFrame || !frameTime || !isReflectivity) return;
+
+    let cancelled = false;
+    fetch(`/api/cells?product=${productId}&time=${encodeURIComponent(frameTime)}`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((collection) => {
+        if (collection && !cancelled) setStormCells(collection.features);
+      })
+      .catch((cellError) => {
+        console.warn('⚠️ Storm cells unavailable:', cellError instanceof Error ? cellError.message : String(cellError));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, frameTime, isLiveFrame, isReflectivity]);
+
+  // Extrapolated echoes and storm motion, when a lead time is picked
+  useEffect(() => {
+    setNowcast(null);
+    if (!isLiveFrame || !frameTime || !isReflectivity || nowcastMinutes === null) return;
+
+    let cancelled = false;
+    const viewport = mapViewport ? `&${mapViewport}` : "";
+    fetch(`/api/nowcast?product=${productId}&minutes=${nowcastMinutes}&minDbz=${NOWCAST_MIN_DBZ}${viewport}`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((forecast) => {
+        if (forecast && !cancelled) setNowcast(forecast);
+      })
+      .catch((nowcastError) => {
+        console.warn('⚠️ Nowcast unavailable:', nowcastError instanceof Error ? nowcastError.message : String(nowcastError));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [productId, frameTime, isLiveFrame, isReflectivity, nowcastMinutes, mapViewport]);
+
+  const colorScale = selectedProduct?.colorScale ?? REFLECTIVITY_SCALE;
+
+  const units =
+    radarData?.data?.metadata?.product?.units ?? selectedProduct?.units ?? "dBZ";
+
+  // Live frames are drawn as full-resolution server tiles instead of sampled points
+  const radarTileUrl =
+    isLiveFrame && frameTime
+      ? `/api/tiles/${productId}/${encodeURIComponent(frameTime)}/{z}/{x}/{y}.png`
+      : null;
+
+  const getColorForValue = (value: number): string => {
     // Ensure value is a valid number
     if (value === null || value === undefined || isNaN(value)) {
       console.warn('🟨 Invalid value:', value);
       return "#808080"; // Gray for invalid values
     }
-    
-    let color;
-    // NWS reflectivity color scale
-    if (value < 5) color = "#04e9e7"; // Light blue
-    else if (value < 10) color = "#019ff4"; // Blue
-    else if (value < 15) color = "#0300f4"; // Dark blue
-    else if (value < 20) color = "#02fd02"; // Green
-    else if (value < 25) color = "#01c501"; // Dark green
-    else if (value < 30) color = "#008e00"; // Darker green
-    else if (value < 35) color = "#fdf802"; // Yellow
-    else if (value < 40) color = "#e5bc00"; // Dark yellow
-    else if (value < 45) color = "#fd9500"; // Orange
-    else if (value < 50) color = "#fd0000"; // Red
-    else if (value < 55) color = "#d40000"; // Dark red
-    else if (value < 60) color = "#bc0000"; // Darker red
-    else if (value < 65) color = "#f800fd"; // Magenta
-    else color = "#9854c6"; // Purple
-    
+
+    // Highest stop the value reaches; values below the scale take its first color
+    let color = colorScale[0].color;
+    for (const stop of colorScale) {
+      if (value >= stop.min) color = stop.color;
+    }
+
     // Only log occasionally to avoid spam
     if (Math.random() < 0.1) {
-      console.log(`🎨 Color for ${value} dBZ: ${color}`);
+      console.log(`🎨 Color for ${value} ${units}: ${color}`);
     }
     return color;
   };
 
+  const legendItems = colorScale
+    .map((stop, idx) => {
+      const next = colorScale[idx + 1];
+      const label =
+        idx === 0 && next
+          ? `<${next.min}`
+          : next
+            ? `${stop.min}-${next.min}`
+            : `${stop.min}+`;
+      return { label, color: stop.color, desc: stop.desc };
+    })
+    .reverse();
+
   return (
     <div className="h-screen w-screen flex flex-col bg-gradient-to-br from-slate-50 to-slate-100">
       {/* Header */}
@@ -217,13 +590,43 @@ function App() {
                   MRMS Weather Radar
                 </h1>
                 <p className="text-xs sm:text-sm text-slate-500 font-medium leading-tight mt-0.5">
-                  Reflectivity at Lowest Altitude
+                  {selectedProduct?.name ?? "Reflectivity at Lowest Altitude"}
                 </p>
               </div>
             </div>
 
             {/* Right Side Controls */}
             <div className="flex items-center gap-3 sm:gap-4">
+              {products.length > 0 && (
+                <select
+                  value={productId}
+                  onChange={(event) => setProductId(event.target.value)}
+                  disabled={loading}
+                  aria-label="Radar product"
+                  className="px-3 py-2 sm:py-2.5 bg-white border border-slate-300 rounded-xl text-xs sm:text-sm font-semibold text-slate-700 shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-60"
+                >
+                  {products.map((product) => (
+                    <option key={product.id} value={product.id}>
+                      {product.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {isReflectivity && (
+                <select
+                  value={nowcastMinutes ?? ""}
+                  onChange={(event) => setNowcastMinutes(event.target.value ? Number(event.target.value) : null)}
+                  aria-label="Nowcast lead time"
+                  className="px-3 py-2 sm:py-2.5 bg-white border border-slate-300 rounded-xl text-xs sm:text-sm font-semibold text-slate-700 shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">No nowcast</option>
+                  {NOWCAST_MINUTES.map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      +{minutes} min
+                    </option>
+                  ))}
+                </select>
+              )}
               {lastUpdate && (
                 <div className="hidden md:flex items-center gap-2 sm:gap-2.5 px-3 sm:px-4 py-2 sm:py-2.5 bg-gradient-to-br from-slate-50 to-slate-100 rounded-xl border border-slate-200 shadow-sm">
                   <svg
@@ -482,7 +885,7 @@ function App() {
               </p>
               <div className="bg-gradient-to-br from-slate-50 to-slate-100 rounded-xl px-5 py-3 border border-slate-200 shadow-inner">
                 <p className="text-sm text-slate-600 font-medium">
-                  ⏱️ First load may take 30-60 seconds
+                  ⏱️ First load after a server start may take 30-60 seconds
                 </p>
               </div>
             </div>
@@ -502,8 +905,91 @@ function App() {
                 url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
               />
 
-              {radarData.data.points.map((point, idx) => {
-                const pointColor = getColorForReflectivity(point.value);
+              {radarTileUrl && (
+                <TileLayer url={radarTileUrl} opacity={0.75} zIndex={10} />
+              )}
+
+              {radarTileUrl && frameTime && (
+                <ValuePopup grid={radarGrid} productId={productId} frameTime={frameTime} units={units} />
+              )}
+
+              <ViewportTracker onChange={setMapViewport} />
+
+              {nowcast?.data.points.map((point, idx) => (
+                <CircleMarker
+                  key={`nowcast-${idx}`}
+                  center={[point.lat, point.lon]}
+                  radius={3}
+                  stroke={false}
+                  fillColor={getColorForValue(point.value)}
+                  fillOpacity={0.35}
+                  interactive={false}
+                />
+              ))}
+
+              {nowcast?.motion.vectors.map((vector, idx) => (
+                <Polyline
+                  key={`motion-${idx}`}
+                  positions={[[vector.lat, vector.lon], vectorEnd(vector, nowcast.minutes)]}
+                  pathOptions={{ color: "#1e293b", weight: 2, opacity: 0.7, bubblingMouseEvents: false }}
+                >
+                  <Popup>
+                    <div className="py-1 text-xs">
+                      <span className="font-bold text-slate-900">
+                        {Math.round(vector.speedKmh)} km/h towards {vector.directionDeg}°
+                      </span>
+                      <div className="text-slate-500 font-medium mt-1">
+                        Line ends where echoes reach by {new Date(nowcast.validTime).toLocaleTimeString()}
+                      </div>
+                    </div>
+                  </Popup>
+                </Polyline>
+              ))}
+
+              {stormCells.map((cell) => (
+                <Polygon
+                  key={cell.id}
+                  positions={cell.geometry.coordinates[0].map(([lon, lat]) => [lat, lon] as [number, number])}
+                  pathOptions={{ color: getColorForValue(cell.properties.maxDbz), weight: 2, fill: false, dashArray: "4 3", bubblingMouseEvents: false }}
+                >
+                  <Popup>
+                    <div className="py-1">
+                      <div className="mb-2 pb-2 border-b border-slate-200 font-bold text-base text-slate-900">
+                        Storm cell, max {cell.properties.maxDbz} dBZ
+                      </div>
+                      <div className="space-y-1.5 text-xs">
+                        {[
+                          ["Mean", `${cell.properties.meanDbz} dBZ`],
+                          ["Area", `${cell.properties.areaKm2.toLocaleString()} km²`],
+                          ["Threshold", `${cell.properties.threshold} dBZ`],
+                          ["Centroid", `${cell.properties.centroid.lat.toFixed(3)}°, ${cell.properties.centroid.lon.toFixed(3)}°`],
+                        ].map(([name, value]) => (
+                          <div key={name} className="flex justify-between gap-6">
+                            <span className="text-slate-500 font-medium">{name}:</span>
+                            <span className="font-semibold text-slate-900">{value}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  </Popup>
+                </Polygon>
+              ))}
+
+              {/* Areas outside radar coverage, distinct from areas with no echo */}
+              {radarData.data.noCoverage?.map((point, idx) => (
+                <CircleMarker
+                  key={`no-coverage-${idx}`}
+                  center={[point.lat, point.lon]}
+                  radius={4}
+                  stroke={false}
+                  fillColor={NO_COVERAGE_COLOR}
+                  fillOpacity={0.25}
+                  interactive={false}
+                />
+              ))}
+
+              {!radarTileUrl && radarData.data.points.map((point, idx) => {
+                const pointColor = getColorForValue(point.value);
                 
                 // Log first 5 dots only
                 if (idx < 5) {
@@ -532,13 +1018,13 @@ function App() {
                         <div
                           className="w-4 h-4 rounded-full border-2 border-white shadow-sm"
                           style={{
-                            backgroundColor: getColorForReflectivity(
+                            backgroundColor: getColorForValue(
                               point.value
                             ),
                           }}
                         ></div>
                         <span className="font-bold text-base text-slate-900">
-                          {point.value} dBZ
+                          {point.value} {units}
                         </span>
                       </div>
                       <div className="space-y-1.5 text-xs">
@@ -591,7 +1077,7 @@ function App() {
                 </svg>
               </div>
               <h3 className="text-base font-bold text-slate-900">
-                Reflectivity Scale
+                Color Scale ({units})
               </h3>
             </div>
           </div>
@@ -600,20 +1086,9 @@ function App() {
           <div className="px-5 py-4 max-h-96 overflow-y-auto custom-scrollbar">
             <div className="space-y-2">
               {[
-                { label: "65+", color: "#9854c6", desc: "Severe" },
-                { label: "60-65", color: "#f800fd", desc: "Very Heavy" },
-                { label: "55-60", color: "#bc0000", desc: "Heavy" },
-                { label: "50-55", color: "#d40000", desc: "Heavy" },
-                { label: "45-50", color: "#fd0000", desc: "Moderate" },
-                { label: "40-45", color: "#fd9500", desc: "Moderate" },
-                { label: "35-40", color: "#e5bc00", desc: "Light" },
-                { label: "30-35", color: "#fdf802", desc: "Light" },
-                { label: "25-30", color: "#008e00", desc: "Very Light" },
-                { label: "20-25", color: "#01c501", desc: "Very Light" },
-                { label: "15-20", color: "#02fd02", desc: "Trace" },
-                { label: "10-15", color: "#0300f4", desc: "Trace" },
-                { label: "5-10", color: "#019ff4", desc: "Minimal" },
-                { label: "<5", color: "#04e9e7", desc: "Minimal" },
+                ...legendItems,
+                { label: "None", color: "transparent", desc: "No echo" },
+                { label: "N/A", color: NO_COVERAGE_COLOR, desc: "No radar coverage" },
               ].map((item) => (
                 <div
                   key={item.label}
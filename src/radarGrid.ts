@@ -0,0 +1,114 @@
+// Decoder for the binary grid format served by /api/radar when the request
+// asks for application/vnd.radar-grid (layout documented in
+// server/gridTransport.js).
+
+export const RADAR_GRID_TYPE = "application/vnd.radar-grid";
+
+const MAGIC = "RGRD";
+const VERSION = 1;
+const HEADER_BYTES = 80;
+const ENCODING_RAW = 0;
+const ENCODING_RLE = 1;
+const NO_ECHO = 0;
+const NO_COVERAGE = 255;
+
+export interface RadarGrid {
+  stride: number;
+  width: number;
+  height: number;
+  south: number;
+  west: number;
+  north: number;
+  east: number;
+  dx: number;
+  dy: number;
+  scale: number;
+  offset: number;
+  validTime: Date | null;
+  // One code per cell, rows from north to south
+  codes: Uint8Array;
+}
+
+export type GridSample =
+  | { kind: "value"; value: number }
+  | { kind: "noEcho" }
+  | { kind: "noCoverage" };
+
+export function decodeRadarGrid(buffer: ArrayBuffer): RadarGrid {
+  if (buffer.byteLength < HEADER_BYTES) {
+    throw new Error("Not a radar grid");
+  }
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+  if (magic !== MAGIC) {
+    throw new Error("Not a radar grid");
+  }
+  const version = view.getUint8(4);
+  if (version !== VERSION) {
+    throw new Error(`Unsupported radar grid version ${version}`);
+  }
+
+  const width = view.getUint32(8, true);
+  const height = view.getUint32(12, true);
+  const validTime = view.getFloat64(72, true);
+  const data = new Uint8Array(buffer, HEADER_BYTES);
+  const encoding = view.getUint8(5);
+
+  let codes: Uint8Array;
+  if (encoding === ENCODING_RAW) {
+    codes = data.slice();
+  } else if (encoding === ENCODING_RLE) {
+    codes = new Uint8Array(width * height);
+    let cell = 0;
+    for (let i = 0; i + 1 < data.length; i += 2) {
+      codes.fill(data[i + 1], cell, cell + data[i]);
+      cell += data[i];
+    }
+  } else {
+    throw new Error(`Unknown radar grid encoding ${encoding}`);
+  }
+  if (codes.length !== width * height) {
+    throw new Error("Radar grid is truncated");
+  }
+
+  return {
+    stride: view.getUint16(6, true),
+    width,
+    height,
+    south: view.getFloat64(16, true),
+    west: view.getFloat64(24, true),
+    north: view.getFloat64(32, true),
+    east: view.getFloat64(40, true),
+    dy: view.getFloat64(48, true),
+    dx: view.getFloat64(56, true),
+    scale: view.getFloat32(64, true),
+    offset: view.getFloat32(68, true),
+    validTime: validTime ? new Date(validTime) : null,
+    codes,
+  };
+}
+
+export async function fetchRadarGrid(url: string): Promise<RadarGrid> {
+  const response = await fetch(url, { headers: { Accept: RADAR_GRID_TYPE } });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} fetching ${url}`);
+  }
+  if (!response.headers.get("Content-Type")?.startsWith(RADAR_GRID_TYPE)) {
+    throw new Error(`${url} did not return a radar grid`);
+  }
+  return decodeRadarGrid(await response.arrayBuffer());
+}
+
+// Value of the nearest cell, or null outside the grid
+export function sampleRadarGrid(grid: RadarGrid, lat: number, lon: number): GridSample | null {
+  const row = grid.dy > 0 ? Math.round((grid.north - lat) / grid.dy) : 0;
+  const column = grid.dx > 0 ? Math.round((lon - grid.west) / grid.dx) : 0;
+  if (row < 0 || row >= grid.height || column < 0 || column >= grid.width) {
+    return null;
+  }
+
+  const code = grid.codes[row * grid.width + column];
+  if (code === NO_COVERAGE) return { kind: "noCoverage" };
+  if (code === NO_ECHO) return { kind: "noEcho" };
+  return { kind: "value", value: grid.offset + code * grid.scale };
+}